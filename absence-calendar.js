@@ -0,0 +1,186 @@
+/**
+ * Parent Absence Calendar (Provision 21 - Right of First Refusal)
+ * Stores the absences parents plan during their own custodial time and the
+ * other parent's answers to the resulting first refusal offers.
+ * custody-engine.js compares absences with the custody schedule, works out
+ * the offers and applies the accepted ones.
+ */
+
+// ============================================================================
+// 1. HELPERS
+// ============================================================================
+
+/**
+ * Parse 'YYYY-MM-DDTHH:MM' (local time) or a Date into a Date (null if invalid)
+ */
+function parseAbsenceTime(value) {
+  if (value instanceof Date) return isNaN(value) ? null : new Date(value);
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, y, m, d, hh, mm] = match.map(Number);
+  const date = new Date(y, m - 1, d, hh, mm);
+  return date.getMonth() === m - 1 && date.getDate() === d && hh < 24 && mm < 60 ? date : null;
+}
+
+/**
+ * Format a Date as 'YYYY-MM-DDTHH:MM' (local time)
+ */
+function formatAbsenceTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ============================================================================
+// 2. ABSENCE STORE
+// ============================================================================
+
+/**
+ * Recorded absences: { id, parent, start, end, reason }
+ * start/end are 'YYYY-MM-DDTHH:MM' in local time
+ */
+let ABSENCES = [];
+
+/**
+ * Answers to first refusal offers by offer ID: { status, respondedAt }
+ */
+let OFFER_RESPONSES = {};
+
+/**
+ * Bumped on every change, so the engine can drop cached offers
+ */
+let ABSENCE_CALENDAR_REVISION = 0;
+let NEXT_ABSENCE_ID = 1;
+
+/**
+ * Check an absence and return a list of problems
+ */
+function validateAbsence(absence) {
+  const problems = [];
+
+  if (absence.parent !== 'mother' && absence.parent !== 'father') {
+    problems.push(`Unknown parent "${absence.parent}" (expected mother or father)`);
+  }
+
+  const start = parseAbsenceTime(absence.start);
+  const end = parseAbsenceTime(absence.end);
+  if (!start) problems.push(`Invalid start "${absence.start}" (expected YYYY-MM-DDTHH:MM)`);
+  if (!end) problems.push(`Invalid end "${absence.end}" (expected YYYY-MM-DDTHH:MM)`);
+  if (start && end && end <= start) problems.push('Absence ends before it starts');
+
+  if (absence.id && ABSENCES.some(a => a.id === absence.id)) {
+    problems.push(`Absence "${absence.id}" is already recorded`);
+  }
+
+  return problems;
+}
+
+/**
+ * Record a planned absence; throws with `error.problems` if it is invalid
+ */
+function recordAbsence(absence) {
+  const problems = validateAbsence(absence);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid absence:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  const entry = {
+    id: absence.id || `absence-${NEXT_ABSENCE_ID++}`,
+    parent: absence.parent,
+    start: formatAbsenceTime(parseAbsenceTime(absence.start)),
+    end: formatAbsenceTime(parseAbsenceTime(absence.end)),
+    reason: absence.reason || ''
+  };
+
+  ABSENCES = ABSENCES.concat(entry).sort((a, b) => (a.start < b.start ? -1 : 1));
+  ABSENCE_CALENDAR_REVISION++;
+  return { ...entry };
+}
+
+/**
+ * Remove an absence and the answers to its offers
+ */
+function removeAbsence(id) {
+  const before = ABSENCES.length;
+  ABSENCES = ABSENCES.filter(a => a.id !== id);
+
+  Object.keys(OFFER_RESPONSES)
+    .filter(offerId => offerId.startsWith(`${id}@`))
+    .forEach(offerId => delete OFFER_RESPONSES[offerId]);
+
+  ABSENCE_CALENDAR_REVISION++;
+  return ABSENCES.length < before;
+}
+
+/**
+ * Recorded absences, optionally for one parent
+ */
+function getAbsences(parent) {
+  return ABSENCES.filter(a => !parent || a.parent === parent).map(a => ({ ...a }));
+}
+
+/**
+ * Remove every absence and answer
+ */
+function clearAbsences() {
+  ABSENCES = [];
+  OFFER_RESPONSES = {};
+  ABSENCE_CALENDAR_REVISION++;
+}
+
+/**
+ * Record the other parent's answer to an offer ('accepted' or 'declined')
+ */
+function respondToOffer(offerId, status) {
+  if (status !== 'accepted' && status !== 'declined') {
+    throw new Error(`Invalid offer response "${status}" (expected accepted or declined)`);
+  }
+
+  OFFER_RESPONSES[offerId] = { status, respondedAt: new Date().toISOString() };
+  ABSENCE_CALENDAR_REVISION++;
+}
+
+/**
+ * The answer to an offer, or null while it is pending
+ */
+function getOfferResponse(offerId) {
+  return OFFER_RESPONSES[offerId] ? { ...OFFER_RESPONSES[offerId] } : null;
+}
+
+/**
+ * Revision of the store (changes on every absence or answer)
+ */
+function getAbsenceCalendarRevision() {
+  return ABSENCE_CALENDAR_REVISION;
+}
+
+// ============================================================================
+// 3. EXPORT
+// ============================================================================
+
+const AbsenceCalendarAPI = {
+  recordAbsence,
+  removeAbsence,
+  getAbsences,
+  clearAbsences,
+  validateAbsence,
+  respondToOffer,
+  getOfferResponse,
+  getRevision: getAbsenceCalendarRevision,
+  parseTime: parseAbsenceTime,
+  formatTime: formatAbsenceTime
+};
+
+// Export for use in HTML (load before custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.AbsenceCalendar = AbsenceCalendarAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AbsenceCalendarAPI;
+}
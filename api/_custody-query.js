@@ -0,0 +1,137 @@
+// Query parameters shared by the JSON custody routes (not a route itself: Vercel skips files starting with _)
+// Days are YYYY-MM-DD and moments wall-clock YYYY-MM-DDTHH:MM, both in the schedule's time zone
+// (America/Los_Angeles) whatever zone the server runs in: the engine works on local Dates, so a
+// moment is held as a local Date showing that wall-clock time.
+
+import CustodyEngine from '../custody-engine.js';
+import CourtOrderRules from '../court-order-rules.js';
+import ICalFormat from '../ical-format.js';
+import { loadSwapStores } from './_swap-store.js';
+
+// Longest /api/custody/range window, in days
+export const MAX_RANGE_DAYS = 366;
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MOMENT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+function pad2(n) {
+    return String(n).padStart(2, '0');
+}
+
+function value(query, name) {
+    return query[name] === undefined || query[name] === '' ? null : String(query[name]);
+}
+
+// Local Date for a day (and time), or null if the date or time does not exist
+function buildDate(y, m, d, hours = 0, minutes = 0) {
+    const date = new Date(y, m - 1, d, hours, minutes);
+    const real = date.getMonth() === m - 1 && date.getDate() === d && hours < 24 && minutes < 60;
+    return real ? date : null;
+}
+
+// The current wall-clock time in the schedule's time zone, as a local Date
+export function scheduleNow(now = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: ICalFormat.TIMEZONE,
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => { parts[part.type] = Number(part.value); });
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+// A local Date as wall-clock YYYY-MM-DDTHH:MM
+export function formatMoment(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}` +
+        `T${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+// Day parameter `name`: its Date, `fallback` when absent, or null (with a problem) when malformed
+export function parseDay(query, name, problems, fallback = null) {
+    const text = value(query, name);
+    if (text === null) {
+        if (!fallback) problems.push(`Missing ${name} (expected YYYY-MM-DD)`);
+        return fallback;
+    }
+
+    const match = DAY_PATTERN.exec(text);
+    const date = match && buildDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    if (!date) problems.push(`Invalid ${name} "${text}" (expected YYYY-MM-DD)`);
+    return date || null;
+}
+
+// Moment parameter `name` (a day alone means its midnight), `fallback` when absent
+export function parseMoment(query, name, problems, fallback) {
+    const text = value(query, name);
+    if (text === null) return fallback;
+    if (DAY_PATTERN.test(text)) return parseDay(query, name, problems);
+
+    const match = MOMENT_PATTERN.exec(text);
+    const date = match && buildDate(...match.slice(1).map(Number));
+    if (!date) problems.push(`Invalid ${name} "${text}" (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+    return date || null;
+}
+
+// Days from `from` through `to`, both inclusive, pushing a problem if backwards or over `maxDays`
+export function checkRange(from, to, maxDays, problems) {
+    if (!from || !to) return;
+
+    const days = Math.round((to - from) / 86400000) + 1;
+    if (days < 1) problems.push('to is before from');
+    if (days > maxDays) problems.push(`Range is longer than ${maxDays} days`);
+}
+
+// evaluateCustody options from the query: perspective (default mother) and child
+export function parseCustodyOptions(query, problems, defaultPerspective = 'mother') {
+    const perspective = value(query, 'perspective') || defaultPerspective;
+    if (!CourtOrderRules.wording[perspective]) {
+        problems.push(`Unknown perspective "${perspective}" (expected ${Object.keys(CourtOrderRules.wording).join(', ')})`);
+    }
+
+    const child = value(query, 'child');
+    if (child && !CustodyEngine.CHILD_REGISTRY.getChild(child)) {
+        const ids = CustodyEngine.CHILD_REGISTRY.getChildren().map(c => c.id);
+        problems.push(`Unknown child "${child}" (expected ${ids.join(', ')})`);
+    }
+
+    return child ? { perspective, child } : { perspective };
+}
+
+// 405 for anything but GET; returns whether the request may go on
+export function allowGetOnly(req, res) {
+    if (!req.method || req.method === 'GET') return true;
+
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+    return false;
+}
+
+// 400 listing every problem with the query
+export function sendQueryProblems(res, problems) {
+    res.status(400).json({ error: `Invalid custody query:\n  - ${problems.join('\n  - ')}`, problems });
+}
+
+// Run a GET route: 405 for other methods, 400 listing every problem, 500 on a failure.
+// `parse(problems)` reads the query (pushing any problems); only a valid query loads the agreed swaps
+// and gets `answer(parsed)`, which returns the JSON body.
+export async function sendCustodyJson(req, res, maxAge, parse, answer) {
+    if (!allowGetOnly(req, res)) return;
+
+    const problems = [];
+    const parsed = parse(problems);
+    if (problems.length > 0) {
+        sendQueryProblems(res, problems);
+        return;
+    }
+
+    try {
+        await loadSwapStores();
+        const body = answer(parsed);
+
+        res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+        res.status(200).json({ timeZone: ICalFormat.TIMEZONE, ...body });
+    } catch (error) {
+        console.error('Error evaluating custody:', error);
+        res.status(500).json({ error: 'Failed to evaluate custody' });
+    }
+}
@@ -0,0 +1,89 @@
+// JSON documents the API routes keep between requests (not a route itself: Vercel skips files starting with _)
+// With KV_REST_API_URL and KV_REST_API_TOKEN set (a Vercel KV or Upstash Redis database connected to
+// the project) each document is one key in that database: shared by every instance and kept across
+// deploys. Until a document is first saved there, the copy deployed with the site is read.
+// Without them documents are files in the given directory. That is fine locally, but on Vercel only
+// /tmp is writable, and /tmp belongs to one instance and is lost when it stops.
+// Documents are read and written whole, so a write carries the version (the saved text) it was
+// read at: in the KV database the check and the write are one script, so a request that read a
+// document before another saved it fails with a conflict instead of overwriting that save.
+
+import fs from 'fs';
+import path from 'path';
+
+const KV_PREFIX = 'alexandra-schedule:';
+
+// Whether documents are kept in the KV database
+export function hasPersistentStore() {
+    return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+// One Redis command through the KV REST API, e.g. ['GET', key]
+async function kvCommand(command) {
+    const response = await fetch(process.env.KV_REST_API_URL, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(command)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) throw new Error(`KV ${command[0]} failed: ${data.error || `status ${response.status}`}`);
+    return data.result;
+}
+
+// Lua script for saveDocuments: sets KEYS[i] to ARGV[n + i] if it still holds ARGV[i]
+// ('' for a key not yet saved), all or none
+const KV_COMPARE_AND_SET = `
+local n = #KEYS
+for i = 1, n do
+    if (redis.call('GET', KEYS[i]) or '') ~= ARGV[i] then return 0 end
+end
+for i = 1, n do redis.call('SET', KEYS[i], ARGV[n + i]) end
+return 1`;
+
+function readFile(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function conflictError(names) {
+    const error = new Error(`${names.join(' and ')} changed while this request was handled; try again`);
+    error.code = 'conflict';
+    return error;
+}
+
+// Document `name` (e.g. 'agreed-swaps.json') with the version to save it at:
+// { data, version }. From the KV database if it has it, else from `dir`, else `fallback`
+export async function loadDocument(dir, name, fallback) {
+    if (hasPersistentStore()) {
+        const saved = await kvCommand(['GET', KV_PREFIX + name]);
+        if (saved !== null && saved !== undefined) return { data: JSON.parse(saved), version: saved };
+
+        // Not in the database yet: the deployed copy, saved as the first version there
+        const text = readFile(path.join(dir, name));
+        return { data: text === null ? fallback : JSON.parse(text), version: null };
+    }
+
+    const text = readFile(path.join(dir, name));
+    return { data: text === null ? fallback : JSON.parse(text), version: text };
+}
+
+// Save documents [{ name, data, version }] together, each only if it is still at the version it
+// was loaded at. Throws an error with code 'conflict' when one changed in between (nothing is
+// saved then). Returns the new versions in the same order
+export async function saveDocuments(dir, documents) {
+    const texts = documents.map(doc => JSON.stringify(doc.data, null, 2) + '\n');
+
+    if (hasPersistentStore()) {
+        const keys = documents.map(doc => KV_PREFIX + doc.name);
+        const expected = documents.map(doc => doc.version || '');
+        const saved = await kvCommand(['EVAL', KV_COMPARE_AND_SET, keys.length, ...keys, ...expected, ...texts]);
+        if (saved !== 1) throw conflictError(documents.map(doc => doc.name));
+        return texts;
+    }
+
+    // Files: re-read just before writing (another instance sharing the directory can still slip in
+    // between, but not a request that read an older copy)
+    const changed = documents.filter(doc => readFile(path.join(dir, doc.name)) !== doc.version);
+    if (changed.length) throw conflictError(changed.map(doc => doc.name));
+    documents.forEach((doc, i) => fs.writeFileSync(path.join(dir, doc.name), texts[i]));
+    return texts;
+}
@@ -0,0 +1,43 @@
+// Ledger of the events the calendar feed has published (not a route itself: Vercel skips files starting with _)
+// Keeps each event's UID, content fingerprint, SEQUENCE and LAST-MODIFIED in feed-ledger.json, so a
+// changed occurrence goes out with the next SEQUENCE and a removed one is sent as cancelled.
+// Kept by _data-store.js like the swap documents: in the KV database when one is connected, otherwise
+// as a file in FEED_DATA_DIR (or SWAP_DATA_DIR, default: the working directory).
+// Without a ledger that lasts (e.g. files in /tmp on Vercel) every event is sent at SEQUENCE 0 again
+// and no event is ever cancelled: clients still update, but by UID alone.
+// Most requests publish nothing new, so the ledger is saved only when it changed, and only over the
+// version it was read at: when another request saved first, its ledger is kept.
+
+import { loadDocument, saveDocuments } from './_data-store.js';
+
+const LEDGER_DOCUMENT = 'feed-ledger.json';
+
+function dataDir() {
+    return process.env.FEED_DATA_DIR || process.env.SWAP_DATA_DIR || process.cwd();
+}
+
+// { ledger, version, text }: the ledger to update in place, and what it was when read.
+// An empty ledger when the saved one cannot be read: the feed is served without revisions, and the
+// unreadable one is left for someone to look at
+export async function loadFeedLedger() {
+    try {
+        const { data, version } = await loadDocument(dataDir(), LEDGER_DOCUMENT, {});
+        return { ledger: data, version, text: JSON.stringify(data) };
+    } catch (error) {
+        console.error('Could not load the feed ledger:', error.message);
+        return { ledger: {}, version: null, text: null };
+    }
+}
+
+// Save a ledger from loadFeedLedger if the feed changed it. A feed is still served when the ledger
+// cannot be saved
+export async function saveFeedLedger({ ledger, version, text }) {
+    if (text === null || JSON.stringify(ledger) === text) return;
+
+    try {
+        await saveDocuments(dataDir(), [{ name: LEDGER_DOCUMENT, data: ledger, version }]);
+    } catch (error) {
+        if (error.code === 'conflict') return; // Another request saved the ledger first
+        console.error('Could not save the feed ledger:', error.message);
+    }
+}
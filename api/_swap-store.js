@@ -0,0 +1,109 @@
+// Storage shared by the swap request routes (not a route itself: Vercel skips files starting with _)
+// Requests live in swap-requests.json and agreed swaps in agreed-swaps.json, kept by _data-store.js:
+// in the KV database when one is connected (KV_REST_API_URL, KV_REST_API_TOKEN), otherwise as
+// files in SWAP_DATA_DIR (default: the working directory). The calendar reads the agreed swaps
+// through /api/agreed-swaps, so an accepted request shows up on it straight away.
+// Both are read and written whole on every request, and saved only if neither changed since this
+// request read them: otherwise the change fails with 409 and the parent tries again.
+// Answers and proposals must come from a parent: SWAP_TOKEN_MOTHER and SWAP_TOKEN_FATHER hold
+// each parent's key, sent as `Authorization: Bearer <key>`. Requests are listed to anyone, but the
+// parents' messages and reasons only to a parent.
+
+import crypto from 'crypto';
+import SwapCalendar from '../swap-calendar.js';
+import SwapRequests from '../swap-requests.js';
+import { loadDocument, saveDocuments } from './_data-store.js';
+
+const SWAPS_DOCUMENT = 'agreed-swaps.json';
+const REQUESTS_DOCUMENT = 'swap-requests.json';
+const PARENT_TOKENS = { mother: 'SWAP_TOKEN_MOTHER', father: 'SWAP_TOKEN_FATHER' };
+
+// HTTP status for each error code of swap-requests.js
+const ERROR_STATUS = { invalid: 400, not_found: 404, conflict: 409 };
+
+function dataDir() {
+    return process.env.SWAP_DATA_DIR || process.cwd();
+}
+
+// Versions of the documents as last loaded, for saveSwapStores
+let loadedVersions = { swaps: null, requests: null };
+
+export async function loadSwapStores() {
+    const [swaps, requests] = await Promise.all([
+        loadDocument(dataDir(), SWAPS_DOCUMENT, []),
+        loadDocument(dataDir(), REQUESTS_DOCUMENT, [])
+    ]);
+    SwapCalendar.loadSwaps(swaps.data);
+    SwapRequests.loadSwapRequests(requests.data);
+    loadedVersions = { swaps: swaps.version, requests: requests.version };
+    return { SwapCalendar, SwapRequests };
+}
+
+// Throws an error with code 'conflict' if either document was saved since it was loaded
+export async function saveSwapStores() {
+    const [swaps, requests] = await saveDocuments(dataDir(), [
+        { name: SWAPS_DOCUMENT, data: SwapCalendar.exportSwaps(), version: loadedVersions.swaps },
+        { name: REQUESTS_DOCUMENT, data: SwapRequests.exportSwapRequests(), version: loadedVersions.requests }
+    ]);
+    loadedVersions = { swaps, requests };
+}
+
+// Compare keys in constant time (hashes have the same length whatever was sent)
+function sameKey(sent, expected) {
+    const digest = text => crypto.createHash('sha256').update(text).digest();
+    return crypto.timingSafeEqual(digest(sent), digest(expected));
+}
+
+// The parent whose key the request carries, or null
+export function authenticateParent(req) {
+    const header = (req.headers && req.headers.authorization) || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) return null;
+
+    return Object.keys(PARENT_TOKENS).find(parent => {
+        const expected = process.env[PARENT_TOKENS[parent]];
+        return expected && sameKey(match[1].trim(), expected);
+    }) || null;
+}
+
+// The parent making a change, or null after sending 503 (no keys set), 401 (no or wrong key) or
+// 403 (`claimed` names the other parent)
+export function requireParent(req, res, claimed) {
+    if (!Object.values(PARENT_TOKENS).every(name => process.env[name])) {
+        res.status(503).json({ error: 'Swap requests are not set up: SWAP_TOKEN_MOTHER and SWAP_TOKEN_FATHER are needed' });
+        return null;
+    }
+
+    const parent = authenticateParent(req);
+    if (!parent) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: 'A parent key is needed (Authorization: Bearer <key>)' });
+        return null;
+    }
+    if (claimed && claimed !== parent) {
+        res.status(403).json({ error: `This key belongs to ${parent}, not ${claimed}` });
+        return null;
+    }
+    return parent;
+}
+
+// A request as shown without a parent key: the terms and status, without messages, reasons or
+// history notes
+export function redactSwapRequest(request) {
+    const { message, ...shown } = request;
+    const { reason, ...swap } = request.swap;
+    return { ...shown, swap, history: request.history.map(({ note, ...entry }) => entry) };
+}
+
+// JSON error response: 400 invalid, 404 unknown request, 409 already answered, conflicting swap or
+// saved by another request in between
+export function sendSwapError(res, error) {
+    const status = ERROR_STATUS[error.code];
+    if (!status) {
+        console.error('Error handling swap request:', error);
+        res.status(500).json({ error: 'Failed to handle swap request' });
+        return;
+    }
+
+    res.status(status).json({ error: error.message, problems: error.problems || [] });
+}
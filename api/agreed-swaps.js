@@ -0,0 +1,20 @@
+// Vercel Serverless Function: the agreed swaps the calendar shows
+// GET /api/agreed-swaps   The swaps as agreed-swaps.json holds them (see swap-calendar.js exportSwaps),
+// read from the store the swap request routes write to (see _swap-store.js), so an accepted
+// request reaches the calendar on its next load.
+
+import { allowGetOnly } from './_custody-query.js';
+import { loadSwapStores } from './_swap-store.js';
+
+export default async function handler(req, res) {
+    if (!allowGetOnly(req, res)) return;
+
+    try {
+        const { SwapCalendar } = await loadSwapStores();
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(200).json(SwapCalendar.exportSwaps());
+    } catch (error) {
+        console.error('Error loading agreed swaps:', error);
+        res.status(500).json({ error: 'Failed to load agreed swaps' });
+    }
+}
@@ -0,0 +1,18 @@
+// Vercel Serverless Function: custody on one day, as JSON
+// GET /api/custody?date=2026-01-16   The day's evaluateCustody result (default: today)
+//     { timeZone, date, parent, events, note, matchedLevel, matchedRule, provision,
+//       provisionTitle, provisionExplanation, levelExplanation, flags }
+// perspective (mother, father, neutral) words the events; child narrows pickups to one child.
+// Agreed swaps (see _swap-store.js) are applied. Malformed dates get a 400 listing every problem.
+
+import CustodyEngine from '../../custody-engine.js';
+import { parseCustodyOptions, parseDay, scheduleNow, sendCustodyJson } from '../_custody-query.js';
+
+export default async function handler(req, res) {
+    const query = req.query || {};
+
+    await sendCustodyJson(req, res, 300, problems => ({
+        date: parseDay(query, 'date', problems, scheduleNow()),
+        options: parseCustodyOptions(query, problems)
+    }), ({ date, options }) => CustodyEngine.evaluateRange(date, date, options)[0]);
+}
@@ -0,0 +1,21 @@
+// Vercel Serverless Function: custody over a range of days, as JSON
+// GET /api/custody/range?from=2026-01-01&to=2026-01-31   Every day, both inclusive (up to 366 days)
+//     { timeZone, from, to, days: [{ date, parent, events, matchedLevel, matchedRule, provision, ... }] }
+// Takes perspective and child as /api/custody does.
+
+import CustodyEngine from '../../custody-engine.js';
+import { MAX_RANGE_DAYS, checkRange, parseCustodyOptions, parseDay, sendCustodyJson } from '../_custody-query.js';
+
+export default async function handler(req, res) {
+    const query = req.query || {};
+
+    await sendCustodyJson(req, res, 300, problems => {
+        const from = parseDay(query, 'from', problems);
+        const to = parseDay(query, 'to', problems);
+        checkRange(from, to, MAX_RANGE_DAYS, problems);
+        return { from, to, options: parseCustodyOptions(query, problems) };
+    }, ({ from, to, options }) => {
+        const days = CustodyEngine.evaluateRange(from, to, options);
+        return { from: days[0].date, to: days[days.length - 1].date, days };
+    });
+}
@@ -0,0 +1,46 @@
+// Vercel Serverless Function: schedule export for a spreadsheet
+// GET /api/export?from=2026-01-01&to=2026-12-31&format=csv   Every day, both inclusive (up to 3 years)
+// format: csv (default) or json. One row per day: date, weekday, parent, level, rule, provision,
+// note, instruction-day and minimum-day flags, and the exchanges with times and locations
+// (see schedule-export.js). perspective defaults to neutral ("Mother → Father"); child as /api/custody.
+// Agreed swaps (see _swap-store.js) are applied. Malformed queries get a 400 listing every problem.
+
+import ScheduleExport from '../schedule-export.js';
+import { loadSwapStores } from './_swap-store.js';
+import { allowGetOnly, checkRange, parseCustodyOptions, parseDay, sendQueryProblems } from './_custody-query.js';
+
+const MAX_EXPORT_DAYS = 1096; // Three years
+
+export default async function handler(req, res) {
+    if (!allowGetOnly(req, res)) return;
+
+    const query = req.query || {};
+    const problems = [];
+    const from = parseDay(query, 'from', problems);
+    const to = parseDay(query, 'to', problems);
+    checkRange(from, to, MAX_EXPORT_DAYS, problems);
+
+    const format = query.format || 'csv';
+    if (!ScheduleExport.FORMATS.includes(format)) {
+        problems.push(`Unknown format "${format}" (expected ${ScheduleExport.FORMATS.join(', ')})`);
+    }
+    const options = { ...parseCustodyOptions(query, problems, 'neutral'), format };
+
+    if (problems.length > 0) {
+        sendQueryProblems(res, problems);
+        return;
+    }
+
+    try {
+        await loadSwapStores();
+        const file = ScheduleExport.exportSchedule(from, to, options);
+
+        res.setHeader('Content-Type', file.type);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.status(200).send(file.content);
+    } catch (error) {
+        console.error('Error exporting the schedule:', error);
+        res.status(500).json({ error: 'Failed to export the schedule' });
+    }
+}
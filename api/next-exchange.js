@@ -0,0 +1,27 @@
+// Vercel Serverless Function: the next handoff, as JSON
+// GET /api/next-exchange?after=2026-01-14T12:00   The next time she changes hands (default: after now)
+//     { timeZone, now, parent, next: { at, from, parent, exchange, result } }
+// Times are wall-clock YYYY-MM-DDTHH:MM in timeZone. exchange is the event (title, time, location,
+// actor, recipient, rule, provision), null for a change at midnight without one; result is that
+// day's full evaluateCustody result. next is null if no change is found within 31 days.
+// Takes perspective and child as /api/custody does.
+
+import CustodyEngine from '../custody-engine.js';
+import { formatMoment, parseCustodyOptions, parseMoment, scheduleNow, sendCustodyJson } from './_custody-query.js';
+
+export default async function handler(req, res) {
+    const query = req.query || {};
+    const maxAge = query.after ? 300 : 60; // Without `after` the answer moves with the clock
+
+    await sendCustodyJson(req, res, maxAge, problems => ({
+        after: parseMoment(query, 'after', problems, scheduleNow()),
+        options: parseCustodyOptions(query, problems)
+    }), ({ after, options }) => {
+        const next = CustodyEngine.getNextExchange(after, options);
+        return {
+            now: formatMoment(after),
+            parent: CustodyEngine.getCustodyAt(after, options).parent,
+            next: next && { ...next, at: formatMoment(next.at) }
+        };
+    });
+}
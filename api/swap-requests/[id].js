@@ -0,0 +1,54 @@
+// Vercel Serverless Function: one swap request
+// GET  /api/swap-requests/:id   The request with its history (messages and reasons only with a parent's key)
+// POST /api/swap-requests/:id   Answer it: { action, message, swap }
+//      action: 'accept' (records the swap), 'decline' or 'counter' (swap: the new terms)
+//      Needs the key of the parent the request was sent to (Authorization: Bearer <key>);
+//      `by`, if sent, must name that parent.
+
+import { authenticateParent, loadSwapStores, redactSwapRequest, requireParent, saveSwapStores, sendSwapError } from '../_swap-store.js';
+
+export default async function handler(req, res) {
+    try {
+        const { SwapCalendar, SwapRequests } = await loadSwapStores();
+        const id = req.query && req.query.id;
+
+        if (req.method === 'GET') {
+            const request = SwapRequests.getSwapRequest(id);
+            if (!request) {
+                res.status(404).json({ error: `Unknown swap request "${id}"` });
+                return;
+            }
+            res.setHeader('Cache-Control', 'no-store');
+            res.status(200).json({ request: authenticateParent(req) ? request : redactSwapRequest(request) });
+            return;
+        }
+
+        if (req.method === 'POST') {
+            const { action, by: claimed, message, swap } = req.body || {};
+            const by = requireParent(req, res, claimed);
+            if (!by) return;
+
+            if (action === 'accept') {
+                const request = SwapRequests.acceptSwapRequest(id, by, message);
+                await saveSwapStores();
+                res.status(200).json({ request, swap: SwapCalendar.getSwaps().find(s => s.id === request.swapId) });
+            } else if (action === 'decline') {
+                const request = SwapRequests.declineSwapRequest(id, by, message);
+                await saveSwapStores();
+                res.status(200).json({ request });
+            } else if (action === 'counter') {
+                const counter = SwapRequests.counterSwapRequest(id, by, swap, message);
+                await saveSwapStores();
+                res.status(200).json({ request: SwapRequests.getSwapRequest(id), counter });
+            } else {
+                res.status(400).json({ error: `Unknown action "${action}" (expected accept, decline, counter)` });
+            }
+            return;
+        }
+
+        res.setHeader('Allow', 'GET, POST');
+        res.status(405).json({ error: `Method ${req.method} not allowed` });
+    } catch (error) {
+        sendSwapError(res, error);
+    }
+}
@@ -0,0 +1,39 @@
+// Vercel Serverless Function: swap requests
+// GET  /api/swap-requests?status=pending   List requests (all statuses without ?status); messages and
+//      reasons only with a parent's key
+// POST /api/swap-requests                  Propose a trade: { swap, message }
+//      swap: { start, end, parent, events, note, reason } (see swap-calendar.js)
+//      Needs the proposing parent's key (Authorization: Bearer <key>); `proposedBy`, if sent,
+//      must name that parent.
+
+import { authenticateParent, loadSwapStores, redactSwapRequest, requireParent, saveSwapStores, sendSwapError } from '../_swap-store.js';
+
+export default async function handler(req, res) {
+    try {
+        const { SwapRequests } = await loadSwapStores();
+
+        if (req.method === 'GET') {
+            const status = (req.query && req.query.status) || undefined;
+            const listed = SwapRequests.getSwapRequests(status);
+            res.setHeader('Cache-Control', 'no-store');
+            res.status(200).json({ requests: authenticateParent(req) ? listed : listed.map(redactSwapRequest) });
+            return;
+        }
+
+        if (req.method === 'POST') {
+            const { proposedBy: claimed, swap, message } = req.body || {};
+            const proposedBy = requireParent(req, res, claimed);
+            if (!proposedBy) return;
+
+            const request = SwapRequests.proposeSwap({ proposedBy, swap, message });
+            await saveSwapStores();
+            res.status(201).json({ request });
+            return;
+        }
+
+        res.setHeader('Allow', 'GET, POST');
+        res.status(405).json({ error: `Method ${req.method} not allowed` });
+    } catch (error) {
+        sendSwapError(res, error);
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Children Registry
+ * The children the schedule covers, the school each attends and its bell
+ * schedule. custody-engine.js turns a rule's 'pickup' time into each child's
+ * dismissal time for the day (regular weekday times, or the minimum-day time
+ * when school releases early), and times computed drop-offs by the bell.
+ */
+
+// ============================================================================
+// 1. CHILDREN
+// ============================================================================
+
+/**
+ * Registered children, in the order their times are listed
+ *   id          Used by the `child` filter (engine, calendar and feed)
+ *   name        Shown next to each pickup time
+ *   school      Location ID of the school (see `wording` in court-order-rules.js)
+ *   dropOff     Morning drop-off time (the same every school day)
+ *   dismissal   Regular dismissal time by day of week (1 = Monday ... 5 = Friday)
+ *   minimumDay  Dismissal time on minimum days (early release)
+ */
+const CHILDREN = [
+  {
+    id: 'alfie',
+    name: 'Alfie',
+    school: 'school',
+    dropOff: '8:20 AM',
+    dismissal: { 1: '2:15 PM', 2: '2:15 PM', 3: '2:15 PM', 4: '2:15 PM', 5: '2:15 PM' },
+    minimumDay: '1:10 PM'
+  },
+  {
+    id: 'basil',
+    name: 'Basil',
+    school: 'school',
+    dropOff: '8:20 AM',
+    dismissal: { 1: '2:50 PM', 2: '2:50 PM', 3: '2:50 PM', 4: '2:50 PM', 5: '2:50 PM' },
+    minimumDay: '1:25 PM'
+  }
+];
+
+// ============================================================================
+// 2. LOOKUPS
+// ============================================================================
+
+/**
+ * All registered children
+ */
+function getChildren() {
+  return CHILDREN.map(child => ({ ...child, dismissal: { ...child.dismissal } }));
+}
+
+/**
+ * One child by ID, or null
+ */
+function getChild(id) {
+  return getChildren().find(child => child.id === id) || null;
+}
+
+/**
+ * Every child's dismissal on a date: [{ child, name, school, time }]
+ * `minimumDay` comes from the school calendar. Children without a bell
+ * time that weekday are left out.
+ */
+function getDismissalTimes(date, minimumDay) {
+  return CHILDREN
+    .map(child => ({
+      child: child.id,
+      name: child.name,
+      school: child.school,
+      time: minimumDay ? child.minimumDay : child.dismissal[date.getDay()]
+    }))
+    .filter(pickup => pickup.time);
+}
+
+/**
+ * Every child's morning drop-off: [{ child, name, school, time }]
+ */
+function getDropOffTimes() {
+  return CHILDREN.map(child => ({
+    child: child.id,
+    name: child.name,
+    school: child.school,
+    time: child.dropOff
+  }));
+}
+
+/**
+ * Check a child entry and return a list of problems
+ */
+function validateChild(child) {
+  const problems = [];
+  const label = `Child "${child.id}"`;
+  const isTime = time => /^\d{1,2}:\d{2} (AM|PM)$/.test(time || '');
+
+  if (!/^[a-z0-9_]+$/.test(child.id || '')) problems.push(`Invalid child ID "${child.id}"`);
+  if (!child.name) problems.push(`${label}: missing name`);
+  if (!child.school) problems.push(`${label}: missing school`);
+  if (!isTime(child.dropOff)) problems.push(`${label}: invalid drop-off time "${child.dropOff}"`);
+  Object.keys(child.dismissal || {}).forEach(day => {
+    if (!/^[1-5]$/.test(day)) problems.push(`${label}: dismissal day ${day} is not a weekday (1-5)`);
+    if (!isTime(child.dismissal[day])) problems.push(`${label}: invalid dismissal time "${child.dismissal[day]}"`);
+  });
+  if (!isTime(child.minimumDay)) problems.push(`${label}: invalid minimum-day time "${child.minimumDay}"`);
+
+  return problems;
+}
+
+// Fail fast on a bad registry
+const CHILD_PROBLEMS = CHILDREN.flatMap(validateChild);
+if (new Set(CHILDREN.map(child => child.id)).size !== CHILDREN.length) {
+  CHILD_PROBLEMS.push('Child IDs must be unique');
+}
+if (CHILD_PROBLEMS.length > 0) {
+  const error = new Error(`Invalid children registry:\n  - ${CHILD_PROBLEMS.join('\n  - ')}`);
+  error.problems = CHILD_PROBLEMS;
+  throw error;
+}
+
+// ============================================================================
+// 3. EXPORT
+// ============================================================================
+
+const ChildrenAPI = {
+  getChildren,
+  getChild,
+  getDismissalTimes,
+  getDropOffTimes,
+  validateChild
+};
+
+// Export for use in HTML (load before custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.Children = ChildrenAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChildrenAPI;
+}
@@ -0,0 +1,1074 @@
+/**
+ * Roberts/Gardenhire Court Order - Rule Document
+ * The custody provisions written as data instead of code.
+ * custody-engine.js interprets this document; updating the order for a new
+ * year should only mean editing the entries below.
+ *
+ * HOW TO READ A RULE
+ *   id        Unique rule ID shown in the debug overlay and audit trail
+ *   level     Precedence level (0 beats 1 beats 2 ... beats 4)
+ *   when      Date selector - every listed condition must hold (see below)
+ *   parent    Who has custody on a matching day ('mother' or 'father')
+ *   note      Short label shown on the calendar (Mother's view)
+ *   notes     The label for other perspectives where it differs:
+ *             { father, neutral } (see WORDING)
+ *   events    Exchanges on that day; an event may carry its own `when`
+ *   citation  Court order provision, title and plain-English explanation
+ *   holiday   Holiday name for statistics; the night after a tagged day
+ *             counts toward it (return days are left untagged)
+ *
+ * Within a level, rules are checked top to bottom and the first match wins.
+ *
+ * DATE SELECTORS (`when`)
+ *   date: 'YYYY-MM-DD'                 One specific day
+ *   between: ['YYYY-MM-DD', '...']     Inclusive range of days
+ *   year: 2026                         Calendar year
+ *   month: 9, day: 31                  Same day every year (month 0 = January)
+ *   dayOfWeek: 1 or [5, 6]             0 = Sunday ... 6 = Saturday
+ *   nthWeekday: { month, weekday, n, offset }
+ *                                      e.g. 2nd Sunday of May, offset in days
+ *   yearParity: 'odd' | 'even'         Odd/even calendar year
+ *   weekend: 'odd' | 'even'            Alternating weekend count (Provision 12a-b)
+ *   fifthWeekend: true | false         5th weekend of the month (Provision 14f)
+ *   instructionDay: true | false       School is in session
+ *   summer: true | false               Between the last and first instruction
+ *                                      days of consecutive school years
+ *   schoolBreak: { name, anchor, from, to, through }
+ *                                      Days relative to a school break;
+ *                                      anchor/through is 'start', 'end',
+ *                                      'lastInstructionDay' or 'returnDay'
+ *   daysBefore: { 1: {...}, 2: {...} } Selector applied to an earlier day
+ *
+ * EVENTS
+ *   { actor, recipient, time, location, when }
+ *   actor      Parent doing the driving ('mother' or 'father')
+ *   recipient  Who has her afterwards: a parent, or 'school' for a school
+ *              drop-off (whoever has her after school is worked out for the
+ *              day: the other parent, unless the actor picks her up again)
+ *   location   Location ID from `wording` (school, camp, mother_home, father_home)
+ *   A pickup is an event whose actor is also its recipient.
+ *
+ * EVENT TIMES
+ *   'pickup' is replaced by each child's school pickup time for that day
+ *   (bell schedules in children.js; minimum days release early).
+ *
+ * MODIFIERS
+ *   `modifiers` holds provisions that adjust any day rather than match
+ *   dates (agreed swaps, Right of First Refusal), with their own rule ID
+ *   and citation.
+ *
+ * COMPUTED SCHEDULES
+ *   A rule with `schedule` hands matching days to an engine routine
+ *   configured by `params` (split school breaks, summer rotation). Each day
+ *   then gets its own rule ID, cited through the rule's `citations`.
+ */
+
+const COURT_ORDER_RULES = {
+  /**
+   * Weekend Anchor: Dec 12, 2025 is Weekend #1 (Mother's odd weekend)
+   */
+  weekendAnchor: '2025-12-12',
+
+  /**
+   * Precedence levels, evaluated in this order
+   */
+  levels: [
+    {
+      level: 0,
+      name: 'Super-Overrides (Provision 17 & 18)',
+      explanation: "Special Days: These are specific days that always take priority, like Mother's Day, Father's Day, and both parents' birthdays. They override all other schedule rules."
+    },
+    {
+      level: 1,
+      name: 'Fixed One-Time Dates (Provision 16c)',
+      explanation: "Winter Break Schedule: This is the specific custody arrangement for the winter break period (December-January) spelled out in your court order. It overrides the regular weekly schedule during these dates."
+    },
+    {
+      level: 2,
+      name: 'Recurring Holiday Overrides (Provision 16a, b, d, e)',
+      explanation: "Holiday Rules: These are other major holidays like Halloween, Thanksgiving, and Spring Break that have their own custody arrangements. Each holiday may be split between both parents or assigned to one parent for the full period."
+    },
+    {
+      level: 3,
+      name: 'Seasonal Schedule (Provision 14a-f)',
+      explanation: "Summer Rotation: During the summer months, custody follows an 8-week rotating schedule that alternates between parents. This gives you longer continuous blocks of time with your daughter."
+    },
+    {
+      level: 4,
+      name: 'Standard Weekly Rotation (Provision 12a-b)',
+      explanation: "Regular Schedule: This is your standard weekly custody arrangement when none of the special rules above apply—your regular weekdays and weekends based on the court order."
+    }
+  ],
+
+  /**
+   * Modifiers applied on top of whichever rule matched
+   */
+  modifiers: {
+    stipulatedSwap: {
+      // Changes both parents agreed to outside the order (swap-calendar.js).
+      // An active swap replaces the result of every level on its days.
+      id: 'stipulated_swap',
+      note: 'Agreed Swap',
+      citation: {
+        provision: 'Stipulation',
+        title: 'Agreed Schedule Change',
+        explanation: "Both parents agreed to change the schedule for these days. The court order schedule applies again when the swap ends or is revoked."
+      }
+    },
+    firstRefusal: {
+      // A parent away for more than thresholdHours of their own custodial
+      // time must offer those hours to the other parent first. Accepted
+      // offers show on the calendar under this rule ID.
+      id: 'right_of_first_refusal',
+      thresholdHours: 24,
+      note: 'Right of First Refusal',
+      citation: {
+        provision: 'Provision 21',
+        title: "Right of First Refusal",
+        explanation: "The custodial parent will be away for more than 24 hours, so the other parent was offered that time first and accepted. Custody returns when the absence ends."
+      }
+    }
+  },
+
+  // No `timeshare`: the order states no percentage of overnights, so the
+  // statistics report the shares without flagging deviations. To flag
+  // years away from a stated figure, add
+  //   timeshare: { mother, father, tolerance, basis }
+  // with the percentages and the provision that states them as `basis`.
+
+  /**
+   * WORDING
+   * How events and places read from each perspective: 'mother' (the
+   * default, "YOU PICK UP"), 'father' and 'neutral' ("Mother → Father").
+   * Title kinds for a parent's view:
+   *   pick       the viewer picks her up      drop       the viewer drops her off
+   *   receive    the other parent brings her  otherPick  the other parent picks her up
+   *   otherDrop  the other parent drops her off somewhere else (e.g. school)
+   * The neutral view names who hands her to whom instead.
+   */
+  wording: {
+    mother: {
+      titles: { pick: 'YOU PICK UP', drop: 'YOU DROP OFF', receive: 'HE DROPS OFF', otherPick: 'HE PICKS UP', otherDrop: 'HE DROPS OFF' },
+      locations: { school: 'School', camp: 'Camp', mother_home: 'Your Home (Curbside)', father_home: 'His House (Curbside)' }
+    },
+    father: {
+      titles: { pick: 'YOU PICK UP', drop: 'YOU DROP OFF', receive: 'SHE DROPS OFF', otherPick: 'SHE PICKS UP', otherDrop: 'SHE DROPS OFF' },
+      locations: { school: 'School', camp: 'Camp', mother_home: 'Her House (Curbside)', father_home: 'Your Home (Curbside)' }
+    },
+    neutral: {
+      names: { mother: 'Mother', father: 'Father', school: 'School', camp: 'Camp' },
+      locations: { school: 'School', camp: 'Camp', mother_home: "Mother's Home (Curbside)", father_home: "Father's Home (Curbside)" }
+    }
+  },
+
+  rules: [
+    // ========================================================================
+    // LEVEL 0: SUPER-OVERRIDES (Provision 17 & 18)
+    // ========================================================================
+
+    {
+      id: 'mothers_day',
+      level: 0,
+      when: { nthWeekday: { month: 4, weekday: 0, n: 2 } }, // 2nd Sunday of May
+      parent: 'mother',
+      note: "Mother's Day",
+      holiday: "Mother's Day",
+      events: [
+        { actor: 'father', recipient: 'mother', time: '9:00 AM', location: 'mother_home' }
+      ],
+      citation: {
+        provision: 'Provision 17',
+        title: "Mother's Day Override",
+        explanation: "Mother's Day always takes priority over all other custody arrangements. Mother has custody from 9:00 AM on Mother's Day until 9:00 AM the next day (or school drop-off)."
+      }
+    },
+    {
+      id: 'mothers_day_return',
+      level: 0,
+      when: { nthWeekday: { month: 4, weekday: 0, n: 2, offset: 1 } },
+      parent: 'mother',
+      note: "Return from Mother's Day",
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'father', time: '9:00 AM', location: 'father_home', when: { instructionDay: false } }
+      ],
+      citation: {
+        provision: 'Provision 17',
+        title: "Mother's Day Return",
+        explanation: "Returning from Mother's Day custody back to regular schedule."
+      }
+    },
+    {
+      id: 'fathers_day',
+      level: 0,
+      when: { nthWeekday: { month: 5, weekday: 0, n: 3 } }, // 3rd Sunday of June
+      parent: 'father',
+      note: "Father's Day",
+      holiday: "Father's Day",
+      events: [],
+      citation: {
+        provision: 'Provision 18',
+        title: "Father's Day Override",
+        explanation: "Father's Day always takes priority over all other custody arrangements. Father has custody from 9:00 AM on Father's Day until 9:00 AM the next day (or school drop-off)."
+      }
+    },
+    {
+      id: 'mother_birthday',
+      level: 0,
+      when: { month: 9, day: 2 }, // October 2
+      parent: 'mother',
+      note: 'Your Birthday',
+      notes: { father: "Mother's Birthday", neutral: "Mother's Birthday" },
+      holiday: "Mother's Birthday",
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'mother', time: 'pickup', location: 'school', when: { instructionDay: true } },
+        { actor: 'father', recipient: 'mother', time: '9:00 AM', location: 'mother_home', when: { instructionDay: false } }
+      ],
+      citation: {
+        provision: 'Provision 17',
+        title: "Mother's Birthday Override",
+        explanation: "Your birthday always takes priority. You have custody from 9:00 AM on your birthday until 9:00 AM the next day (or school drop-off)."
+      }
+    },
+    {
+      // Birthday fell on Mother's weekend - she simply keeps them
+      id: 'mother_birthday_weekend_continuation',
+      level: 0,
+      when: { month: 9, day: 3, weekend: 'odd' },
+      parent: 'mother',
+      note: 'My Weekend (Cont.)',
+      notes: { father: 'Her Weekend (Cont.)', neutral: "Mother's Weekend (Cont.)" },
+      events: [],
+      citation: {
+        provision: 'Provision 17',
+        title: "Birthday Weekend Continuation",
+        explanation: "Your birthday fell on your regular weekend, so custody continues seamlessly."
+      }
+    },
+    {
+      id: 'mother_birthday_return',
+      level: 0,
+      when: { month: 9, day: 3 },
+      parent: 'mother',
+      note: 'Return from Birthday',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'father', time: '9:00 AM', location: 'father_home', when: { instructionDay: false } }
+      ],
+      citation: {
+        provision: 'Provision 17',
+        title: "Birthday Return",
+        explanation: "Returning from birthday custody back to regular schedule."
+      }
+    },
+    // Father's Birthday (December 31) has no rule of its own: he already has
+    // custody during winter break, so it is handled by the winter break rules.
+
+    // ========================================================================
+    // LEVEL 1: FIXED ONE-TIME DATES (Provision 16c - Winter Break 2025/26)
+    // ========================================================================
+
+    {
+      id: 'winter_break_2025_start',
+      level: 1,
+      when: { date: '2025-12-18' },
+      parent: 'mother',
+      note: 'Winter Break Starts',
+      holiday: 'Winter Break',
+      events: [
+        { actor: 'mother', recipient: 'mother', time: 'pickup', location: 'school' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "Specific winter break schedule: Mother picks up from school on the last instruction day before break."
+      }
+    },
+    {
+      id: 'winter_break_2025_day2',
+      level: 1,
+      when: { date: '2025-12-19' },
+      parent: 'mother',
+      note: 'Winter Break Custody',
+      holiday: 'Winter Break',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school' },
+        { actor: 'mother', recipient: 'mother', time: 'pickup', location: 'school' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "During the first period of winter break (Dec 18 pickup through Dec 22, 11:00 AM), Mother has custody."
+      }
+    },
+    {
+      id: 'winter_break_2025_mother_1st',
+      level: 1,
+      when: { between: ['2025-12-20', '2025-12-21'] },
+      parent: 'mother',
+      note: 'Winter Break',
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "First custody period of winter break - Mother has custody until Dec 22 at 11:00 AM exchange."
+      }
+    },
+    {
+      id: 'winter_break_2025_exchange_1',
+      level: 1,
+      when: { date: '2025-12-22' },
+      parent: 'mother',
+      note: 'Mid-Break Exchange',
+      holiday: 'Winter Break',
+      events: [
+        { actor: 'mother', recipient: 'father', time: '11:00 AM', location: 'father_home' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break Mid-Break Exchange",
+        explanation: "Exchange at 11:00 AM curbside at Father's home. This is one of the scheduled mid-break exchanges."
+      }
+    },
+    {
+      id: 'winter_break_2025_father',
+      level: 1,
+      when: { between: ['2025-12-23', '2025-12-24'] },
+      parent: 'father',
+      note: 'Winter Break',
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "Father's custody period during winter break (Dec 22, 11:00 AM through Dec 25, 11:00 AM)."
+      }
+    },
+    {
+      id: 'winter_break_2025_christmas',
+      level: 1,
+      when: { date: '2025-12-25' },
+      parent: 'mother',
+      note: 'Christmas',
+      holiday: 'Winter Break',
+      events: [
+        { actor: 'father', recipient: 'mother', time: '11:00 AM', location: 'mother_home' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break Christmas Exchange",
+        explanation: "Father drops off at 11:00 AM on Christmas Day at Mother's home (curbside)."
+      }
+    },
+    {
+      id: 'winter_break_2025_mother_2nd',
+      level: 1,
+      when: { between: ['2025-12-26', '2025-12-28'] },
+      parent: 'mother',
+      note: 'Winter Break',
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "Mother's second custody period during winter break (Dec 25, 11:00 AM through Dec 29, 11:00 AM)."
+      }
+    },
+    {
+      id: 'winter_break_2025_exchange_2',
+      level: 1,
+      when: { date: '2025-12-29' },
+      parent: 'mother',
+      note: 'Mid-Break Exchange',
+      holiday: 'Winter Break',
+      events: [
+        { actor: 'mother', recipient: 'father', time: '11:00 AM', location: 'father_home' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break Mid-Break Exchange",
+        explanation: "Exchange at 11:00 AM curbside at Father's home."
+      }
+    },
+    {
+      id: 'winter_break_2025_father_nye',
+      level: 1,
+      when: { between: ['2025-12-30', '2025-12-31'] },
+      parent: 'father',
+      note: 'Winter Break',
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "Father's custody period includes New Year's Eve (Dec 29, 11:00 AM through Jan 2, 11:00 AM)."
+      }
+    },
+    {
+      id: 'winter_break_2026_new_year',
+      level: 1,
+      when: { date: '2026-01-01' },
+      parent: 'father',
+      note: 'Winter Break',
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "Father has custody through New Year's Day until Jan 2 at 11:00 AM."
+      }
+    },
+    {
+      id: 'winter_break_2026_exchange_3',
+      level: 1,
+      when: { date: '2026-01-02' },
+      parent: 'mother',
+      note: 'Exchange',
+      holiday: 'Winter Break',
+      events: [
+        { actor: 'father', recipient: 'mother', time: '11:00 AM', location: 'mother_home' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break Final Exchange",
+        explanation: "Father drops off at 11:00 AM on Jan 2 at Mother's home (curbside). Mother has custody until school resumes."
+      }
+    },
+    {
+      id: 'winter_break_2026_mother_final',
+      level: 1,
+      when: { between: ['2026-01-03', '2026-01-04'] },
+      parent: 'mother',
+      note: 'Winter Break',
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break 2025/26 Schedule",
+        explanation: "Mother's final custody period of winter break, ending when school resumes."
+      }
+    },
+    {
+      // Jan 5, 2026 is a PD Day - Modifier A extends Mother's time to Tuesday
+      id: 'winter_break_2026_monday_extension',
+      level: 1,
+      when: { date: '2026-01-05' },
+      parent: 'mother',
+      note: 'Winter Break (PD Day - Keep Until Tue)',
+      notes: { father: 'Winter Break (PD Day - Mother Until Tue)', neutral: 'Winter Break (PD Day - Mother Until Tue)' },
+      holiday: 'Winter Break',
+      events: [],
+      citation: {
+        provision: 'Provision 12d + 16c',
+        title: "Monday Holiday Extension",
+        explanation: "Jan 5 is a PD Day (non-instruction). Per Provision 12d, Mother keeps custody until Tuesday school drop-off instead of Monday exchange."
+      }
+    },
+    {
+      id: 'winter_break_2026_return',
+      level: 1,
+      when: { date: '2026-01-06' },
+      parent: 'mother',
+      note: 'Return from Winter Break',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school' }
+      ],
+      citation: {
+        provision: 'Provision 16c',
+        title: "Return from Winter Break",
+        explanation: "Mother drops off at school on the first instruction day after winter break ends."
+      }
+    },
+
+    // ========================================================================
+    // LEVEL 2: RECURRING HOLIDAY OVERRIDES (Provision 16a, b, d, e)
+    // ========================================================================
+
+    {
+      id: 'halloween_mother',
+      level: 2,
+      when: { month: 9, day: 31, yearParity: 'odd' },
+      parent: 'mother',
+      note: 'Halloween (Odd Year)',
+      holiday: 'Halloween',
+      events: [],
+      citation: {
+        provision: 'Provision 16a',
+        title: "Halloween (Odd Year)",
+        explanation: "On odd-numbered years (2025, 2027, etc.), Mother has Halloween custody."
+      }
+    },
+    {
+      id: 'halloween_father',
+      level: 2,
+      when: { month: 9, day: 31, yearParity: 'even' },
+      parent: 'father',
+      note: 'Halloween (Even Year)',
+      holiday: 'Halloween',
+      events: [],
+      citation: {
+        provision: 'Provision 16a',
+        title: "Halloween (Even Year)",
+        explanation: "On even-numbered years (2026, 2028, etc.), Father has Halloween custody."
+      }
+    },
+
+    // Spring Break: split at the midpoint, 12:00 PM exchange
+    {
+      id: 'spring_break',
+      level: 2,
+      schedule: 'splitBreak',
+      holiday: 'Spring Break',
+      when: { schoolBreak: { name: 'spring', anchor: 'lastInstructionDay', through: 'returnDay' } },
+      params: {
+        break: 'spring',
+        label: 'Spring Break',
+        idPrefix: 'spring_break',
+        // Parity of the year the break starts in (2026 = even = Mother first)
+        firstHalf: { even: 'mother', odd: 'father' },
+        exchangeTime: '12:00 PM'
+      },
+      citation: {
+        provision: 'Provision 16d',
+        title: "Spring Break",
+        explanation: "Spring Break is split in two halves at the midpoint. Mother has the first half in even years, Father in odd years."
+      },
+      citations: {
+        'spring_break_start': {
+          provision: 'Provision 16d',
+          title: "Spring Break Starts",
+          explanation: "The first-half parent picks up from school on the last instruction day before Spring Break (Mother in even years, Father in odd years)."
+        },
+        'spring_break_first_half': {
+          provision: 'Provision 16d',
+          title: "Spring Break First Half",
+          explanation: "First half of Spring Break, until the 12:00 PM mid-break exchange. Mother in even years, Father in odd years."
+        },
+        'spring_break_holiday': {
+          provision: 'Provision 16d',
+          title: "School Holiday Next to Spring Break",
+          explanation: "A school holiday next to Spring Break (such as Cesar Chavez Day) is part of the break period and goes with the half it falls in."
+        },
+        'spring_break_exchange': {
+          provision: 'Provision 16d',
+          title: "Spring Break Mid-Break Exchange",
+          explanation: "Mid-break exchange at 12:00 PM curbside at the receiving parent's home, on the day closest to the exact middle of the break."
+        },
+        'spring_break_second_half': {
+          provision: 'Provision 16d',
+          title: "Spring Break Second Half",
+          explanation: "Second half of Spring Break, from the mid-break exchange until school resumes. Father in even years, Mother in odd years."
+        },
+        'spring_break_return': {
+          provision: 'Provision 16d',
+          title: "Return from Spring Break",
+          explanation: "The second-half parent drops off at school on the first instruction day after Spring Break. Whoever the regular schedule gives that evening to picks up."
+        }
+      }
+    },
+
+    // Thanksgiving Break: split the day after Thanksgiving, 12:00 PM exchange
+    {
+      id: 'thanksgiving_break',
+      level: 2,
+      schedule: 'splitBreak',
+      holiday: 'Thanksgiving',
+      when: { schoolBreak: { name: 'thanksgiving', anchor: 'lastInstructionDay', through: 'returnDay' } },
+      params: {
+        break: 'thanksgiving',
+        label: 'Thanksgiving Break',
+        idPrefix: 'thanksgiving',
+        // Parity of the year (2026 = even = Mother first, including Thanksgiving Day)
+        firstHalf: { even: 'mother', odd: 'father' },
+        exchangeTime: '12:00 PM',
+        exchangeOn: { month: 10, weekday: 4, n: 4, offset: 1 } // Day after Thanksgiving
+      },
+      citation: {
+        provision: 'Provision 16e',
+        title: "Thanksgiving Break",
+        explanation: "Thanksgiving Break is split in two halves. The first half includes Thanksgiving Day; the exchange is at 12:00 PM the day after Thanksgiving. Mother has the first half in even years, Father in odd years."
+      },
+      citations: {
+        'thanksgiving_start': {
+          provision: 'Provision 16e',
+          title: "Thanksgiving Break Starts",
+          explanation: "The first-half parent picks up from school on the last instruction day before Thanksgiving Break (Mother in even years, Father in odd years)."
+        },
+        'thanksgiving_first_half': {
+          provision: 'Provision 16e',
+          title: "Thanksgiving First Half",
+          explanation: "First half of Thanksgiving Break, including Thanksgiving Day, until the 12:00 PM exchange the day after Thanksgiving. Mother in even years, Father in odd years."
+        },
+        'thanksgiving_holiday': {
+          provision: 'Provision 16e',
+          title: "School Holiday Next to Thanksgiving Break",
+          explanation: "A school holiday next to Thanksgiving Break is part of the break period and goes with the half it falls in."
+        },
+        'thanksgiving_exchange': {
+          provision: 'Provision 16e',
+          title: "Thanksgiving Mid-Break Exchange",
+          explanation: "Mid-break exchange at 12:00 PM curbside on the day after Thanksgiving."
+        },
+        'thanksgiving_second_half': {
+          provision: 'Provision 16e',
+          title: "Thanksgiving Second Half",
+          explanation: "Second half of Thanksgiving Break, from the exchange the day after Thanksgiving until school resumes. Father in even years, Mother in odd years."
+        },
+        'thanksgiving_return': {
+          provision: 'Provision 16e',
+          title: "Return from Thanksgiving Break",
+          explanation: "The second-half parent drops off at school on the first instruction day after Thanksgiving Break. Whoever the regular schedule gives that evening to picks up."
+        }
+      }
+    },
+
+    // Winter Break 2026/27 onward (2025/26 is fixed at Level 1)
+    {
+      id: 'winter_break',
+      level: 2,
+      schedule: 'splitBreak',
+      holiday: 'Winter Break',
+      when: { schoolBreak: { name: 'winter', anchor: 'lastInstructionDay', through: 'returnDay' } },
+      params: {
+        break: 'winter',
+        label: 'Winter Break',
+        idPrefix: 'winter_break',
+        // Parity of the year the break starts in (2025 = odd = Mother first)
+        firstHalf: { odd: 'mother', even: 'father' },
+        exchangeTime: '11:00 AM',
+        christmas: { eveTime: '11:00 AM', dayTime: '11:00 AM' }
+      },
+      citation: {
+        provision: 'Provision 16c',
+        title: "Winter Break",
+        explanation: "Winter break is split in two halves at the midpoint. The first half alternates by year: Mother in odd years, Father in even years."
+      },
+      citations: {
+        'winter_break_start': {
+          provision: 'Provision 16c',
+          title: "Winter Break Starts",
+          explanation: "The first-half parent picks up from school on the last instruction day before winter break (Mother in odd years, Father in even years)."
+        },
+        'winter_break_first_half': {
+          provision: 'Provision 16c',
+          title: "Winter Break First Half",
+          explanation: "First half of winter break, from the last instruction day until the 11:00 AM midpoint exchange. Mother in odd years, Father in even years."
+        },
+        'winter_break_exchange': {
+          provision: 'Provision 16c',
+          title: "Winter Break Mid-Break Exchange",
+          explanation: "Midpoint exchange at 11:00 AM, curbside at the receiving parent's home, on the day closest to the exact middle of the break (from the first day off to the day school resumes)."
+        },
+        'winter_break_holiday': {
+          provision: 'Provision 16c',
+          title: "School Holiday Next to Winter Break",
+          explanation: "A school holiday next to winter break (such as a PD day) is part of the break period and goes with the half it falls in."
+        },
+        'winter_break_christmas_eve': {
+          provision: 'Provision 16c',
+          title: "Christmas Eve",
+          explanation: "The parent who does not have the half containing Christmas has Christmas Eve from 11:00 AM until 11:00 AM on Christmas Day."
+        },
+        'winter_break_christmas': {
+          provision: 'Provision 16c',
+          title: "Christmas Day Exchange",
+          explanation: "Christmas Day exchange at 11:00 AM, curbside. Custody returns to the parent whose half contains Christmas."
+        },
+        'winter_break_second_half': {
+          provision: 'Provision 16c',
+          title: "Winter Break Second Half",
+          explanation: "Second half of winter break, from the midpoint exchange until school resumes. Father in odd years, Mother in even years."
+        },
+        'winter_break_return': {
+          provision: 'Provision 16c',
+          title: "Return from Winter Break",
+          explanation: "The second-half parent drops off at school on the first instruction day after winter break. Whoever the regular schedule gives that evening to picks up."
+        }
+      }
+    },
+
+    // ========================================================================
+    // LEVEL 3: SEASONAL SCHEDULE (Provision 14a-f - Summer)
+    // ========================================================================
+
+    {
+      // Computed schedule: summer runs from the day after the last
+      // instruction day to the day before school starts again (from the
+      // school calendar). The rotation starts on the first Friday of summer
+      // and runs for `weeks` weeks, or fewer if school resumes first; any
+      // summer left after that follows the standard rotation. Each day gets
+      // its own summer_week_N_* rule ID (each cited below, for up to 8 weeks).
+      id: 'summer_rotation',
+      level: 3,
+      schedule: 'summerRotation',
+      when: { summer: true },
+      params: {
+        weeks: 8,
+        firstWeek: { even: 'mother', odd: 'mother' },  // Week 1 by year parity
+        exchangeDay: 5,       // Friday
+        exchangeTime: '4:00 PM',
+        exchangeVia: 'camp'
+      },
+      citation: {
+        provision: 'Provision 14a-f',
+        title: "Summer Rotation",
+        explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+      },
+      citations: {
+        'summer_start_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Rotation Begins",
+          explanation: "Week 1 is Mother's. Father drops off at 4:00 PM on the first Friday of summer at camp or Mother's home (curbside)."
+        },
+        'summer_week_1_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 1 (Mother)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_1_end_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 1 End",
+          explanation: "Mother drops off at 4:00 PM on Friday at camp or Father's home (curbside). Week 2 begins."
+        },
+        'summer_week_2_father': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 2 (Father)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_3_start_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 3 Start",
+          explanation: "Father drops off at 4:00 PM on Friday at camp or Mother's home (curbside). Week 3 begins."
+        },
+        'summer_week_3_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 3 (Mother)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_3_end_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 3 End",
+          explanation: "Mother drops off at 4:00 PM on Friday at camp or Father's home (curbside). Week 4 begins."
+        },
+        'summer_week_4_father': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 4 (Father)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_5_start_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 5 Start",
+          explanation: "Father drops off at 4:00 PM on Friday at camp or Mother's home (curbside). Week 5 begins."
+        },
+        'summer_week_5_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 5 (Mother)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_5_end_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 5 End",
+          explanation: "Mother drops off at 4:00 PM on Friday at camp or Father's home (curbside). Week 6 begins."
+        },
+        'summer_week_6_father': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 6 (Father)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_7_start_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 7 Start",
+          explanation: "Father drops off at 4:00 PM on Friday at camp or Mother's home (curbside). Week 7 begins."
+        },
+        'summer_week_7_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 7 (Mother)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_week_7_end_mother': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 7 End",
+          explanation: "Mother drops off at 4:00 PM on Friday at camp or Father's home (curbside). Week 8 begins."
+        },
+        'summer_week_8_father': {
+          provision: 'Provision 14a-f',
+          title: "Summer Week 8 (Father)",
+          explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
+        },
+        'summer_end_transition_mother': {
+          provision: 'Provision 14f',
+          title: "Return to Regular Schedule",
+          explanation: "The rotation ends on Friday at 4:00 PM. The parent whose regular weekend it is takes over and the standard rotation resumes."
+        },
+        'summer_end_transition_father': {
+          provision: 'Provision 14f',
+          title: "Return to Regular Schedule",
+          explanation: "The rotation ends on Friday at 4:00 PM. The parent whose regular weekend it is takes over and the standard rotation resumes."
+        }
+      }
+    },
+
+    // ========================================================================
+    // LEVEL 4: STANDARD WEEKLY ROTATION (Provision 12a-b)
+    // ========================================================================
+
+    // Monday after Mother's weekend
+    {
+      // Modifier A: Monday is not an instruction day - Mother keeps until Tuesday
+      id: 'monday_mother_holiday_extension',
+      level: 4,
+      when: { dayOfWeek: 1, instructionDay: false, daysBefore: { 1: { weekend: 'odd' } } },
+      parent: 'mother',
+      note: 'Holiday Extension (Keep Until Tue)',
+      notes: { father: 'Holiday Extension (Mother Until Tue)', neutral: 'Holiday Extension (Mother Until Tue)' },
+      events: [],
+      citation: {
+        provision: 'Provision 12d',
+        title: "Monday Holiday Extension",
+        explanation: "This Monday is not an instruction day, so Mother keeps custody until Tuesday school drop-off. This prevents ambiguous Monday exchanges."
+      }
+    },
+    {
+      id: 'monday_mother_return',
+      level: 4,
+      when: { dayOfWeek: 1, daysBefore: { 1: { weekend: 'odd' } } },
+      parent: 'mother',
+      note: 'End of Weekend',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school' }
+      ],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "End of Weekend",
+        explanation: "Monday after Mother's weekend. Mother drops off at school. Father has Monday-Thursday custody."
+      }
+    },
+    {
+      id: 'monday_father',
+      level: 4,
+      when: { dayOfWeek: 1 },
+      parent: 'father',
+      note: 'Regular Monday',
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Standard Monday (Father)",
+        explanation: "Regular Monday during Father's custody period (Monday 9:00 AM through Thursday pickup)."
+      }
+    },
+
+    // Tuesday
+    {
+      // Mother had them through a Monday holiday after her weekend
+      id: 'tuesday_mother_holiday_return',
+      level: 4,
+      when: { dayOfWeek: 2, daysBefore: { 1: { instructionDay: false }, 2: { weekend: 'odd' } } },
+      parent: 'mother',
+      note: 'Return from Holiday',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'father', time: '9:00 AM', location: 'father_home', when: { instructionDay: false } }
+      ],
+      citation: {
+        provision: 'Provision 12d',
+        title: "Return After Monday Holiday",
+        explanation: "Previous Monday was not an instruction day, so custody extended to Tuesday drop-off."
+      }
+    },
+    {
+      id: 'tuesday_father',
+      level: 4,
+      when: { dayOfWeek: 2 },
+      parent: 'father',
+      note: 'Regular Tuesday',
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Standard Tuesday (Father)",
+        explanation: "Regular Tuesday during Father's custody period."
+      }
+    },
+
+    // Wednesday
+    {
+      id: 'wednesday_father',
+      level: 4,
+      when: { dayOfWeek: 3 },
+      parent: 'father',
+      note: 'Regular Wednesday',
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Standard Wednesday (Father)",
+        explanation: "Regular Wednesday during Father's custody period."
+      }
+    },
+
+    // Thursday
+    {
+      id: 'thursday_mother',
+      level: 4,
+      when: { dayOfWeek: 4 },
+      parent: 'mother',
+      note: 'Thursday Overnight',
+      events: [
+        { actor: 'mother', recipient: 'mother', time: 'pickup', location: 'school', when: { instructionDay: true } }
+      ],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Thursday Overnight (Mother)",
+        explanation: "Mother picks up from school on Thursday and keeps custody through Friday morning. This gives Mother every Thursday overnight plus alternating weekends."
+      }
+    },
+
+    // Friday
+    {
+      // Provision 14f: 5th weekend is treated as odd (Mother's weekend)
+      id: 'friday_fifth_weekend',
+      level: 4,
+      when: { dayOfWeek: 5, fifthWeekend: true },
+      parent: 'mother',
+      note: '5th Weekend (Mother)',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'mother', time: 'pickup', location: 'school', when: { instructionDay: true } }
+      ],
+      citation: {
+        provision: 'Provision 14f',
+        title: "5th Weekend (Mother)",
+        explanation: "This month has 5 weekends. The 5th weekend is always Mother's, regardless of the regular odd/even rotation."
+      }
+    },
+    {
+      id: 'friday_mother_weekend',
+      level: 4,
+      when: { dayOfWeek: 5, weekend: 'odd' },
+      parent: 'mother',
+      note: 'Weekend Start',
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'mother', time: 'pickup', location: 'school', when: { instructionDay: true } }
+      ],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Odd Weekend Starts (Mother)",
+        explanation: "This is an odd-numbered weekend (1, 3, 5...). Mother has custody from Thursday pickup through Monday morning drop-off."
+      }
+    },
+    {
+      id: 'friday_father_weekend',
+      level: 4,
+      when: { dayOfWeek: 5 },
+      parent: 'father',
+      note: 'End of Your Time',
+      notes: { father: 'Your Weekend Starts', neutral: "Father's Weekend Starts" },
+      events: [
+        { actor: 'mother', recipient: 'school', time: '8:20 AM', location: 'school', when: { instructionDay: true } },
+        { actor: 'mother', recipient: 'father', time: '9:00 AM', location: 'father_home', when: { instructionDay: false } }
+      ],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Even Weekend Starts (Father)",
+        explanation: "This is an even-numbered weekend (2, 4, 6...). Mother drops off at school (or 9:00 AM at home if no school). Father has custody through Monday morning."
+      }
+    },
+
+    // Saturday
+    {
+      id: 'saturday_fifth_weekend',
+      level: 4,
+      when: { dayOfWeek: 6, fifthWeekend: true },
+      parent: 'mother',
+      note: '5th Weekend (Mother)',
+      events: [],
+      citation: {
+        provision: 'Provision 14f',
+        title: "5th Weekend (Mother)",
+        explanation: "This is the 5th weekend of the month, which always goes to Mother."
+      }
+    },
+    {
+      id: 'saturday_mother',
+      level: 4,
+      when: { dayOfWeek: 6, weekend: 'odd' },
+      parent: 'mother',
+      note: 'My Weekend',
+      notes: { father: 'Her Weekend', neutral: "Mother's Weekend" },
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Mother's Weekend",
+        explanation: "Odd weekend - Mother has custody from Friday afternoon through Monday morning."
+      }
+    },
+    {
+      id: 'saturday_father',
+      level: 4,
+      when: { dayOfWeek: 6 },
+      parent: 'father',
+      note: 'His Weekend',
+      notes: { father: 'Your Weekend', neutral: "Father's Weekend" },
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Father's Weekend",
+        explanation: "Even weekend - Father has custody from Friday afternoon through Monday morning."
+      }
+    },
+
+    // Sunday
+    {
+      id: 'sunday_fifth_weekend',
+      level: 4,
+      when: { dayOfWeek: 0, fifthWeekend: true },
+      parent: 'mother',
+      note: '5th Weekend (Mother)',
+      events: [],
+      citation: {
+        provision: 'Provision 14f',
+        title: "5th Weekend (Mother)",
+        explanation: "This is the 5th weekend of the month, which always goes to Mother."
+      }
+    },
+    {
+      id: 'sunday_mother',
+      level: 4,
+      when: { dayOfWeek: 0, weekend: 'odd' },
+      parent: 'mother',
+      note: 'My Weekend',
+      notes: { father: 'Her Weekend', neutral: "Mother's Weekend" },
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Mother's Weekend",
+        explanation: "Odd weekend - Mother has custody until Monday morning drop-off."
+      }
+    },
+    {
+      id: 'sunday_father',
+      level: 4,
+      when: { dayOfWeek: 0 },
+      parent: 'father',
+      note: 'His Weekend',
+      notes: { father: 'Your Weekend', neutral: "Father's Weekend" },
+      events: [],
+      citation: {
+        provision: 'Provision 12a-b',
+        title: "Father's Weekend",
+        explanation: "Even weekend - Father has custody until Monday morning."
+      }
+    }
+  ]
+};
+
+// Export for use in HTML (load before custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.CourtOrderRules = COURT_ORDER_RULES;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = COURT_ORDER_RULES;
+}
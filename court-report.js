@@ -0,0 +1,259 @@
+/**
+ * Court Exhibit Report
+ * Everything court-report.html prints for a date range: a month grid per
+ * month, every day with the provision that controls it, the exchanges and
+ * a legend of the precedence levels. Worded neutrally ("Mother → Father")
+ * so the pages can be attached to a declaration or brought to mediation.
+ * Used by court-report.html and `node court-report.js`.
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Custody engine and rule document
+ * In the browser both must be loaded before this file
+ */
+const REPORT_ENGINE = (typeof module !== 'undefined' && module.exports)
+  ? require('./custody-engine.js')
+  : window.CustodyEngine;
+
+const REPORT_RULES = (typeof module !== 'undefined' && module.exports)
+  ? require('./court-order-rules.js')
+  : window.CourtOrderRules;
+
+const REPORT_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const REPORT_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ============================================================================
+// 2. HELPERS
+// ============================================================================
+
+/**
+ * Local Date at midnight for 'YYYY-MM-DD' (or a copy of a Date)
+ */
+function parseReportDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function reportDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "Friday, January 16, 2026"
+ */
+function formatLongDate(date) {
+  return `${REPORT_WEEKDAYS[date.getDay()]}, ${REPORT_MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+// ============================================================================
+// 3. SECTIONS
+// ============================================================================
+
+/**
+ * A day of the range: the day's result with the provision cited. On a
+ * swapped day `swap` keeps what the court order would have given.
+ */
+function buildReportDay(result) {
+  const date = parseReportDate(result.date);
+  const swap = result.flags && result.flags.stipulatedSwap;
+
+  return {
+    date: result.date,
+    weekday: REPORT_WEEKDAYS[date.getDay()],
+    parent: result.parent,
+    level: result.matchedLevel,
+    rule: result.matchedRule,
+    provision: result.provision,
+    provisionTitle: result.provisionTitle,
+    note: result.note,
+    holiday: result.holiday || null,
+    swap: swap ? {
+      reason: swap.reason || '',
+      agreedAt: swap.agreedAt || null,
+      courtOrderParent: swap.original.parent,
+      courtOrderProvision: swap.original.provision
+    } : null,
+    exchanges: result.events.map(e => ({ time: e.time, title: e.title, location: e.location }))
+  };
+}
+
+/**
+ * Month grids covering the range, weeks starting on Sunday:
+ * [{ key, title, weeks: [[day or null x 7]] }]
+ * Days outside the range are { date, day, outside: true }
+ */
+function buildMonthGrids(days) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const first = parseReportDate(days[0].date);
+  const last = parseReportDate(days[days.length - 1].date);
+  const months = [];
+
+  for (let month = new Date(first.getFullYear(), first.getMonth(), 1); month <= last;
+    month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+    const weeks = [];
+    let week = new Array(month.getDay()).fill(null);
+
+    for (let date = new Date(month); date.getMonth() === month.getMonth(); date.setDate(date.getDate() + 1)) {
+      const key = reportDateKey(date);
+      week.push(byDate.get(key) ? { ...byDate.get(key), day: date.getDate() } : { date: key, day: date.getDate(), outside: true });
+      if (week.length === 7) {
+        weeks.push(week);
+        week = [];
+      }
+    }
+    if (week.length) weeks.push(week.concat(new Array(7 - week.length).fill(null)));
+
+    months.push({
+      key: reportDateKey(month).slice(0, 7),
+      title: `${REPORT_MONTHS[month.getMonth()]} ${month.getFullYear()}`,
+      weeks
+    });
+  }
+
+  return months;
+}
+
+/**
+ * Every exchange in the range, with counts by location and by who hands
+ * over to whom (the neutral title, e.g. "Mother → Father")
+ */
+function buildExchangeSummary(days) {
+  const list = [];
+  const byLocation = {};
+  const byDirection = {};
+
+  days.forEach(day => {
+    day.exchanges.forEach(e => {
+      list.push({ date: day.date, weekday: day.weekday, ...e, provision: day.provision });
+      byLocation[e.location] = (byLocation[e.location] || 0) + 1;
+      byDirection[e.title] = (byDirection[e.title] || 0) + 1;
+    });
+  });
+
+  return { total: list.length, byLocation, byDirection, list };
+}
+
+/**
+ * The provisions cited in the range, with their titles, explanations and
+ * how many days each controls (in order of first appearance)
+ */
+function buildCitedProvisions(results) {
+  const provisions = new Map();
+
+  results.forEach(result => {
+    const key = result.provision || 'Uncited';
+    if (!provisions.has(key)) {
+      provisions.set(key, {
+        provision: key,
+        title: result.provisionTitle || '',
+        explanation: result.provisionExplanation || '',
+        days: 0
+      });
+    }
+    provisions.get(key).days++;
+  });
+
+  return Array.from(provisions.values());
+}
+
+/**
+ * Legend of the precedence levels, with the days each controls in the range
+ */
+function buildLevelLegend(days) {
+  return REPORT_RULES.levels.map(level => ({
+    level: level.level,
+    name: level.name,
+    explanation: level.explanation,
+    days: days.filter(day => day.level === level.level).length
+  }));
+}
+
+// ============================================================================
+// 4. REPORT
+// ============================================================================
+
+/**
+ * The exhibit for start through end (both inclusive; Dates or
+ * 'YYYY-MM-DD'). Plain JSON-friendly object:
+ * - range: first and last day, number of days; prepared: the date it was made
+ * - daysByParent: calendar days per parent (see custody-stats.js for overnights)
+ * - levels: legend of precedence levels
+ * - months: month grids (see buildMonthGrids)
+ * - days: every day with its parent, level, rule and provision citation
+ * - exchanges: every exchange (see buildExchangeSummary)
+ * - provisions: the provisions cited, with their explanations
+ * options.child narrows pickup times to one child; options.prepared sets
+ * the preparation date (default today).
+ */
+function buildCourtReport(start, end, options = {}) {
+  const evalOptions = options.child ? { perspective: 'neutral', child: options.child } : { perspective: 'neutral' };
+  const results = REPORT_ENGINE.evaluateRange(start, end, evalOptions);
+  if (!results.length) throw new Error(`Empty report range ${start} - ${end}`);
+
+  const days = results.map(buildReportDay);
+  const daysByParent = { mother: 0, father: 0 };
+  days.forEach(day => { if (daysByParent[day.parent] !== undefined) daysByParent[day.parent]++; });
+
+  return {
+    range: {
+      start: days[0].date,
+      end: days[days.length - 1].date,
+      days: days.length,
+      label: `${formatLongDate(parseReportDate(days[0].date))} through ${formatLongDate(parseReportDate(days[days.length - 1].date))}`
+    },
+    prepared: formatLongDate(parseReportDate(options.prepared || new Date())),
+    child: options.child || null,
+    days,
+    daysByParent,
+    levels: buildLevelLegend(days),
+    months: buildMonthGrids(days),
+    exchanges: buildExchangeSummary(days),
+    provisions: buildCitedProvisions(results)
+  };
+}
+
+// ============================================================================
+// 5. EXPORT
+// ============================================================================
+
+const CourtReportAPI = {
+  buildCourtReport
+};
+
+// Export for use in HTML (load after custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.CourtReport = CourtReportAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourtReportAPI;
+
+  // CLI: node court-report.js <start YYYY-MM-DD> <end YYYY-MM-DD>
+  // Prints the report data as JSON (open court-report.html to print it)
+  if (require.main === module) {
+    const [start, end] = process.argv.slice(2);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '')) {
+      console.error('Usage: node court-report.js <start YYYY-MM-DD> <end YYYY-MM-DD>');
+      process.exit(1);
+    }
+
+    // Include agreed swaps, as court-report.html does
+    const fs = require('fs');
+    const swapFile = require('path').join(__dirname, 'agreed-swaps.json');
+    if (fs.existsSync(swapFile)) {
+      REPORT_ENGINE.SWAP_CALENDAR.loadSwaps(JSON.parse(fs.readFileSync(swapFile, 'utf8')));
+    }
+
+    console.log(JSON.stringify(buildCourtReport(start, end), null, 2));
+  }
+}
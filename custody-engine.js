@@ -9,58 +9,67 @@
 // ============================================================================
 
 /**
- * School Calendar: Boolean map of instruction days
- * Extracted from court order and school district calendar
- */
-const SCHOOL_CALENDAR = {
-  // School Year 2025-26 dates
-  SCHOOL_START_2025: new Date(2025, 7, 11), // Aug 11, 2025
-  SCHOOL_END_2026: new Date(2026, 4, 28),   // May 28, 2026
-  SCHOOL_START_2026: new Date(2026, 7, 10), // Aug 10, 2026
-
-  // Summer 2026 dates
-  SUMMER_START_2026: new Date(2026, 4, 29), // May 29, 2026
-  SUMMER_END_2026: new Date(2026, 6, 24),   // Jul 24, 2026
-
-  // Non-instruction days (no school)
-  NO_INSTRUCTION_DAYS: new Set([
-    // Winter Break 2025
-    '2025-12-22', '2025-12-23', '2025-12-24', '2025-12-25', '2025-12-26',
-    '2025-12-29', '2025-12-30', '2025-12-31',
-    // Winter Break continues 2026
-    '2026-01-01', '2026-01-02', '2026-01-05', // Jan 5 = PD Day
-    // MLK Day
-    '2026-01-19',
-    // Presidents Day
-    '2026-02-16',
-    // Spring Break
-    '2026-04-03', '2026-04-06', '2026-04-07', '2026-04-08', '2026-04-09', '2026-04-10',
-    // Memorial Day
-    '2026-05-25', '2026-05-29',
-    // Labor Day (Fall 2026)
-    '2026-09-07',
-    // Veterans Day
-    '2026-11-11',
-    // Thanksgiving Break
-    '2026-11-23', '2026-11-24', '2026-11-25', '2026-11-26', '2026-11-27',
-    // Winter Break 2026
-    '2026-12-21', '2026-12-22', '2026-12-23', '2026-12-24', '2026-12-25',
-    '2026-12-28', '2026-12-29', '2026-12-30', '2026-12-31'
-  ]),
-
-  // Minimum days (early release)
-  MINIMUM_DAYS: new Set([
-    '2025-11-10', '2025-11-11', '2025-11-13', '2025-11-14',
-    '2026-03-09', '2026-03-10', '2026-03-12', '2026-03-13',
-    '2026-05-28'
-  ])
-};
+ * Court order rule document (court-order-rules.js)
+ * In the browser it must be loaded before this file
+ */
+const RULE_DOCUMENT = (typeof module !== 'undefined' && module.exports)
+  ? require('./court-order-rules.js')
+  : window.CourtOrderRules;
+
+/**
+ * School Calendar (school-calendar.js): instruction days, minimum days,
+ * school breaks and summer windows for every loaded school year.
+ * In the browser it must be loaded before this file
+ */
+const SCHOOL_CALENDAR = (typeof module !== 'undefined' && module.exports)
+  ? require('./school-calendar.js')
+  : window.SchoolCalendar;
+
+/**
+ * Parent absences and first refusal answers (absence-calendar.js)
+ * In the browser it must be loaded before this file
+ */
+const ABSENCE_CALENDAR = (typeof module !== 'undefined' && module.exports)
+  ? require('./absence-calendar.js')
+  : window.AbsenceCalendar;
+
+/**
+ * Agreed schedule swaps (swap-calendar.js)
+ * In the browser it must be loaded before this file
+ */
+const SWAP_CALENDAR = (typeof module !== 'undefined' && module.exports)
+  ? require('./swap-calendar.js')
+  : window.SwapCalendar;
+
+/**
+ * Children, their schools and bell schedules (children.js)
+ * In the browser it must be loaded before this file
+ */
+const CHILD_REGISTRY = (typeof module !== 'undefined' && module.exports)
+  ? require('./children.js')
+  : window.Children;
+
+/**
+ * Rule ID, note and citation of days changed by an agreed swap
+ */
+const STIPULATED_SWAP = RULE_DOCUMENT.modifiers.stipulatedSwap;
+
+/**
+ * Right of First Refusal settings and citation (Provision 21)
+ */
+const FIRST_REFUSAL = RULE_DOCUMENT.modifiers.firstRefusal;
+
+/**
+ * Event and place wording per perspective (mother, father, neutral)
+ */
+const WORDING = RULE_DOCUMENT.wording;
 
 /**
  * Weekend Anchor: Dec 12, 2025 is Weekend #1 (Mother's odd weekend)
  * Used to calculate alternating weekend schedule
  */
-const WEEKEND_ANCHOR = new Date(2025, 11, 12, 12, 0, 0); // Dec 12, 2025 noon
+const WEEKEND_ANCHOR = parseDate(RULE_DOCUMENT.weekendAnchor);
+WEEKEND_ANCHOR.setHours(12, 0, 0, 0); // Dec 12, 2025 noon
 
 /**
  * Parent identifiers
@@ -79,28 +88,14 @@ const PARENT = {
  * Check if a date is an instruction day (school day with students)
  */
 function isInstructionDay(date) {
-  const dow = date.getDay();
-
-  // Weekends are never instruction days
-  if (dow === 0 || dow === 6) return false;
-
-  // Check if before school starts or after school ends
-  if (date < SCHOOL_CALENDAR.SCHOOL_START_2025) return false;
-  if (date > SCHOOL_CALENDAR.SCHOOL_END_2026 && date < SCHOOL_CALENDAR.SCHOOL_START_2026) return false;
-
-  // Check explicit no-instruction days
-  const dateStr = formatDate(date);
-  if (SCHOOL_CALENDAR.NO_INSTRUCTION_DAYS.has(dateStr)) return false;
-
-  return true;
+  return SCHOOL_CALENDAR.isInstructionDay(date);
 }
 
 /**
  * Check if a date is a minimum day
  */
 function isMinimumDay(date) {
-  const dateStr = formatDate(date);
-  return SCHOOL_CALENDAR.MINIMUM_DAYS.has(dateStr);
+  return SCHOOL_CALENDAR.isMinimumDay(date);
 }
 
 /**
@@ -113,6 +108,40 @@ function formatDate(date) {
   return `${y}-${m}-${d}`;
 }
 
+/**
+ * Parse YYYY-MM-DD into a local Date at midnight
+ */
+function parseDate(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Return a new date shifted by a number of days
+ */
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * Whole calendar days from one date to another (negative if `to` is earlier)
+ * Counts on the dates' calendar fields rather than the milliseconds between
+ * them, so a 23- or 25-hour day around a DST change is still one day.
+ */
+function daysBetween(from, to) {
+  const utc = d => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  return (utc(to) - utc(from)) / (1000 * 60 * 60 * 24);
+}
+
+/**
+ * Midnight of a Date or 'YYYY-MM-DD' (range arguments)
+ */
+function toCalendarDay(value) {
+  return typeof value === 'string' ? parseDate(value) : startOfDay(value);
+}
+
 /**
  * Get year parity (odd or even)
  */
@@ -139,8 +168,7 @@ function getWeekendNumber(date) {
   }
 
   // Calculate weeks from anchor (weekends alternate every 7 days)
-  const diffTime = d - WEEKEND_ANCHOR;
-  const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
+  const diffDays = daysBetween(WEEKEND_ANCHOR, d);
   const diffWeeks = Math.floor(diffDays / 7);
 
   // Anchor is week 0 = Odd weekend (Mother)
@@ -152,301 +180,111 @@ function getWeekendNumber(date) {
 }
 
 /**
- * Get pickup time based on minimum day status
+ * Parse a time like "4:00 PM" into { hours, minutes } (24-hour)
+ */
+function parseTimeOfDay(timeStr) {
+  const match = /(\d+):(\d+)\s*(AM|PM)/i.exec(timeStr || '');
+  if (!match) return { hours: 9, minutes: 0 };
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3].toUpperCase();
+
+  if (meridiem === 'PM' && hours !== 12) hours += 12;
+  else if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  return { hours, minutes };
+}
+
+/**
+ * Format the time of a Date like "4:00 PM"
+ */
+function formatTimeOfDay(date) {
+  const hours = date.getHours() % 12 || 12;
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Each child's school pickup time for a date (minimum days release early):
+ * [{ child, name, school, time }]
+ */
+function getPickupTimes(date) {
+  return CHILD_REGISTRY.getDismissalTimes(date, isMinimumDay(date));
+}
+
+/**
+ * Pickup time listing every child, e.g. "2:15 PM (Alfie) / 2:50 PM (Basil)"
  */
 function getPickupTime(date) {
-  if (isMinimumDay(date)) {
-    return "1:10 PM (Alfie) / 1:25 PM (Basil)";
-  }
-  return "2:15 PM (Alfie) / 2:50 PM (Basil)";
+  return getPickupTimes(date).map(p => `${p.time} (${p.name})`).join(' / ');
 }
 
 /**
- * Get provision information for a rule
+ * Morning drop-off time: the earliest bell of the children, since they are
+ * dropped off together
  */
-function getProvisionInfo(level, rule) {
-  const provisions = {
-    // Level 0: Super-Overrides
-    'mothers_day': {
-      provision: 'Provision 17',
-      title: "Mother's Day Override",
-      explanation: "Mother's Day always takes priority over all other custody arrangements. Mother has custody from 9:00 AM on Mother's Day until 9:00 AM the next day (or school drop-off)."
-    },
-    'mothers_day_return': {
-      provision: 'Provision 17',
-      title: "Mother's Day Return",
-      explanation: "Returning from Mother's Day custody back to regular schedule."
-    },
-    'fathers_day': {
-      provision: 'Provision 18',
-      title: "Father's Day Override",
-      explanation: "Father's Day always takes priority over all other custody arrangements. Father has custody from 9:00 AM on Father's Day until 9:00 AM the next day (or school drop-off)."
-    },
-    'mother_birthday': {
-      provision: 'Provision 17',
-      title: "Mother's Birthday Override",
-      explanation: "Your birthday always takes priority. You have custody from 9:00 AM on your birthday until 9:00 AM the next day (or school drop-off)."
-    },
-    'mother_birthday_return': {
-      provision: 'Provision 17',
-      title: "Birthday Return",
-      explanation: "Returning from birthday custody back to regular schedule."
-    },
-    'mother_birthday_weekend_continuation': {
-      provision: 'Provision 17',
-      title: "Birthday Weekend Continuation",
-      explanation: "Your birthday fell on your regular weekend, so custody continues seamlessly."
-    },
-
-    // Level 1: Fixed Winter Break Dates
-    'winter_break_2025_start': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "Specific winter break schedule: Mother picks up from school on the last instruction day before break."
-    },
-    'winter_break_2025_day2': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "During the first period of winter break (Dec 18 pickup through Dec 22, 11:00 AM), Mother has custody."
-    },
-    'winter_break_2025_mother_1st': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "First custody period of winter break - Mother has custody until Dec 22 at 11:00 AM exchange."
-    },
-    'winter_break_2025_exchange_1': {
-      provision: 'Provision 16c',
-      title: "Winter Break Mid-Break Exchange",
-      explanation: "Exchange at 11:00 AM curbside at Father's home. This is one of the scheduled mid-break exchanges."
-    },
-    'winter_break_2025_father': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "Father's custody period during winter break (Dec 22, 11:00 AM through Dec 25, 11:00 AM)."
-    },
-    'winter_break_2025_christmas': {
-      provision: 'Provision 16c',
-      title: "Winter Break Christmas Exchange",
-      explanation: "Father drops off at 11:00 AM on Christmas Day at Mother's home (curbside)."
-    },
-    'winter_break_2025_mother_2nd': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "Mother's second custody period during winter break (Dec 25, 11:00 AM through Dec 29, 11:00 AM)."
-    },
-    'winter_break_2025_exchange_2': {
-      provision: 'Provision 16c',
-      title: "Winter Break Mid-Break Exchange",
-      explanation: "Exchange at 11:00 AM curbside at Father's home."
-    },
-    'winter_break_2025_father_nye': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "Father's custody period includes New Year's Eve (Dec 29, 11:00 AM through Jan 2, 11:00 AM)."
-    },
-    'winter_break_2026_new_year': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "Father has custody through New Year's Day until Jan 2 at 11:00 AM."
-    },
-    'winter_break_2026_exchange_3': {
-      provision: 'Provision 16c',
-      title: "Winter Break Final Exchange",
-      explanation: "Father drops off at 11:00 AM on Jan 2 at Mother's home (curbside). Mother has custody until school resumes."
-    },
-    'winter_break_2026_mother_final': {
-      provision: 'Provision 16c',
-      title: "Winter Break 2025/26 Schedule",
-      explanation: "Mother's final custody period of winter break, ending when school resumes."
-    },
-    'winter_break_2026_monday_extension': {
-      provision: 'Provision 12d + 16c',
-      title: "Monday Holiday Extension",
-      explanation: "Jan 5 is a PD Day (non-instruction). Per Provision 12d, Mother keeps custody until Tuesday school drop-off instead of Monday exchange."
-    },
-    'winter_break_2026_return': {
-      provision: 'Provision 16c',
-      title: "Return from Winter Break",
-      explanation: "Mother drops off at school on the first instruction day after winter break ends."
-    },
-
-    // Level 2: Recurring Holidays
-    'halloween_mother': {
-      provision: 'Provision 16a',
-      title: "Halloween (Odd Year)",
-      explanation: "On odd-numbered years (2025, 2027, etc.), Mother has Halloween custody."
-    },
-    'halloween_father': {
-      provision: 'Provision 16a',
-      title: "Halloween (Even Year)",
-      explanation: "On even-numbered years (2026, 2028, etc.), Father has Halloween custody."
-    },
-    'spring_break_2026_start': {
-      provision: 'Provision 16d',
-      title: "Spring Break 2026",
-      explanation: "Mother picks up from school on the last instruction day before Spring Break."
-    },
-    'spring_break_2026_cesar_chavez': {
-      provision: 'Provision 16d',
-      title: "Spring Break - Cesar Chavez Day",
-      explanation: "Mother has custody during Cesar Chavez Day (part of Spring Break period)."
-    },
-    'spring_break_2026_mother_half': {
-      provision: 'Provision 16d',
-      title: "Spring Break First Half (Even Year)",
-      explanation: "On even years, Mother has the first half of Spring Break until the mid-break exchange."
-    },
-    'spring_break_2026_exchange': {
-      provision: 'Provision 16d',
-      title: "Spring Break Mid-Break Exchange",
-      explanation: "Mid-break exchange at 12:00 PM curbside. In even years, Mother drops off to Father."
-    },
-    'spring_break_2026_father_half': {
-      provision: 'Provision 16d',
-      title: "Spring Break Second Half (Even Year)",
-      explanation: "On even years, Father has the second half of Spring Break after the mid-break exchange."
-    },
-    'thanksgiving_2026_start': {
-      provision: 'Provision 16e',
-      title: "Thanksgiving Break 2026",
-      explanation: "Mother picks up from school on the last instruction day before Thanksgiving Break."
-    },
-    'thanksgiving_2026_mother_half': {
-      provision: 'Provision 16e',
-      title: "Thanksgiving First Half (Even Year)",
-      explanation: "On even years, Mother has the first half of Thanksgiving Break including Thanksgiving Day."
-    },
-    'thanksgiving_2026_exchange': {
-      provision: 'Provision 16e',
-      title: "Thanksgiving Mid-Break Exchange",
-      explanation: "Mid-break exchange at 12:00 PM curbside on the day after Thanksgiving."
-    },
-    'thanksgiving_2026_father_half': {
-      provision: 'Provision 16e',
-      title: "Thanksgiving Second Half (Even Year)",
-      explanation: "On even years, Father has the second half of Thanksgiving Break after the mid-break exchange."
-    },
-
-    // Level 3: Summer Schedule
-    'summer_week_1_mother': {
-      provision: 'Provision 14a-f',
-      title: "Summer Week 1 (Mother)",
-      explanation: "8-week summer rotation: Weeks 1, 3, 5, 7 are Mother's. Exchanges at Friday 4:00 PM."
-    },
-    'summer_week_1_end_mother': {
-      provision: 'Provision 14a-f',
-      title: "Summer Week 1 End",
-      explanation: "Mother drops off at 4:00 PM on Friday at camp or Father's home (curbside)."
-    },
-    'summer_week_2_start_mother': {
-      provision: 'Provision 14a-f',
-      title: "Summer Week 2 Start",
-      explanation: "Father drops off at 4:00 PM on Friday at camp or Mother's home (curbside). Week 2 begins."
-    },
-
-    // Level 4: Standard Rotation
-    'monday_mother_return': {
-      provision: 'Provision 12a-b',
-      title: "End of Weekend",
-      explanation: "Monday after Mother's weekend. Mother drops off at school. Father has Monday-Thursday custody."
-    },
-    'monday_mother_holiday_extension': {
-      provision: 'Provision 12d',
-      title: "Monday Holiday Extension",
-      explanation: "This Monday is not an instruction day, so Mother keeps custody until Tuesday school drop-off. This prevents ambiguous Monday exchanges."
-    },
-    'monday_father': {
-      provision: 'Provision 12a-b',
-      title: "Standard Monday (Father)",
-      explanation: "Regular Monday during Father's custody period (Monday 9:00 AM through Thursday pickup)."
-    },
-    'tuesday_mother_holiday_return': {
-      provision: 'Provision 12d',
-      title: "Return After Monday Holiday",
-      explanation: "Previous Monday was not an instruction day, so custody extended to Tuesday drop-off."
-    },
-    'tuesday_father': {
-      provision: 'Provision 12a-b',
-      title: "Standard Tuesday (Father)",
-      explanation: "Regular Tuesday during Father's custody period."
-    },
-    'wednesday_father': {
-      provision: 'Provision 12a-b',
-      title: "Standard Wednesday (Father)",
-      explanation: "Regular Wednesday during Father's custody period."
-    },
-    'thursday_mother': {
-      provision: 'Provision 12a-b',
-      title: "Thursday Overnight (Mother)",
-      explanation: "Mother picks up from school on Thursday and keeps custody through Friday morning. This gives Mother every Thursday overnight plus alternating weekends."
-    },
-    'friday_mother_weekend': {
-      provision: 'Provision 12a-b',
-      title: "Odd Weekend Starts (Mother)",
-      explanation: "This is an odd-numbered weekend (1, 3, 5...). Mother has custody from Thursday pickup through Monday morning drop-off."
-    },
-    'friday_father_weekend': {
-      provision: 'Provision 12a-b',
-      title: "Even Weekend Starts (Father)",
-      explanation: "This is an even-numbered weekend (2, 4, 6...). Mother drops off at school (or 9:00 AM at home if no school). Father has custody through Monday morning."
-    },
-    'friday_fifth_weekend': {
-      provision: 'Provision 14f',
-      title: "5th Weekend (Mother)",
-      explanation: "This month has 5 weekends. The 5th weekend is always Mother's, regardless of the regular odd/even rotation."
-    },
-    'saturday_mother': {
-      provision: 'Provision 12a-b',
-      title: "Mother's Weekend",
-      explanation: "Odd weekend - Mother has custody from Friday afternoon through Monday morning."
-    },
-    'saturday_father': {
-      provision: 'Provision 12a-b',
-      title: "Father's Weekend",
-      explanation: "Even weekend - Father has custody from Friday afternoon through Monday morning."
-    },
-    'saturday_fifth_weekend': {
-      provision: 'Provision 14f',
-      title: "5th Weekend (Mother)",
-      explanation: "This is the 5th weekend of the month, which always goes to Mother."
-    },
-    'sunday_mother': {
-      provision: 'Provision 12a-b',
-      title: "Mother's Weekend",
-      explanation: "Odd weekend - Mother has custody until Monday morning drop-off."
-    },
-    'sunday_father': {
-      provision: 'Provision 12a-b',
-      title: "Father's Weekend",
-      explanation: "Even weekend - Father has custody until Monday morning."
-    },
-    'sunday_fifth_weekend': {
-      provision: 'Provision 14f',
-      title: "5th Weekend (Mother)",
-      explanation: "This is the 5th weekend of the month, which always goes to Mother."
-    }
+function getDropOffTime() {
+  const times = CHILD_REGISTRY.getDropOffTimes().map(d => d.time);
+  const minutes = time => {
+    const { hours, minutes: mins } = parseTimeOfDay(time);
+    return hours * 60 + mins;
   };
+  return times.sort((a, b) => minutes(a) - minutes(b))[0];
+}
 
-  return provisions[rule] || {
+/**
+ * Index of provision citations by rule ID, built once from the rule document
+ */
+const PROVISION_INDEX = buildProvisionIndex(RULE_DOCUMENT);
+
+function buildProvisionIndex(doc) {
+  const index = {};
+  doc.rules.forEach(rule => {
+    index[rule.id] = rule.citation;
+    Object.keys(rule.citations || {}).forEach(id => {
+      index[id] = rule.citations[id];
+    });
+  });
+  Object.values(doc.modifiers || {}).forEach(modifier => {
+    index[modifier.id] = modifier.citation;
+  });
+  return index;
+}
+
+/**
+ * Notes for other perspectives by rule ID ({ father, neutral })
+ */
+const NOTE_INDEX = RULE_DOCUMENT.rules.reduce((index, rule) => {
+  if (rule.notes) index[rule.id] = rule.notes;
+  return index;
+}, {});
+
+/**
+ * Get provision information for a rule
+ */
+function getProvisionInfo(level, rule) {
+  return PROVISION_INDEX[rule] || {
     provision: `Level ${level}`,
     title: rule,
     explanation: 'Court order provision applies.'
   };
 }
 
+/**
+ * Whether getProvisionInfo has a citation for a rule ID (otherwise it falls
+ * back to "Level N")
+ */
+function isCitedRule(rule) {
+  return Boolean(PROVISION_INDEX[rule]);
+}
+
 /**
  * Get level explanation
  */
 function getLevelExplanation(level) {
-  const explanations = {
-    0: "Special Days: These are specific days that always take priority, like Mother's Day, Father's Day, and both parents' birthdays. They override all other schedule rules.",
-    1: "Winter Break Schedule: This is the specific custody arrangement for the winter break period (December-January) spelled out in your court order. It overrides the regular weekly schedule during these dates.",
-    2: "Holiday Rules: These are other major holidays like Halloween, Thanksgiving, and Spring Break that have their own custody arrangements. Each holiday may be split between both parents or assigned to one parent for the full period.",
-    3: "Summer Rotation: During the summer months, custody follows an 8-week rotating schedule that alternates between parents. This gives you longer continuous blocks of time with your daughter.",
-    4: "Regular Schedule: This is your standard weekly custody arrangement when none of the special rules above apply—your regular weekdays and weekends based on the court order."
-  };
-
-  return explanations[level] || 'Court order provision applies.';
+  const entry = RULE_DOCUMENT.levels.find(l => l.level === level);
+  return entry ? entry.explanation : 'Court order provision applies.';
 }
 
 /**
@@ -458,7 +296,7 @@ function createResult(parent, events = [], note = '', level = null, rule = null,
 
   return {
     parent,           // 'mother', 'father', or null
-    events,           // Array of {type, title, time, location}
+    events: resolveSchoolDrops(events).map(e => wordEvent(e, 'mother')), // See createEvent
     note,             // Display note
     matchedLevel: level,  // Which level matched (0-4)
     matchedRule: rule,    // Which specific rule matched
@@ -471,35 +309,145 @@ function createResult(parent, events = [], note = '', level = null, rule = null,
 }
 
 /**
- * Create an event object
+ * Create an exchange event: `actor` drives her to `recipient` (a parent, or
+ * 'school') at a location ID, optionally trying `via` first (e.g. 'camp').
+ * Results carry events worded for a perspective (see wordEvent):
+ * { type, title, time, location, actor, recipient, locationId, via, pickups }
  */
-function createEvent(type, title, time, location) {
-  return { type, title, time, location };
+function createEvent(actor, recipient, time, location, via = null) {
+  return { time, actor, recipient, locationId: location, via, pickups: null };
 }
 
 /**
- * Check if a month has a 5th weekend
- * Per Provision 14f, 5th weekends are treated as "odd" (Mother's time)
+ * Exchange at school pickup: `time` lists every child's dismissal and
+ * `pickups` has them one by one (see getPickupTimes)
  */
-function hasFifthWeekend(year, month) {
-  // Count how many Fridays are in the month
-  let fridayCount = 0;
-  const daysInMonth = new Date(year, month + 1, 0).getDate();
+function createPickupEvent(actor, recipient, date, location) {
+  return { ...createEvent(actor, recipient, getPickupTime(date), location), pickups: getPickupTimes(date) };
+}
 
-  for (let day = 1; day <= daysInMonth; day++) {
-    const date = new Date(year, month, day);
-    if (date.getDay() === 5) { // Friday
-      fridayCount++;
-    }
+/**
+ * Work out who has her after each school drop-off of a day: the actor
+ * again if the actor picks her up later that day (recipient stays
+ * 'school'), otherwise the other parent
+ */
+function resolveSchoolDrops(events) {
+  return events.map(event => {
+    if (event.recipient !== 'school') return event;
+
+    const at = parseTimeOfDay(event.time);
+    const returns = events.some(other => {
+      const otherAt = parseTimeOfDay(other.time);
+      return other.recipient === event.actor &&
+        (otherAt.hours * 60 + otherAt.minutes) > (at.hours * 60 + at.minutes);
+    });
+
+    return returns ? event : { ...event, recipient: getOtherParent(event.actor) };
+  });
+}
+
+/**
+ * Word an event for a perspective: its `type`, `title` and `location`
+ * - Parent views: pick, drop, receive, or notice for the other parent's
+ *   own pickups and drop-offs (titles from WORDING)
+ * - Neutral view: handoff, titled "Mother → Father" (the school stands in
+ *   on pickups and on drop-offs the same parent collects again)
+ */
+function wordEvent(event, perspective) {
+  const wording = WORDING[perspective];
+  const place = id => wording.locations[id] || id;
+  const { time, actor, recipient, locationId, via } = event;
+  let type;
+  let title;
+
+  if (perspective === 'neutral') {
+    const from = actor === recipient ? locationId : actor;
+    type = 'handoff';
+    title = `${wording.names[from] || place(from)} → ${wording.names[recipient] || place(recipient)}`;
+  } else if (actor === perspective) {
+    type = recipient === perspective ? 'pick' : 'drop';
+    title = wording.titles[type];
+  } else if (recipient === perspective) {
+    type = 'receive';
+    title = wording.titles.receive;
+  } else {
+    type = 'notice';
+    title = wording.titles[recipient === actor ? 'otherPick' : 'otherDrop'];
   }
 
-  return fridayCount === 5;
+  return {
+    type,
+    title,
+    time,
+    location: via ? `${place(via)} or ${place(locationId)}` : place(locationId),
+    actor,
+    recipient,
+    locationId,
+    via,
+    pickups: event.pickups || null
+  };
+}
+
+/**
+ * Narrow the school pickups of a result to one child: each pickup takes
+ * that child's time and school, so exchange instants are exact for the child
+ */
+function applyChildFilter(result, child) {
+  if (!child) return result;
+
+  return {
+    ...result,
+    events: result.events.map(event => {
+      const pickup = (event.pickups || []).find(p => p.child === child);
+      if (!pickup) return event;
+      return wordEvent({ ...event, time: pickup.time, locationId: pickup.school, pickups: [pickup] }, 'mother');
+    })
+  };
+}
+
+/**
+ * Word a result for a perspective (results are built in Mother's words)
+ */
+function applyPerspective(result, perspective) {
+  if (perspective === 'mother') return result;
+
+  const notes = NOTE_INDEX[result.matchedRule];
+  return {
+    ...result,
+    note: (notes && notes[perspective]) || result.note,
+    events: result.events.map(event => wordEvent(event, perspective))
+  };
+}
+
+/**
+ * Check if a month has a 5th weekend
+ * Per Provision 14f, 5th weekends are treated as "odd" (Mother's time)
+ */
+function hasFifthWeekend(year, month) {
+  return getFifthFriday(year, month) !== null;
 }
 
 /**
  * Get the 5th Friday of a month (if it exists)
  */
 function getFifthFriday(year, month) {
+  return getMonthFacts(year, month).fifthFriday;
+}
+
+/**
+ * Facts about a month, worked out once per month: { fifthFriday }
+ */
+const MONTH_FACTS = new Map();
+
+function getMonthFacts(year, month) {
+  const key = `${year}-${month}`;
+  if (!MONTH_FACTS.has(key)) {
+    MONTH_FACTS.set(key, { fifthFriday: findFifthFriday(year, month) });
+  }
+  return MONTH_FACTS.get(key);
+}
+
+function findFifthFriday(year, month) {
   let fridayCount = 0;
   const daysInMonth = new Date(year, month + 1, 0).getDate();
 
@@ -540,28 +488,6 @@ function isFifthWeekend(date) {
   return false;
 }
 
-/**
- * Modifier C: Right of First Refusal (Provision 21)
- * Check if the non-custodial parent should be notified of extended absence
- * Returns flag if current parent will be absent > 24 hours
- */
-function checkRightOfFirstRefusal(date, parent, prevDate = null, nextDate = null) {
-  // This is a simplified implementation
-  // In a full system, you would track actual parent availability/absence
-  // For now, we just flag that the rule exists and should be checked
-
-  // The actual implementation would need:
-  // 1. Parent availability calendar
-  // 2. Track consecutive days with same parent
-  // 3. Check if parent has indicated absence > 24 hours
-  // 4. Flag for other parent to claim those hours
-
-  return {
-    shouldCheck: true,
-    message: 'If absent >24 hours, notify other parent for first refusal'
-  };
-}
-
 // ============================================================================
 // 3. HIERARCHICAL RULES ENGINE
 // ============================================================================
@@ -569,41 +495,141 @@ function checkRightOfFirstRefusal(date, parent, prevDate = null, nextDate = null
 /**
  * Main evaluation function: evaluates date through hierarchy
  * Returns the first match from Level 0 down to Level 4
+ * options.perspective words events and notes for 'mother' (default),
+ * 'father' or 'neutral'; custody itself is the same in every view.
+ * options.child narrows school pickups to one child (ID from children.js).
+ * options.swaps: false gives the court order schedule without agreed swaps.
  */
 function evaluateCustody(date, options = {}) {
+  const perspective = options.perspective || 'mother';
+  if (!WORDING[perspective]) {
+    throw new Error(`Unknown perspective "${perspective}" (expected ${Object.keys(WORDING).join(', ')})`);
+  }
+  if (options.child && !CHILD_REGISTRY.getChild(options.child)) {
+    const ids = CHILD_REGISTRY.getChildren().map(child => child.id);
+    throw new Error(`Unknown child "${options.child}" (expected ${ids.join(', ')})`);
+  }
+
   // Normalize date to midnight
   const evalDate = new Date(date);
   evalDate.setHours(0, 0, 0, 0);
 
+  const result = evaluateDay(evalDate);
+  const modified = applyModifiers({ ...result, events: result.events.slice(), flags: { ...result.flags } }, evalDate, options);
+  return applyPerspective(applyChildFilter(modified, options.child), perspective);
+}
+
+/**
+ * Evaluate every day from start through end (both inclusive; Dates or
+ * 'YYYY-MM-DD'). Returns the results in date order, each with its `date`.
+ */
+function evaluateRange(start, end, options = {}) {
+  const first = toCalendarDay(start);
+  const days = daysBetween(first, toCalendarDay(end));
+  const results = [];
+
+  // Count days rather than compare times: where DST starts at midnight the
+  // day begins at 1:00 AM and would compare later than a midnight end date
+  for (let i = 0; i <= days; i++) {
+    const day = addDays(first, i);
+    results.push({ date: formatDate(day), ...evaluateCustody(day, options) });
+  }
+
+  return results;
+}
+
+/**
+ * Results by day before modifiers, kept until the school calendar changes.
+ * Results are copied on the way out, so callers may change their copy.
+ */
+const RESULT_CACHE = new Map();
+const RESULT_CACHE_LIMIT = 20000;
+let RESULT_CACHE_REVISION = SCHOOL_CALENDAR.getRevision();
+
+/**
+ * Evaluate the hierarchy for a day (memoized)
+ */
+function evaluateDay(date) {
+  const revision = SCHOOL_CALENDAR.getRevision();
+  if (revision !== RESULT_CACHE_REVISION || RESULT_CACHE.size >= RESULT_CACHE_LIMIT) {
+    RESULT_CACHE.clear();
+    SUMMER_PLANS.clear();
+    RESULT_CACHE_REVISION = revision;
+  }
+
+  const key = formatDate(date);
+  if (RESULT_CACHE.has(key)) return RESULT_CACHE.get(key);
+
   // Evaluate hierarchy from Level 0 down
   let result = null;
+  for (const { level } of RULE_DOCUMENT.levels) {
+    result = evaluateLevel(level, date);
+    if (result) break;
+  }
+
+  // Fallback (should never reach here)
+  if (!result) result = createResult(PARENT.FATHER, [], 'No rule matched', null, 'fallback');
 
-  result = evaluateLevel0_SuperOverrides(evalDate);
-  if (result) return applyModifiers(result, evalDate, options);
+  RESULT_CACHE.set(key, result);
+  return result;
+}
 
-  result = evaluateLevel1_FixedDates(evalDate);
-  if (result) return applyModifiers(result, evalDate, options);
+/**
+ * Evaluate every rule of one level in document order; first match wins
+ */
+function evaluateLevel(level, date) {
+  for (const rule of RULE_DOCUMENT.rules) {
+    if (rule.level !== level) continue;
 
-  result = evaluateLevel2_RecurringHolidays(evalDate);
-  if (result) return applyModifiers(result, evalDate, options);
+    const result = evaluateRule(rule, date);
+    if (result) return result;
+  }
 
-  result = evaluateLevel3_SeasonalSchedule(evalDate);
-  if (result) return applyModifiers(result, evalDate, options);
+  return null; // No match at this level
+}
 
-  result = evaluateLevel4_StandardRotation(evalDate);
-  if (result) return applyModifiers(result, evalDate, options);
+/**
+ * Apply one rule from the document to a date
+ * Results of rules with a `holiday` carry it (computed schedules can leave a
+ * day out by setting `holiday: null` themselves)
+ */
+function evaluateRule(rule, date) {
+  if (!matchesSelector(date, rule.when)) return null;
+
+  let result;
+
+  // Computed schedules produce their own per-day results
+  if (rule.schedule) {
+    const schedule = SCHEDULES[rule.schedule];
+    if (!schedule) throw new Error(`Unknown schedule "${rule.schedule}" in rule ${rule.id}`);
+    result = schedule(date, rule);
+  } else {
+    result = createResult(rule.parent, buildEvents(rule.events, date), rule.note, rule.level, rule.id);
+  }
 
-  // Fallback (should never reach here)
-  return createResult(PARENT.FATHER, [], 'No rule matched', null, 'fallback');
+  if (result && rule.holiday && result.holiday === undefined) result.holiday = rule.holiday;
+  return result;
 }
 
 /**
  * Apply global modifiers to the result
  */
 function applyModifiers(result, date, options = {}) {
-  // Apply Modifier C: Right of First Refusal
+  // Agreed swaps replace the court order's answer on their days
+  // (swaps: false gives the court order schedule without them)
+  if (options.swaps !== false) {
+    result = applyStipulatedSwap(result, date);
+  }
+
+  // Apply Modifier C: Right of First Refusal - accepted offers reassign hours
+  // (firstRefusal: false gives the schedule without them)
+  if (options.firstRefusal !== false) {
+    result = applyFirstRefusal(result, date);
+  }
+
+  // Flag days with offers still waiting for an answer
   if (options.checkRightOfFirstRefusal) {
-    const rofrCheck = checkRightOfFirstRefusal(date, result.parent);
+    const rofrCheck = checkRightOfFirstRefusal(date);
     if (rofrCheck.shouldCheck) {
       result.flags = result.flags || {};
       result.flags.rightOfFirstRefusal = rofrCheck;
@@ -614,81 +640,113 @@ function applyModifiers(result, date, options = {}) {
 }
 
 // ============================================================================
-// LEVEL 0: SUPER-OVERRIDES (Provision 17 & 18)
+// DATE SELECTORS (see court-order-rules.js for the vocabulary)
 // ============================================================================
 
-function evaluateLevel0_SuperOverrides(date) {
-  const month = date.getMonth();
-  const day = date.getDate();
-  const year = date.getFullYear();
-  const dow = date.getDay();
+/**
+ * Check whether a date satisfies every condition of a `when` selector
+ */
+function matchesSelector(date, when = {}) {
+  return findSelectorMismatch(date, when) === null;
+}
 
-  // Mother's Day (2nd Sunday of May)
-  if (month === 4) {
-    const mothersDay = getNthWeekdayOfMonth(year, 4, 0, 2); // 2nd Sunday of May
-    if (day === mothersDay) {
-      const events = [
-        createEvent('receive', 'HE DROPS OFF', '9:00 AM', 'Your Home (Curbside)')
-      ];
-      return createResult(PARENT.MOTHER, events, "Mother's Day", 0, 'mothers_day');
-    }
+/**
+ * First condition of a `when` selector the date fails, as its key (nested
+ * daysBefore conditions as e.g. 'daysBefore.1.weekend'), or null if it matches
+ */
+function findSelectorMismatch(date, when = {}) {
+  const dateStr = formatDate(date);
+  const year = date.getFullYear();
 
-    // Day after Mother's Day - return to regular schedule
-    if (day === mothersDay + 1) {
-      const events = [];
-      if (isInstructionDay(date)) {
-        events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-      } else {
-        events.push(createEvent('drop', 'YOU DROP OFF', '9:00 AM', "His House (Curbside)"));
-      }
-      return createResult(PARENT.MOTHER, events, "Return from Mother's Day", 0, 'mothers_day_return');
+  if (when.date !== undefined && dateStr !== when.date) return 'date';
+  if (when.between && (dateStr < when.between[0] || dateStr > when.between[1])) return 'between';
+  if (when.year !== undefined && year !== when.year) return 'year';
+  if (when.month !== undefined && date.getMonth() !== when.month) return 'month';
+  if (when.day !== undefined && date.getDate() !== when.day) return 'day';
+  if (when.dayOfWeek !== undefined && ![].concat(when.dayOfWeek).includes(date.getDay())) return 'dayOfWeek';
+  if (when.yearParity && getYearParity(year) !== when.yearParity) return 'yearParity';
+  if (when.nthWeekday && !matchesNthWeekday(date, when.nthWeekday)) return 'nthWeekday';
+  if (when.schoolBreak && !matchesSchoolBreak(date, when.schoolBreak)) return 'schoolBreak';
+  if (when.weekend && getWeekendNumber(date) !== when.weekend) return 'weekend';
+  if (when.fifthWeekend !== undefined && isFifthWeekend(date) !== when.fifthWeekend) return 'fifthWeekend';
+  if (when.instructionDay !== undefined && isInstructionDay(date) !== when.instructionDay) return 'instructionDay';
+  if (when.summer !== undefined && isSummerDay(date) !== when.summer) return 'summer';
+
+  if (when.daysBefore) {
+    for (const days of Object.keys(when.daysBefore)) {
+      const mismatch = findSelectorMismatch(addDays(date, -Number(days)), when.daysBefore[days]);
+      if (mismatch) return `daysBefore.${days}.${mismatch}`;
     }
   }
 
-  // Father's Day (3rd Sunday of June)
-  if (month === 5) {
-    const fathersDay = getNthWeekdayOfMonth(year, 5, 0, 3); // 3rd Sunday of June
-    if (day === fathersDay) {
-      return createResult(PARENT.FATHER, [], "Father's Day", 0, 'fathers_day');
-    }
-  }
+  return null;
+}
 
-  // Mother's Birthday (October 2)
-  if (month === 9 && day === 2) {
-    const events = [];
-    if (isInstructionDay(date)) {
-      events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-      events.push(createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School'));
-    } else {
-      events.push(createEvent('receive', 'HE DROPS OFF', '9:00 AM', 'Your Home (Curbside)'));
-    }
-    return createResult(PARENT.MOTHER, events, 'Your Birthday', 0, 'mother_birthday');
-  }
+/**
+ * nthWeekday selector: { month, weekday, n, offset }
+ * e.g. { month: 4, weekday: 0, n: 2, offset: 1 } = day after Mother's Day
+ */
+function matchesNthWeekday(date, { month, weekday, n, offset = 0 }) {
+  const nth = getNthWeekdayOfMonth(date.getFullYear(), month, weekday, n);
+  if (nth === -1) return false;
 
-  // Day after Mother's birthday
-  if (month === 9 && day === 3) {
-    // Check if it's already Mother's weekend - if so, she keeps them
-    const weekendType = getWeekendNumber(date);
-    if (weekendType === 'odd') {
-      return createResult(PARENT.MOTHER, [], 'My Weekend (Cont.)', 0, 'mother_birthday_weekend_continuation');
-    } else {
-      const events = [];
-      if (isInstructionDay(date)) {
-        events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-      } else {
-        events.push(createEvent('drop', 'YOU DROP OFF', '9:00 AM', "His House (Curbside)"));
-      }
-      return createResult(PARENT.MOTHER, events, 'Return from Birthday', 0, 'mother_birthday_return');
-    }
-  }
+  const target = new Date(date.getFullYear(), month, nth + offset);
+  return formatDate(target) === formatDate(date);
+}
 
-  // Father's Birthday (December 31)
-  if (month === 11 && day === 31) {
-    // Note: If he already has them during winter break, this is just a note
-    return null; // Will be handled by Level 1 winter break logic
-  }
+/**
+ * schoolBreak selector: { name, anchor, from, to, through }
+ * Matches days `from`..`to` days after the anchor of any break with that name;
+ * with `through`, the range runs to that anchor instead (plus `to` days).
+ * Anchors: start, end, lastInstructionDay, returnDay (see school-calendar.js)
+ */
+function matchesSchoolBreak(date, { name, anchor = 'start', from = 0, to, through }) {
+  const dateStr = formatDate(date);
+
+  return SCHOOL_CALENDAR.getSchoolBreaks(name).some(b => {
+    if (!b[anchor]) throw new Error(`Unknown school break anchor "${anchor}"`);
+    if (through && !b[through]) throw new Error(`Unknown school break anchor "${through}"`);
 
-  return null; // No match at Level 0
+    const startDate = addDays(parseDate(b[anchor]), from);
+    const endDate = through
+      ? addDays(parseDate(b[through]), to || 0)
+      : addDays(parseDate(b[anchor]), to === undefined ? from : to);
+    return dateStr >= formatDate(startDate) && dateStr <= formatDate(endDate);
+  });
+}
+
+/**
+ * summer selector: between the last instruction day of one school year and
+ * the first of the next (open-ended if the next year is not loaded yet)
+ */
+function isSummerDay(date) {
+  const summer = SCHOOL_CALENDAR.getSummerWindow(date.getFullYear());
+  if (!summer) return false;
+
+  const dateStr = formatDate(date);
+  return dateStr >= summer.start && (!summer.end || dateStr <= summer.end);
+}
+
+/**
+ * Find the break (by name) whose last instruction day through return day
+ * contains the date
+ */
+function findSchoolBreak(date, name) {
+  const dateStr = formatDate(date);
+  return SCHOOL_CALENDAR.getSchoolBreaks(name)
+    .find(b => dateStr >= b.lastInstructionDay && dateStr <= b.returnDay) || null;
+}
+
+/**
+ * Build the exchange events of a rule for a specific date
+ * Events with their own `when` are only included when it matches
+ */
+function buildEvents(eventDefs = [], date) {
+  return eventDefs
+    .filter(e => !e.when || matchesSelector(date, e.when))
+    .map(e => (e.time === 'pickup'
+      ? createPickupEvent(e.actor, e.recipient, date, e.location)
+      : createEvent(e.actor, e.recipient, e.time, e.location)));
 }
 
 /**
@@ -710,462 +768,834 @@ function getNthWeekdayOfMonth(year, month, weekday, n) {
 }
 
 // ============================================================================
-// LEVEL 1: FIXED ONE-TIME DATES (Provision 16c - Winter Break 2025/26)
+// COMPUTED SCHEDULES
 // ============================================================================
 
-function evaluateLevel1_FixedDates(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth();
-  const day = date.getDate();
-  const dow = date.getDay();
+/**
+ * Schedules referenced by `schedule:` in the rule document
+ */
+const SCHEDULES = {
+  splitBreak: evaluateSplitBreak,
+  summerRotation: evaluateSummerSchedule
+};
 
-  // Winter Break 2025/26 specific schedule
-  if (year === 2025 && month === 11) {
-    // Dec 18: Mother picks up
-    if (day === 18) {
-      const events = [createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School')];
-      return createResult(PARENT.MOTHER, events, 'Winter Break Starts', 1, 'winter_break_2025_start');
-    }
+/**
+ * Get the other parent
+ */
+function getOtherParent(parent) {
+  return parent === PARENT.MOTHER ? PARENT.FATHER : PARENT.MOTHER;
+}
 
-    // Dec 19: Mother has them (school day)
-    if (day === 19) {
-      const events = [
-        createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'),
-        createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School')
-      ];
-      return createResult(PARENT.MOTHER, events, 'Winter Break Custody', 1, 'winter_break_2025_day2');
-    }
+/**
+ * Curbside exchange event at the receiving parent's home (Modifier B),
+ * optionally at another place first (a location ID, e.g. 'camp')
+ */
+function createHandoffEvent(fromParent, time, via) {
+  const toParent = getOtherParent(fromParent);
+  return createEvent(fromParent, toParent, time, `${toParent}_home`, via);
+}
 
-    // Dec 20-21: Mother has them
-    if (day >= 20 && day < 22) {
-      return createResult(PARENT.MOTHER, [], 'Winter Break', 1, 'winter_break_2025_mother_1st');
-    }
+/**
+ * Mid-break exchange day: the day whose exchange time is closest to the exact
+ * midpoint of the break (first day off 00:00 to the day school resumes 00:00).
+ * Ties go to the later day. Returns null if the break is too short to split.
+ */
+function getBreakMidpoint(schoolBreak, exchangeTime) {
+  const start = parseDate(schoolBreak.start);
+  const totalDays = daysBetween(start, parseDate(schoolBreak.returnDay));
+  if (totalDays < 2) return null;
 
-    // Dec 22: Mother drops off at 11:00 AM
-    if (day === 22) {
-      const events = [createEvent('drop', 'YOU DROP OFF', '11:00 AM', "His House (Curbside)")];
-      return createResult(PARENT.MOTHER, events, 'Mid-Break Exchange', 1, 'winter_break_2025_exchange_1');
-    }
+  const { hours, minutes } = parseTimeOfDay(exchangeTime);
+  const offset = Math.round(totalDays / 2 - (hours + minutes / 60) / 24);
 
-    // Dec 23-24: Father has them
-    if (day >= 23 && day < 25) {
-      return createResult(PARENT.FATHER, [], 'Winter Break', 1, 'winter_break_2025_father');
-    }
+  return formatDate(addDays(start, Math.min(Math.max(offset, 1), totalDays - 1)));
+}
 
-    // Dec 25: Father drops off at 11:00 AM (Christmas)
-    if (day === 25) {
-      const events = [createEvent('receive', 'HE DROPS OFF', '11:00 AM', "Your Home (Curbside)")];
-      return createResult(PARENT.MOTHER, events, 'Christmas', 1, 'winter_break_2025_christmas');
-    }
+/**
+ * Exchange day set by the calendar rather than the midpoint: an nthWeekday
+ * selector (e.g. the day after Thanksgiving) in the year the break starts.
+ * Returns null if that day is not inside the break.
+ */
+function getAnchoredExchangeDay(schoolBreak, { month, weekday, n, offset = 0 }) {
+  const year = parseDate(schoolBreak.lastInstructionDay).getFullYear();
+  const nth = getNthWeekdayOfMonth(year, month, weekday, n);
+  if (nth === -1) return null;
 
-    // Dec 26-28: Mother has them
-    if (day >= 26 && day < 29) {
-      return createResult(PARENT.MOTHER, [], 'Winter Break', 1, 'winter_break_2025_mother_2nd');
-    }
+  const day = formatDate(new Date(year, month, nth + offset));
+  return day > schoolBreak.lastInstructionDay && day < schoolBreak.returnDay ? day : null;
+}
 
-    // Dec 29: Mother drops off at 11:00 AM
-    if (day === 29) {
-      const events = [createEvent('drop', 'YOU DROP OFF', '11:00 AM', "His House (Curbside)")];
-      return createResult(PARENT.MOTHER, events, 'Mid-Break Exchange', 1, 'winter_break_2025_exchange_2');
-    }
+/**
+ * Who has her at the end of a result's day: the last exchange's recipient,
+ * or the day's parent if there is none
+ */
+function getResultEndParent(result) {
+  const recipients = result.events.map(e => e.recipient).filter(r => r && r !== 'school');
+  return recipients.length ? recipients[recipients.length - 1] : result.parent;
+}
 
-    // Dec 30-31: Father has them
-    if (day >= 30) {
-      return createResult(PARENT.FATHER, [], 'Winter Break', 1, 'winter_break_2025_father_nye');
-    }
+/**
+ * School break split in two halves (Provision 16c, 16d, 16e)
+ * - Last instruction day: the parent of the night before drops off at
+ *   school and the first-half parent picks up
+ * - Midpoint: exchange at params.exchangeTime, curbside at receiving home.
+ *   params.exchangeOn (an nthWeekday selector) fixes the exchange day
+ *   instead, e.g. the day after Thanksgiving (16e)
+ * - Christmas (params.christmas): the parent without the half that contains
+ *   Dec 25 has Christmas Eve until Christmas Day morning
+ * - School holidays next to the break (e.g. Cesar Chavez Day) go with the
+ *   half they fall in
+ * - Return day: second-half parent drops off at school; whoever the
+ *   regular schedule gives that evening to picks up
+ * First/second halves alternate by the parity of the year the break starts.
+ * Exchange days go to the parent who has her at the end of the day, like
+ * the overnights and time-of-day segments.
+ * Rule IDs are `${params.idPrefix}_start`, `_first_half`, `_holiday`,
+ * `_exchange`, `_christmas_eve`, `_christmas`, `_second_half` and `_return`.
+ */
+function evaluateSplitBreak(date, rule) {
+  const { params, level } = rule;
+  const schoolBreak = findSchoolBreak(date, params.break);
+  if (!schoolBreak) return null;
+
+  const midpoint = params.exchangeOn
+    ? getAnchoredExchangeDay(schoolBreak, params.exchangeOn)
+    : getBreakMidpoint(schoolBreak, params.exchangeTime);
+  if (!midpoint) return null;
+
+  const breakYear = parseDate(schoolBreak.lastInstructionDay).getFullYear();
+  const firstParent = params.firstHalf[getYearParity(breakYear)];
+  const secondParent = getOtherParent(firstParent);
+  const dateStr = formatDate(date);
+  const id = suffix => `${params.idPrefix}_${suffix}`;
+
+  // Last instruction day: custody passes to the first-half parent at school.
+  // Whoever had her the night before drops off; the first-half parent picks up
+  if (dateStr === schoolBreak.lastInstructionDay) {
+    const overnight = getResultEndParent(evaluateDay(addDays(date, -1)));
+    const events = [
+      createEvent(overnight, 'school', getDropOffTime(), 'school'),
+      createPickupEvent(firstParent, firstParent, date, 'school')
+    ];
+    return createResult(firstParent, events, `${params.label} Starts`, level, id('start'));
   }
 
-  // January 2026 continuation
-  if (year === 2026 && month === 0 && day <= 6) {
-    // Jan 1: Father has them (New Year's Day)
-    if (day === 1) {
-      return createResult(PARENT.FATHER, [], 'Winter Break', 1, 'winter_break_2026_new_year');
+  // Return day: second-half parent drops off at school, and picks up too
+  // if the regular schedule gives them the evening
+  if (dateStr === schoolBreak.returnDay) {
+    const regular = evaluateBelow(level, date);
+    const events = [createEvent(secondParent, 'school', getDropOffTime(), 'school')];
+    if (regular && getResultEndParent(regular) === secondParent) {
+      events.push(createPickupEvent(secondParent, secondParent, date, 'school'));
     }
+    const result = createResult(secondParent, events, `Return from ${params.label}`, level, id('return'));
+    result.holiday = null; // The night after is regular schedule time
+    return result;
+  }
 
-    // Jan 2: Father drops off at 11:00 AM
-    if (day === 2) {
-      const events = [createEvent('receive', 'HE DROPS OFF', '11:00 AM', "Your Home (Curbside)")];
-      return createResult(PARENT.MOTHER, events, 'Exchange', 1, 'winter_break_2026_exchange_3');
-    }
+  // Mid-break exchange
+  if (dateStr === midpoint) {
+    const events = [createHandoffEvent(firstParent, params.exchangeTime)];
+    return createResult(secondParent, events, 'Mid-Break Exchange', level, id('exchange'));
+  }
 
-    // Jan 3-4: Mother has them
-    if (day >= 3 && day < 5) {
-      return createResult(PARENT.MOTHER, [], 'Winter Break', 1, 'winter_break_2026_mother_final');
+  // Christmas Eve / Christmas Day inside one half
+  if (params.christmas) {
+    const christmasEve = formatDate(new Date(breakYear, 11, 24));
+    const christmas = formatDate(new Date(breakYear, 11, 25));
+    const inFirstHalf = christmas < midpoint;
+    const halfStart = inFirstHalf ? schoolBreak.lastInstructionDay : midpoint;
+    const halfEnd = inFirstHalf ? midpoint : schoolBreak.returnDay;
+
+    if (christmasEve > halfStart && christmas < halfEnd) {
+      const holder = inFirstHalf ? firstParent : secondParent;
+      const other = getOtherParent(holder);
+
+      if (dateStr === christmasEve) {
+        const events = [createHandoffEvent(holder, params.christmas.eveTime)];
+        return createResult(other, events, 'Christmas Eve', level, id('christmas_eve'));
+      }
+      if (dateStr === christmas) {
+        const events = [createHandoffEvent(other, params.christmas.dayTime)];
+        return createResult(holder, events, 'Christmas', level, id('christmas'));
+      }
     }
+  }
 
-    // Jan 5: Monday - check if instruction day
-    if (day === 5) {
-      // Jan 5, 2026 is NOT an instruction day (PD Day)
-      // Modifier A applies: extend to Tuesday
-      return createResult(PARENT.MOTHER, [], 'Winter Break (PD Day - Keep Until Tue)', 1, 'winter_break_2026_monday_extension');
-    }
+  const parent = dateStr < midpoint ? firstParent : secondParent;
 
-    // Jan 6: Tuesday - Mother drops off at school
-    if (day === 6) {
-      const events = [createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School')];
-      return createResult(PARENT.MOTHER, events, 'Return from Winter Break', 1, 'winter_break_2026_return');
-    }
+  // A separate school holiday that extends the break (e.g. Cesar Chavez Day)
+  const closure = SCHOOL_CALENDAR.getClosureLabel(date);
+  if (closure && closure !== schoolBreak.label) {
+    return createResult(parent, [], `${closure} (No School)`, level, id('holiday'));
   }
 
-  return null; // No match at Level 1
+  return createResult(parent, [], params.label, level, id(dateStr < midpoint ? 'first_half' : 'second_half'));
 }
 
-// ============================================================================
-// LEVEL 2: RECURRING HOLIDAY OVERRIDES (Provision 16a, b, d, e)
-// ============================================================================
+/**
+ * Summer rotations worked out so far, keyed by rule and summer window
+ */
+const SUMMER_PLANS = new Map();
 
-function evaluateLevel2_RecurringHolidays(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth();
-  const day = date.getDate();
-  const parity = getYearParity(year);
+/**
+ * Work out one summer's rotation from the school calendar:
+ * - Week 1 starts on the first exchange day of summer
+ * - The rotation runs params.weeks weeks, fewer if school resumes first
+ * - Week 1 goes to params.firstWeek[parity of the summer's year]
+ * - endDay is the exchange day the standard rotation takes over
+ * Cached, since every summer day needs the same plan.
+ */
+function getSummerPlan(year, rule) {
+  const summer = SCHOOL_CALENDAR.getSummerWindow(year);
+  if (!summer) return null;
 
-  // Halloween (October 31)
-  if (month === 9 && day === 31) {
-    if (parity === 'odd') {
-      return createResult(PARENT.MOTHER, [], 'Halloween (Odd Year)', 2, 'halloween_mother');
-    } else {
-      return createResult(PARENT.FATHER, [], 'Halloween (Even Year)', 2, 'halloween_father');
-    }
+  const key = `${rule.id}:${summer.start}:${summer.end}`;
+  if (SUMMER_PLANS.has(key)) return SUMMER_PLANS.get(key);
+
+  const { params } = rule;
+  let start = parseDate(summer.start);
+  while (start.getDay() !== params.exchangeDay) start = addDays(start, 1);
+
+  let weeks = params.weeks;
+  if (summer.end) {
+    const daysLeft = daysBetween(start, parseDate(summer.end));
+    weeks = Math.max(Math.min(weeks, Math.floor(daysLeft / 7)), 0);
   }
 
-  // Spring Break
-  const springBreakResult = evaluateSpringBreak(date, year, month, day, parity);
-  if (springBreakResult) return springBreakResult;
+  const plan = {
+    start: formatDate(start),
+    endDay: formatDate(addDays(start, weeks * 7)),
+    weeks,
+    firstParent: params.firstWeek[getYearParity(year)]
+  };
+  SUMMER_PLANS.set(key, plan);
+  return plan;
+}
 
-  // Thanksgiving Break
-  const thanksgivingResult = evaluateThanksgivingBreak(date, year, month, day, parity);
-  if (thanksgivingResult) return thanksgivingResult;
+/**
+ * Result of the levels below a rule (the standard rotation around summer
+ * and on the day school resumes after a break)
+ */
+function evaluateBelow(level, date) {
+  for (const l of RULE_DOCUMENT.levels) {
+    if (l.level <= level) continue;
 
-  // Winter Break (for years after 2026)
-  if (year > 2026) {
-    const winterBreakResult = evaluateWinterBreak(date, year, month, day, parity);
-    if (winterBreakResult) return winterBreakResult;
+    const result = evaluateLevel(l.level, date);
+    if (result) return result;
   }
 
-  return null; // No match at Level 2
+  return null;
 }
 
 /**
- * Spring Break evaluation
- * Assumption: Apr 3-10 is Spring Break for 2026 (from current code)
+ * Summer rotation (Provision 14a-f)
+ * Alternating weeks, week 1 to the plan's first parent (weeks 1, 3, 5, 7:
+ * Mother under the current order). Weeks start with an exchange on
+ * params.exchangeDay at params.exchangeTime.
+ * - Before the first exchange day: standard rotation
+ * - Week 1 start: exchange only if the standard rotation had the other parent
+ * - End of the rotation (14f): the parent of that weekend under the standard
+ *   rotation takes over at the exchange time; later days are left to it
+ * Exchange days show as Mother's days, like the fixed 2025/26 schedule.
  */
-function evaluateSpringBreak(date, year, month, day, parity) {
-  // 2026 Spring Break: Apr 3-10 (Thu-Thu, but Apr 3 is Cesar Chavez Day)
-  if (year === 2026 && month === 3) {
-    // Apr 2: Last day of school before break - Mother picks up
-    if (day === 2) {
-      const events = [createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School')];
-      return createResult(PARENT.MOTHER, events, 'Spring Break Starts', 2, 'spring_break_2026_start');
-    }
+function evaluateSummerSchedule(date, rule) {
+  const { params, level } = rule;
+  const plan = getSummerPlan(date.getFullYear(), rule);
+  if (!plan || plan.weeks === 0) return null;
 
-    // Apr 3: Cesar Chavez Day (Mother has them)
-    if (day === 3) {
-      return createResult(PARENT.MOTHER, [], 'Cesar Chavez Day (No School)', 2, 'spring_break_2026_cesar_chavez');
-    }
+  const dateStr = formatDate(date);
+  if (dateStr < plan.start || dateStr > plan.endDay) return null;
 
-    // Spring Break days: Apr 4-7 (Mother's first half in even year)
-    if (day >= 4 && day < 8) {
-      return createResult(PARENT.MOTHER, [], 'Spring Break', 2, 'spring_break_2026_mother_half');
-    }
+  const daysIn = daysBetween(parseDate(plan.start), date);
+  const weekNum = Math.floor(daysIn / 7) + 1;
+  const weekParent = n => n % 2 === 1 ? plan.firstParent : getOtherParent(plan.firstParent);
 
-    // Apr 8: Mid-break exchange at 12:00 PM
-    if (day === 8) {
-      const events = [createEvent('drop', 'YOU DROP OFF', '12:00 PM', "His House (Curbside)")];
-      return createResult(PARENT.MOTHER, events, 'Mid-Break Exchange', 2, 'spring_break_2026_exchange');
-    }
+  // Regular summer week days
+  if (daysIn % 7 !== 0) {
+    const parent = weekParent(weekNum);
+    return createResult(parent, [], `Summer Week ${weekNum}`, level, `summer_week_${weekNum}_${parent}`);
+  }
 
-    // Apr 9-12: Father's second half
-    if (day >= 9 && day <= 12) {
-      return createResult(PARENT.FATHER, [], 'Spring Break', 2, 'spring_break_2026_father_half');
-    }
+  // Exchange day: who had her before and who has her from exchange time on
+  const before = weekNum === 1 ? evaluateBelow(level, addDays(date, -1)).parent : weekParent(weekNum - 1);
+
+  if (dateStr === plan.endDay) {
+    const after = evaluateBelow(level, date).parent;
+    const events = before === after ? [] : [createHandoffEvent(before, params.exchangeTime, params.exchangeVia)];
+    const parent = events.length ? PARENT.MOTHER : after;
+    return createResult(parent, events, 'Post-Summer (Regular Schedule)', level, `summer_end_transition_${parent}`);
   }
 
-  return null;
+  const after = weekParent(weekNum);
+  if (before === after) {
+    return createResult(after, [], `Summer Week ${weekNum}`, level, `summer_week_${weekNum}_${after}`);
+  }
+
+  const events = [createHandoffEvent(before, params.exchangeTime, params.exchangeVia)];
+  if (after === PARENT.FATHER) {
+    return createResult(PARENT.MOTHER, events, weekNum === 1 ? 'Summer Rotation Begins' : `End Summer Week ${weekNum - 1}`, level,
+      weekNum === 1 ? 'summer_start_mother' : `summer_week_${weekNum - 1}_end_mother`);
+  }
+  return createResult(PARENT.MOTHER, events, `Start Summer Week ${weekNum}`, level, `summer_week_${weekNum}_start_mother`);
+}
+
+// ============================================================================
+// 4. TIME-OF-DAY CUSTODY
+// ============================================================================
+
+/**
+ * How many days to look before/after a range for the exchanges that open
+ * and close its first and last segments (the longest blocks, summer weeks
+ * and break halves, are well under this)
+ */
+const SEGMENT_SEARCH_DAYS = 31;
+
+/**
+ * Midnight at the start of a date's day
+ */
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
 }
 
 /**
- * Thanksgiving Break evaluation
- * Assumption: Nov 23-27 is Thanksgiving Break for 2026
+ * Exact instant of an event on a day. With one time per child
+ * ("1:10 PM (Alfie) / 1:25 PM (Basil)") the first time listed is used.
  */
-function evaluateThanksgivingBreak(date, year, month, day, parity) {
-  if (year === 2026 && month === 10) {
-    // Nov 20: Last day of school - Mother picks up
-    if (day === 20) {
-      const events = [createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School')];
-      return createResult(PARENT.MOTHER, events, 'TG Break Starts', 2, 'thanksgiving_2026_start');
-    }
+function getEventInstant(date, time) {
+  const { hours, minutes } = parseTimeOfDay(time);
+  const at = startOfDay(date);
+  at.setHours(hours, minutes);
+  return at;
+}
 
-    // Nov 21-24: Mother's first half (even year)
-    if (day >= 21 && day < 25) {
-      return createResult(PARENT.MOTHER, [], 'Thanksgiving Break', 2, 'thanksgiving_2026_mother_half');
-    }
+/**
+ * Who has her after an exchange event; null for a school drop-off the same
+ * parent collects again that day (custody does not change hands)
+ */
+function getEventRecipient(event) {
+  return event.recipient === 'school' ? null : event.recipient;
+}
 
-    // Nov 25: Mid-break exchange at 12:00 PM
-    if (day === 25) {
-      const events = [createEvent('drop', 'YOU DROP OFF', '12:00 PM', "His House (Curbside)")];
-      return createResult(PARENT.MOTHER, events, 'Mid-Break Exchange', 2, 'thanksgiving_2026_exchange');
-    }
+/**
+ * Events of a day's result with their instants, in time order
+ */
+function getTimedEvents(date, result) {
+  return result.events
+    .map(event => ({ event, at: getEventInstant(date, event.time) }))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Who has her at the end of a day
+ */
+function getEndOfDayParent(date, options) {
+  const result = evaluateCustody(date, options);
+  const recipients = getTimedEvents(date, result).map(t => getEventRecipient(t.event)).filter(Boolean);
+  return recipients.length ? recipients[recipients.length - 1] : result.parent;
+}
 
-    // Nov 26-27: Father's second half
-    if (day >= 26 && day <= 27) {
-      return createResult(PARENT.FATHER, [], 'Thanksgiving Break', 2, 'thanksgiving_2026_father_half');
+/**
+ * Custody changes during one day, in time order: [{ at, parent, event, result }]
+ * `holder` is who had her overnight. Every exchange event that changes hands
+ * is a transition at its time (a school drop-off the same parent collects
+ * again that day does not). A day without events whose parent differs
+ * from the holder changes hands at midnight with no event (e.g. school
+ * days missing from the calendar).
+ */
+function getDayTransitions(date, holder, options) {
+  const result = evaluateCustody(date, options);
+  const timed = getTimedEvents(date, result);
+  const transitions = [];
+
+  if (!timed.length) {
+    if (result.parent && result.parent !== holder) {
+      transitions.push({ at: startOfDay(date), parent: result.parent, event: null, result });
     }
+    return transitions;
   }
 
+  let current = holder;
+  timed.forEach(({ event, at }) => {
+    const parent = getEventRecipient(event);
+    if (!parent || parent === current) return;
+
+    transitions.push({ at, parent, event, result });
+    current = parent;
+  });
+
+  return transitions;
+}
+
+/**
+ * Last transition before the day, searching back SEGMENT_SEARCH_DAYS days
+ */
+function findPreviousTransition(day, options) {
+  for (let i = 1; i <= SEGMENT_SEARCH_DAYS; i++) {
+    const date = addDays(day, -i);
+    const transitions = getDayTransitions(date, getEndOfDayParent(addDays(date, -1), options), options);
+    if (transitions.length) return transitions[transitions.length - 1];
+  }
   return null;
 }
 
 /**
- * Winter Break evaluation (for years after 2026)
- * Follows same split pattern as other breaks
+ * First transition from the day on, searching SEGMENT_SEARCH_DAYS days ahead
  */
-function evaluateWinterBreak(date, year, month, day, parity) {
-  // TODO: Implement for 2027+ when dates are known
-  // Pattern: Last instruction day -> First half parent
-  // Midpoint -> Second half parent
-  // Day before school resumes -> Return
+function findNextTransition(day, holder, options) {
+  for (let i = 0; i < SEGMENT_SEARCH_DAYS; i++) {
+    const transitions = getDayTransitions(addDays(day, i), holder, options);
+    if (transitions.length) return transitions[0];
+  }
   return null;
 }
 
-// ============================================================================
-// LEVEL 3: SEASONAL SCHEDULE (Provision 14a-f - Summer)
-// ============================================================================
+/**
+ * The exchange that starts a segment, or null if she changed hands without
+ * one (or none was found within the search window)
+ */
+function describeExchange(transition) {
+  if (!transition || !transition.event) return null;
 
-function evaluateLevel3_SeasonalSchedule(date) {
-  const year = date.getFullYear();
+  const { event, at, result } = transition;
+  return {
+    ...event,
+    date: formatDate(at),
+    rule: result.matchedRule,
+    provision: result.provision
+  };
+}
 
-  // Check if in summer period
-  if (date >= SCHOOL_CALENDAR.SUMMER_START_2026 && date <= SCHOOL_CALENDAR.SUMMER_END_2026) {
-    return evaluateSummerSchedule(date);
+/**
+ * Continuous custody intervals overlapping [start, end):
+ * [{ parent, start, end, exchange }]
+ * start/end are the exact instants she changes hands (not clipped to the
+ * range); exchange is the event that begins the segment (see
+ * describeExchange). start/end are null if no change is found within
+ * SEGMENT_SEARCH_DAYS of the range. `options` are passed to evaluateCustody.
+ */
+function getCustodySegments(start, end, options = {}) {
+  const rangeStart = new Date(start);
+  const rangeEnd = new Date(end);
+  if (!(rangeEnd > rangeStart)) return [];
+
+  const firstDay = startOfDay(rangeStart);
+  const overnight = getEndOfDayParent(addDays(firstDay, -1), options);
+  let holder = overnight;
+  let day = firstDay;
+  const transitions = [];
+
+  for (; day < rangeEnd; day = addDays(day, 1)) {
+    getDayTransitions(day, holder, options).forEach(t => {
+      transitions.push(t);
+      holder = t.parent;
+    });
   }
 
-  return null; // No match at Level 3
+  const before = transitions.filter(t => t.at <= rangeStart);
+  const inside = transitions.filter(t => t.at > rangeStart && t.at < rangeEnd);
+  const opening = before.length ? before[before.length - 1] : findPreviousTransition(firstDay, options);
+  const closing = transitions.find(t => t.at >= rangeEnd) || findNextTransition(day, holder, options);
+
+  // Who had her when the range starts
+  const firstParent = before.length ? opening.parent : overnight;
+
+  const boundaries = [opening || { at: null, parent: firstParent, event: null }, ...inside];
+  return boundaries.map((t, i) => {
+    const next = i + 1 < boundaries.length ? boundaries[i + 1] : closing;
+    return {
+      parent: i === 0 ? firstParent : t.parent,
+      start: t.at,
+      end: next ? next.at : null,
+      exchange: describeExchange(t)
+    };
+  });
 }
 
 /**
- * Summer 8-week rotation
- * Weeks 1,3,5,7: Mother
- * Weeks 2,4,6,8: Father
- * Exchanges at Friday 4:00 PM
+ * Who has her at an exact moment, with the segment it falls in:
+ * { parent, start, end, exchange } (see getCustodySegments)
+ * At the instant of an exchange the receiving parent has her.
  */
-function evaluateSummerSchedule(date) {
-  const daysSinceStart = Math.floor((date - SCHOOL_CALENDAR.SUMMER_START_2026) / (1000 * 60 * 60 * 24));
-  const weekNum = Math.floor(daysSinceStart / 7) + 1;
-  const dow = date.getDay();
+function getCustodyAt(datetime, options = {}) {
+  const at = new Date(datetime);
+  return getCustodySegments(at, new Date(at.getTime() + 1), options)[0];
+}
 
-  // Beyond 8 weeks - check Friday transition
-  if (weekNum > 8) {
-    // After week 8, use "Friday Return Logic" (14f)
-    // Friday following Father's 8th week determines next parent
-    const endOfWeek8 = new Date(SCHOOL_CALENDAR.SUMMER_START_2026);
-    endOfWeek8.setDate(endOfWeek8.getDate() + (8 * 7)); // End of week 8
-
-    // Find the Friday after week 8
-    let fridayAfterWeek8 = new Date(endOfWeek8);
-    while (fridayAfterWeek8.getDay() !== 5) {
-      fridayAfterWeek8.setDate(fridayAfterWeek8.getDate() + 1);
-    }
+/**
+ * The next time she changes hands after a moment:
+ * { at, from, parent, exchange, result }
+ * exchange is as in getCustodySegments (null for a change at midnight
+ * without one); result is that day's evaluateCustody result with its `date`.
+ * null if no change is found within SEGMENT_SEARCH_DAYS.
+ */
+function getNextExchange(datetime, options = {}) {
+  const current = getCustodyAt(datetime, options);
+  if (!current.end) return null;
 
-    // Check which weekend type that Friday starts
-    const weekendType = getWeekendNumber(fridayAfterWeek8);
+  const next = getCustodyAt(current.end, options);
+  return {
+    at: current.end,
+    from: current.parent,
+    parent: next.parent,
+    exchange: next.exchange,
+    result: { date: formatDate(current.end), ...evaluateCustody(current.end, options) }
+  };
+}
 
-    if (date >= fridayAfterWeek8) {
-      // Transition to regular schedule - check which parent based on weekend
-      if (weekendType === 'odd') {
-        return createResult(PARENT.MOTHER, [], 'Post-Summer (Regular Schedule)', 3, 'summer_end_transition_mother');
-      } else {
-        return createResult(PARENT.FATHER, [], 'Post-Summer (Regular Schedule)', 3, 'summer_end_transition_father');
-      }
-    }
-  }
+// ============================================================================
+// 5. AGREED SWAPS
+// ============================================================================
 
-  // Within 8 weeks
-  if (weekNum <= 8) {
-    const isMotherWeek = [1, 3, 5, 7].includes(weekNum);
-    const nextWeekNum = weekNum + 1;
-    const isMotherNextWeek = [1, 3, 5, 7].includes(nextWeekNum);
-
-    // Friday exchanges
-    if (dow === 5 && weekNum <= 8) {
-      if (isMotherWeek && !isMotherNextWeek) {
-        // Mother's week ending, Father's week starting
-        const events = [createEvent('drop', 'YOU DROP OFF', '4:00 PM', "Camp or His House (Curbside)")];
-        return createResult(PARENT.MOTHER, events, `End Summer Week ${weekNum}`, 3, `summer_week_${weekNum}_end_mother`);
-      } else if (!isMotherWeek && isMotherNextWeek) {
-        // Father's week ending, Mother's week starting
-        const events = [createEvent('receive', 'HE DROPS OFF', '4:00 PM', "Camp or Your Home (Curbside)")];
-        return createResult(PARENT.MOTHER, events, `Start Summer Week ${nextWeekNum}`, 3, `summer_week_${nextWeekNum}_start_mother`);
+/**
+ * An active agreed swap replaces the day's result, whatever level matched:
+ * the swap's parent, its exchanges on that day and its note. The court
+ * order's answer is kept in flags.stipulatedSwap.original.
+ */
+function applyStipulatedSwap(result, date) {
+  const swap = SWAP_CALENDAR.getSwapForDate(date);
+  if (!swap) return result;
+
+  const dateStr = formatDate(date);
+  const events = swap.events
+    .filter(e => e.date === dateStr)
+    .map(e => createEvent(e.actor, e.recipient, e.time, e.location));
+
+  const swapped = createResult(swap.parent, events, swap.note || STIPULATED_SWAP.note, result.matchedLevel, STIPULATED_SWAP.id, {
+    ...result.flags,
+    stipulatedSwap: {
+      swapId: swap.id,
+      reason: swap.reason,
+      agreedBy: swap.agreedBy,
+      agreedAt: swap.agreedAt,
+      original: {
+        parent: result.parent,
+        note: result.note,
+        matchedLevel: result.matchedLevel,
+        matchedRule: result.matchedRule,
+        provision: result.provision,
+        provisionTitle: result.provisionTitle,
+        events: result.events
       }
     }
+  });
+  if (result.holiday) swapped.holiday = result.holiday;
+  return swapped;
+}
 
-    // Regular summer week days
-    if (isMotherWeek) {
-      return createResult(PARENT.MOTHER, [], `Summer Week ${weekNum}`, 3, `summer_week_${weekNum}_mother`);
-    } else {
-      return createResult(PARENT.FATHER, [], `Summer Week ${weekNum}`, 3, `summer_week_${weekNum}_father`);
-    }
+// ============================================================================
+// 6. RIGHT OF FIRST REFUSAL (Provision 21)
+// ============================================================================
+
+/**
+ * Offers worked out from the absence calendar, reused until absences,
+ * answers or the school calendar change
+ */
+let FIRST_REFUSAL_OFFERS = [];
+let FIRST_REFUSAL_REVISION = null;
+
+/**
+ * All first refusal offers in time order:
+ * { id, absenceId, absentParent, offeredTo, start, end, hours, reason, status }
+ * Each stretch of an absence that falls in the absent parent's own custodial
+ * time and lasts more than FIRST_REFUSAL.thresholdHours is one offer.
+ * status is 'pending', 'accepted' or 'declined'.
+ * Filter with { parent } (the absent parent) and/or { status }.
+ */
+function getFirstRefusalOffers(filter = {}) {
+  const revision = `${SCHOOL_CALENDAR.getRevision()}:${ABSENCE_CALENDAR.getRevision()}:${SWAP_CALENDAR.getRevision()}`;
+  if (revision !== FIRST_REFUSAL_REVISION) {
+    FIRST_REFUSAL_OFFERS = ABSENCE_CALENDAR.getAbsences().flatMap(findFirstRefusalOffers);
+    FIRST_REFUSAL_REVISION = revision;
   }
 
-  return null;
+  return FIRST_REFUSAL_OFFERS
+    .filter(o => (!filter.parent || o.absentParent === filter.parent) && (!filter.status || o.status === filter.status))
+    .map(o => ({ ...o }));
 }
 
-// ============================================================================
-// LEVEL 4: STANDARD WEEKLY ROTATION (Provision 12a-b)
-// ============================================================================
+/**
+ * Compare one absence with the regular schedule (without accepted offers)
+ */
+function findFirstRefusalOffers(absence) {
+  const absenceStart = ABSENCE_CALENDAR.parseTime(absence.start);
+  const absenceEnd = ABSENCE_CALENDAR.parseTime(absence.end);
+
+  return getCustodySegments(absenceStart, absenceEnd, { firstRefusal: false })
+    .filter(seg => seg.parent === absence.parent)
+    .map(seg => ({
+      start: seg.start && seg.start > absenceStart ? seg.start : absenceStart,
+      end: seg.end && seg.end < absenceEnd ? seg.end : absenceEnd
+    }))
+    .filter(({ start, end }) => (end - start) / (1000 * 60 * 60) > FIRST_REFUSAL.thresholdHours)
+    .map(({ start, end }) => {
+      const id = `${absence.id}@${ABSENCE_CALENDAR.formatTime(start)}`;
+      const response = ABSENCE_CALENDAR.getOfferResponse(id);
+
+      return {
+        id,
+        absenceId: absence.id,
+        absentParent: absence.parent,
+        offeredTo: getOtherParent(absence.parent),
+        start,
+        end,
+        hours: Math.round((end - start) / (1000 * 60 * 60) * 10) / 10,
+        reason: absence.reason,
+        status: response ? response.status : 'pending'
+      };
+    });
+}
 
-function evaluateLevel4_StandardRotation(date) {
-  const dow = date.getDay();
-  const weekendType = getWeekendNumber(date);
-
-  // Monday
-  if (dow === 1) {
-    // Check previous day (Sunday)
-    const sunday = new Date(date);
-    sunday.setDate(sunday.getDate() - 1);
-    const sundayWeekendType = getWeekendNumber(sunday);
-
-    // If Sunday was Mother's weekend
-    if (sundayWeekendType === 'odd') {
-      // Check Modifier A: Monday Holiday Extension
-      if (!isInstructionDay(date)) {
-        // Not an instruction day - Mother keeps until Tuesday
-        return createResult(PARENT.MOTHER, [], 'Holiday Extension (Keep Until Tue)', 4, 'monday_mother_holiday_extension');
-      }
+/**
+ * Accept or decline an offer; returns the updated offer
+ */
+function respondToFirstRefusalOffer(offerId, accept) {
+  if (!getFirstRefusalOffers().some(o => o.id === offerId)) {
+    throw new Error(`Unknown first refusal offer "${offerId}"`);
+  }
 
-      // Instruction day - Mother drops off at school
-      const events = [createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School')];
-      return createResult(PARENT.MOTHER, events, 'End of Weekend', 4, 'monday_mother_return');
-    }
+  ABSENCE_CALENDAR.respondToOffer(offerId, accept ? 'accepted' : 'declined');
+  return getFirstRefusalOffers().find(o => o.id === offerId);
+}
+
+/**
+ * Modifier C: first refusal offers touching a day, optionally only for one
+ * absent parent. shouldCheck is true while any of them awaits an answer.
+ */
+function checkRightOfFirstRefusal(date, parent) {
+  const dayStart = startOfDay(date);
+  const dayEnd = addDays(dayStart, 1);
+  const offers = getFirstRefusalOffers({ parent }).filter(o => o.start < dayEnd && o.end > dayStart);
+  const pending = offers.filter(o => o.status === 'pending');
+  const name = p => (p === PARENT.MOTHER ? 'Mother' : 'Father');
+
+  return {
+    shouldCheck: pending.length > 0,
+    message: pending
+      .map(o => `${name(o.absentParent)} away ${o.hours} hours of custodial time: offer it to ${name(o.offeredTo)} first`)
+      .join('; '),
+    offers
+  };
+}
 
-    // Sunday was Father's weekend - he has them Monday
-    return createResult(PARENT.FATHER, [], 'Regular Monday', 4, 'monday_father');
+/**
+ * Give the hours of accepted offers to the parent who accepted them
+ * - Days inside an offer belong to that parent, without exchanges
+ * - On the days it starts and ends, handoffs are added at the absence times
+ *   (curbside at the receiving home) and exchanges inside it are dropped;
+ *   the day goes to whoever has her at the end of it
+ * An offer ending at midnight hands back at 12:00 AM the next day.
+ * The original result is kept in flags.firstRefusal.
+ */
+function applyFirstRefusal(result, date) {
+  const dayStart = startOfDay(date);
+  const dayEnd = addDays(dayStart, 1);
+  const accepted = getFirstRefusalOffers({ status: 'accepted' })
+    .filter(o => o.start < dayEnd && o.end >= dayStart);
+  if (!accepted.length) return result;
+
+  const wholeDay = accepted.find(o => o.start < dayStart && o.end >= dayEnd);
+  let events = [];
+
+  if (!wholeDay) {
+    const timed = getTimedEvents(date, result).filter(({ at }) => !accepted.some(o => at >= o.start && at < o.end));
+    accepted.forEach(o => {
+      if (o.start >= dayStart) timed.push({ event: createHandoffEvent(o.absentParent, formatTimeOfDay(o.start)), at: o.start });
+      if (o.end < dayEnd) timed.push({ event: createHandoffEvent(o.offeredTo, formatTimeOfDay(o.end)), at: o.end });
+    });
+    events = timed.sort((a, b) => a.at - b.at).map(t => t.event);
   }
 
-  // Tuesday
-  if (dow === 2) {
-    // Check if previous Monday was non-instruction day
-    const monday = new Date(date);
-    monday.setDate(monday.getDate() - 1);
-
-    if (!isInstructionDay(monday)) {
-      // Check if Sunday before Monday was Mother's weekend
-      const sunday = new Date(monday);
-      sunday.setDate(sunday.getDate() - 1);
-      const sundayWeekendType = getWeekendNumber(sunday);
-
-      if (sundayWeekendType === 'odd') {
-        // Mother had them through Monday holiday, drops off Tuesday
-        const events = [];
-        if (isInstructionDay(date)) {
-          events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-        } else {
-          events.push(createEvent('drop', 'YOU DROP OFF', '9:00 AM', "His House (Curbside)"));
-        }
-        return createResult(PARENT.MOTHER, events, 'Return from Holiday', 4, 'tuesday_mother_holiday_return');
-      }
+  const parent = wholeDay ? wholeDay.offeredTo : getResultEndParent({ parent: result.parent, events });
+
+  const reassigned = createResult(parent, events, FIRST_REFUSAL.note, result.matchedLevel, FIRST_REFUSAL.id, {
+    ...result.flags,
+    firstRefusal: {
+      offers: accepted.map(o => o.id),
+      original: { parent: result.parent, note: result.note, matchedRule: result.matchedRule, events: result.events }
     }
+  });
+  if (result.holiday) reassigned.holiday = result.holiday;
+  return reassigned;
+}
 
-    // Regular Tuesday - Father has them
-    return createResult(PARENT.FATHER, [], 'Regular Tuesday', 4, 'tuesday_father');
-  }
+// ============================================================================
+// 7. EXPLAIN MODE
+// ============================================================================
 
-  // Wednesday
-  if (dow === 3) {
-    // Father has them Wednesday
-    return createResult(PARENT.FATHER, [], 'Regular Wednesday', 4, 'wednesday_father');
+/**
+ * The parts of a rule result that matter when comparing rules
+ */
+function summarizeResult(result) {
+  return {
+    level: result.matchedLevel,
+    rule: result.matchedRule,
+    parent: result.parent,
+    note: result.note
+  };
+}
+
+/**
+ * Apply one rule to a day and say why it did or did not match
+ */
+function traceRule(rule, date) {
+  const mismatch = findSelectorMismatch(date, rule.when);
+  if (mismatch) {
+    const expected = mismatch.split('.').reduce((when, key) => when[key], rule.when);
+    return {
+      id: rule.id,
+      matched: false,
+      reason: `Date does not satisfy when.${mismatch} (${JSON.stringify(expected)})`
+    };
   }
 
-  // Thursday
-  if (dow === 4) {
-    const events = [];
-    if (isInstructionDay(date)) {
-      events.push(createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School'));
-    }
-    return createResult(PARENT.MOTHER, events, 'Thursday Overnight', 4, 'thursday_mother');
+  const result = evaluateRule(rule, date);
+  if (!result) {
+    return { id: rule.id, matched: false, reason: `Schedule "${rule.schedule}" has no result for this date` };
   }
 
-  // Friday
-  if (dow === 5) {
-    // Check if continuous care from Thursday (e.g., summer week 1 starts May 29, Fri)
-    // This is handled by Level 3, but if we're here, it's regular rotation
-
-    // Check for 5th weekend (Provision 14f - treated as odd/Mother's weekend)
-    if (isFifthWeekend(date)) {
-      const events = [];
-      if (isInstructionDay(date)) {
-        events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-        events.push(createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School'));
-      }
-      return createResult(PARENT.MOTHER, events, '5th Weekend (Mother)', 4, 'friday_fifth_weekend');
-    }
+  return { id: rule.id, matched: true, result: summarizeResult(result) };
+}
 
-    if (weekendType === 'odd') {
-      // Mother's weekend starting
-      const events = [];
-      if (isInstructionDay(date)) {
-        events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-        events.push(createEvent('pick', 'YOU PICK UP', getPickupTime(date), 'School'));
-      }
-      return createResult(PARENT.MOTHER, events, 'Weekend Start', 4, 'friday_mother_weekend');
+/**
+ * Conditions of a selector by path (daysBefore flattened), values as JSON
+ */
+function flattenSelector(when = {}, prefix = '') {
+  return Object.keys(when).reduce((conditions, key) => {
+    if (key === 'daysBefore') {
+      Object.keys(when.daysBefore).forEach(days => {
+        Object.assign(conditions, flattenSelector(when.daysBefore[days], `${prefix}daysBefore.${days}.`));
+      });
     } else {
-      // Father's weekend starting - Mother drops off
-      const events = [];
-      if (isInstructionDay(date)) {
-        events.push(createEvent('drop', 'YOU DROP OFF', '8:20 AM', 'School'));
-      } else {
-        events.push(createEvent('drop', 'YOU DROP OFF', '9:00 AM', "His House (Curbside)"));
-      }
-      return createResult(PARENT.FATHER, events, 'End of Your Time', 4, 'friday_father_weekend');
+      conditions[prefix + key] = JSON.stringify(when[key]);
     }
-  }
+    return conditions;
+  }, {});
+}
 
-  // Saturday
-  if (dow === 6) {
-    // Check for 5th weekend
-    if (isFifthWeekend(date)) {
-      return createResult(PARENT.MOTHER, [], '5th Weekend (Mother)', 4, 'saturday_fifth_weekend');
-    }
+/**
+ * How a rule that also matched relates to the first match of its level:
+ * - 'fallback': every condition of its selector is also in the first
+ *   match's, so the first match is a deliberate refinement of it
+ * - 'collision': neither selector contains the other; only document order
+ *   decides between them
+ */
+function classifySameLevelMatch(first, other) {
+  const refined = flattenSelector(RULE_DOCUMENT.rules.find(r => r.id === first.id).when);
+  const general = flattenSelector(RULE_DOCUMENT.rules.find(r => r.id === other.id).when);
 
-    if (weekendType === 'odd') {
-      return createResult(PARENT.MOTHER, [], 'My Weekend', 4, 'saturday_mother');
-    } else {
-      return createResult(PARENT.FATHER, [], 'His Weekend', 4, 'saturday_father');
-    }
-  }
+  return Object.keys(general).every(key => refined[key] === general[key]) ? 'fallback' : 'collision';
+}
 
-  // Sunday
-  if (dow === 0) {
-    // Check for 5th weekend
-    if (isFifthWeekend(date)) {
-      return createResult(PARENT.MOTHER, [], '5th Weekend (Mother)', 4, 'sunday_fifth_weekend');
+/**
+ * Full trace of the hierarchy for a day (Date or 'YYYY-MM-DD'):
+ * - levels: every level and rule, matched or why not
+ * - winner: the rule evaluateCustody uses
+ * - shadowed: every other matching rule with its `kind` - 'overridden' (the
+ *   answer of a lower level), 'fallback' or 'collision' (later matches within
+ *   a level, see classifySameLevelMatch) - and `conflict` when an overridden
+ *   or colliding rule gives the other parent
+ * - result: evaluateCustody's result (with modifiers); modifiedBy names the
+ *   modifier rule if one replaced the winner (e.g. right_of_first_refusal)
+ */
+function explainCustody(date, options = {}) {
+  const day = toCalendarDay(date);
+  const shadowed = [];
+  let winner = null;
+
+  const levels = RULE_DOCUMENT.levels.map(({ level, name }) => {
+    const rules = RULE_DOCUMENT.rules
+      .filter(rule => rule.level === level)
+      .map(rule => traceRule(rule, day));
+
+    const [first, ...others] = rules.filter(rule => rule.matched).map(rule => ({ id: rule.id, ...rule.result }));
+    if (first) {
+      if (winner) shadowed.push({ ...first, kind: 'overridden' });
+      else winner = first;
+      others.forEach(other => shadowed.push({ ...other, kind: classifySameLevelMatch(first, other) }));
     }
 
-    if (weekendType === 'odd') {
-      return createResult(PARENT.MOTHER, [], 'My Weekend', 4, 'sunday_mother');
-    } else {
-      return createResult(PARENT.FATHER, [], 'His Weekend', 4, 'sunday_father');
-    }
+    return { level, name, matched: first ? first.id : null, rules };
+  });
+
+  const result = evaluateCustody(day, options);
+
+  return {
+    date: formatDate(day),
+    winner,
+    shadowed: shadowed.map(s => ({ ...s, conflict: s.kind !== 'fallback' && s.parent !== winner.parent })),
+    result,
+    modifiedBy: winner && result.matchedRule !== winner.rule ? result.matchedRule : null,
+    levels
+  };
+}
+
+/**
+ * Every day from start through end (both inclusive) where precedence or
+ * document order decided between rules: [{ date, winner, shadowed,
+ * conflict, collision }]. Fallbacks are left out of `shadowed` (they are
+ * how the document is written); `collision` marks same-level collisions.
+ * With `conflictsOnly`, only days where a shadowed rule gives the other
+ * parent are listed.
+ */
+function findRuleOverlaps(start, end, options = {}) {
+  const first = toCalendarDay(start);
+  const days = daysBetween(first, toCalendarDay(end));
+  const overlaps = [];
+
+  for (let i = 0; i <= days; i++) {
+    const explained = explainCustody(addDays(first, i), { firstRefusal: false });
+    const shadowed = explained.shadowed.filter(s => s.kind !== 'fallback');
+    if (shadowed.length === 0) continue;
+
+    const conflict = shadowed.some(s => s.conflict);
+    if (options.conflictsOnly && !conflict) continue;
+
+    overlaps.push({
+      date: explained.date,
+      winner: explained.winner,
+      shadowed,
+      conflict,
+      collision: shadowed.some(s => s.kind === 'collision')
+    });
   }
 
-  return createResult(PARENT.FATHER, [], 'Fallback', 4, 'fallback');
+  return overlaps;
 }
 
 // ============================================================================
-// 4. EXPORT
+// 8. EXPORT
 // ============================================================================
 
 // Export for use in HTML
 if (typeof window !== 'undefined') {
   window.CustodyEngine = {
     evaluateCustody,
+    evaluateRange,
+    explainCustody,
+    findRuleOverlaps,
     isInstructionDay,
     isMinimumDay,
+    getPickupTimes,
+    parseTimeOfDay,
     getWeekendNumber,
     isFifthWeekend,
     hasFifthWeekend,
     getFifthFriday,
     checkRightOfFirstRefusal,
+    getFirstRefusalOffers,
+    respondToFirstRefusalOffer,
+    getProvisionInfo,
+    isCitedRule,
+    getCustodyAt,
+    getCustodySegments,
+    getNextExchange,
+    SCHOOL_CALENDAR,
+    ABSENCE_CALENDAR,
+    SWAP_CALENDAR,
+    CHILD_REGISTRY,
     PARENT
   };
 }
@@ -1174,13 +1604,29 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     evaluateCustody,
+    evaluateRange,
+    explainCustody,
+    findRuleOverlaps,
     isInstructionDay,
     isMinimumDay,
+    getPickupTimes,
+    parseTimeOfDay,
     getWeekendNumber,
     isFifthWeekend,
     hasFifthWeekend,
     getFifthFriday,
     checkRightOfFirstRefusal,
+    getFirstRefusalOffers,
+    respondToFirstRefusalOffer,
+    getProvisionInfo,
+    isCitedRule,
+    getCustodyAt,
+    getCustodySegments,
+    getNextExchange,
+    SCHOOL_CALENDAR,
+    ABSENCE_CALENDAR,
+    SWAP_CALENDAR,
+    CHILD_REGISTRY,
     PARENT
   };
 }
@@ -0,0 +1,659 @@
+/**
+ * Custody Calendar Feed
+ * Turns custody-engine.js results into iCalendar events. The subscription
+ * feed (api/calendar.ics.js) and the calendar download in index.html both
+ * build their .ics text here, so subscribers get exactly the schedule the
+ * website shows.
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Custody engine (custody-engine.js)
+ * In the browser it must be loaded before this file
+ */
+const FEED_ENGINE = (typeof module !== 'undefined' && module.exports)
+  ? require('./custody-engine.js')
+  : window.CustodyEngine;
+
+/**
+ * iCalendar formatting (ical-format.js)
+ * In the browser it must be loaded before this file
+ */
+const FEED_ICAL = (typeof module !== 'undefined' && module.exports)
+  ? require('./ical-format.js')
+  : window.ICalFormat;
+
+/**
+ * Event and place wording per perspective (court-order-rules.js)
+ */
+const FEED_WORDING = ((typeof module !== 'undefined' && module.exports)
+  ? require('./court-order-rules.js')
+  : window.CourtOrderRules).wording;
+
+/**
+ * Parent names for the custody blocks ("Alexandra with Mother")
+ */
+const FEED_PARENT_NAMES = FEED_WORDING.neutral.names;
+
+const FEED_UID_DOMAIN = 'alexandra-schedule.vercel.app';
+
+// ============================================================================
+// 2. QUERY
+// ============================================================================
+
+/**
+ * Event categories a feed can include
+ *   custody    All-day blocks for the days Alexandra is with `parent`
+ *   exchanges  One-hour event per exchange
+ *   holidays   Court order holidays (Mother's Day, Thanksgiving, ...) and
+ *              who has her each night
+ *   school     First and last days, closures, breaks and minimum days
+ */
+const FEED_CATEGORIES = ['custody', 'exchanges', 'holidays', 'school'];
+const FEED_DEFAULT_INCLUDE = ['custody', 'exchanges'];
+
+/**
+ * Whose custody blocks appear: one parent, or both
+ */
+const FEED_PARENTS = ['mother', 'father', 'both'];
+
+/**
+ * How custody days are grouped into all-day events
+ *   parent  Consecutive days with the same parent are one event (default)
+ *   level   ...and the same court order level (summer weeks, holidays and
+ *           the regular rotation stay separate)
+ *   day     One event per day
+ */
+const FEED_SPANS = ['parent', 'level', 'day'];
+
+/**
+ * Days a custody span cut by the window is followed beyond it
+ */
+const FEED_SPAN_LOOKAROUND = 62;
+
+/**
+ * Reminders on exchange events: '<n>m', '<n>h' or '<n>d' before the
+ * exchange, or 'evening' for FEED_EVENING_REMINDER the day before
+ */
+const FEED_REMINDER_PATTERN = /^(\d+)(m|h|d)$/;
+const FEED_REMINDER_UNITS = { m: 1, h: 60, d: 24 * 60 };
+const FEED_MAX_REMINDER_MINUTES = 7 * 24 * 60;
+const FEED_EVENING_REMINDER = { hours: 19, minutes: 0 };
+
+/**
+ * Longest window a feed may cover, in months
+ */
+const FEED_MAX_MONTHS = 36;
+const FEED_DEFAULT_MONTHS = 12;
+
+/**
+ * 'YYYY-MM-DD' of a Date
+ */
+function feedDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Date for a 'YYYY-MM-DD' string, or null if it is not a real date
+ */
+function parseFeedDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+}
+
+/**
+ * Default feed window: the current month and the 11 after it
+ */
+function getFeedWindow(today = new Date()) {
+  return {
+    start: new Date(today.getFullYear(), today.getMonth(), 1),
+    end: new Date(today.getFullYear(), today.getMonth() + FEED_DEFAULT_MONTHS, 0)
+  };
+}
+
+/**
+ * Read the feed's query parameters:
+ *   perspective  'mother' (default), 'father' or 'neutral' (event wording)
+ *   parent       Whose custody blocks appear: 'mother', 'father' or 'both'
+ *                (default: the perspective's own days, both when neutral)
+ *   from, to     First and last day, 'YYYY-MM-DD' (from defaults to the
+ *                first of the current month)
+ *   months       Window length from `from`, instead of `to` (default 12)
+ *   include      Comma-separated categories (default custody,exchanges)
+ *   spans        How custody days are grouped: 'parent' (default), 'level'
+ *                or 'day' (see FEED_SPANS)
+ *   child        One child's pickups (ID from children.js)
+ *   reminders    Comma-separated alarms on exchanges, e.g. '1h,evening'
+ *                (see FEED_REMINDER_PATTERN; default none)
+ * Returns { options, problems }: options for buildCustodyFeed, and a list
+ * of problems (empty when the query is valid)
+ */
+function parseFeedQuery(query = {}, today = new Date()) {
+  const problems = [];
+  const value = name => (query[name] === undefined || query[name] === '' ? null : String(query[name]));
+
+  const perspective = value('perspective') || 'mother';
+  if (!FEED_WORDING[perspective]) {
+    problems.push(`Unknown perspective "${perspective}" (expected ${Object.keys(FEED_WORDING).join(', ')})`);
+  }
+
+  const parent = value('parent') || (FEED_PARENTS.includes(perspective) ? perspective : 'both');
+  if (!FEED_PARENTS.includes(parent)) {
+    problems.push(`Unknown parent "${parent}" (expected ${FEED_PARENTS.join(', ')})`);
+  }
+
+  const child = value('child');
+  if (child && !FEED_ENGINE.CHILD_REGISTRY.getChild(child)) {
+    const ids = FEED_ENGINE.CHILD_REGISTRY.getChildren().map(c => c.id);
+    problems.push(`Unknown child "${child}" (expected ${ids.join(', ')})`);
+  }
+
+  const include = query.include === undefined
+    ? FEED_DEFAULT_INCLUDE.slice()
+    : [].concat(query.include).join(',').split(',').map(c => c.trim()).filter(Boolean);
+  include.filter(c => !FEED_CATEGORIES.includes(c)).forEach(c => {
+    problems.push(`Unknown category "${c}" in include (expected ${FEED_CATEGORIES.join(', ')})`);
+  });
+  if (include.length === 0) problems.push('include lists no categories');
+
+  const spans = value('spans') || 'parent';
+  if (!FEED_SPANS.includes(spans)) {
+    problems.push(`Unknown spans "${spans}" (expected ${FEED_SPANS.join(', ')})`);
+  }
+
+  const reminders = [].concat(query.reminders || []).join(',').split(',').map(r => r.trim()).filter(Boolean);
+  reminders.forEach(reminder => {
+    const match = FEED_REMINDER_PATTERN.exec(reminder);
+    const minutes = match && Number(match[1]) * FEED_REMINDER_UNITS[match[2]];
+    if (reminder !== 'evening' && !(minutes > 0 && minutes <= FEED_MAX_REMINDER_MINUTES)) {
+      problems.push(`Invalid reminder "${reminder}" (expected e.g. 30m, 1h, 1d or evening, up to 7 days)`);
+    }
+  });
+
+  const from = value('from') ? parseFeedDate(value('from')) : undefined;
+  const to = value('to') ? parseFeedDate(value('to')) : undefined;
+  if (from === null) problems.push(`Invalid from "${query.from}" (expected YYYY-MM-DD)`);
+  if (to === null) problems.push(`Invalid to "${query.to}" (expected YYYY-MM-DD)`);
+
+  const months = value('months') === null ? FEED_DEFAULT_MONTHS : Number(value('months'));
+  if (!Number.isInteger(months) || months < 1 || months > FEED_MAX_MONTHS) {
+    problems.push(`Invalid months "${query.months}" (expected 1 - ${FEED_MAX_MONTHS})`);
+  }
+  if (value('to') && value('months')) problems.push('Give either to or months, not both');
+
+  const start = from || getFeedWindow(today).start;
+  const end = to || new Date(start.getFullYear(), start.getMonth() + months, start.getDate() - 1);
+  const latest = new Date(start.getFullYear(), start.getMonth() + FEED_MAX_MONTHS, start.getDate() - 1);
+  if (to && to < start) problems.push(`to (${value('to')}) is before from (${feedDateKey(start)})`);
+  if (to && to > latest) problems.push(`Window is longer than ${FEED_MAX_MONTHS} months`);
+
+  return {
+    options: { start, end, perspective, parent, child, include, spans, reminders },
+    problems
+  };
+}
+
+// ============================================================================
+// 3. EVENTS
+// ============================================================================
+
+/**
+ * The day after a 'YYYY-MM-DD' key (all-day events end the day after)
+ */
+function nextFeedDay(key) {
+  const date = parseFeedDate(key);
+  return feedDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+}
+
+/**
+ * UID suffix of a feed variant, e.g. '-neutral-basil' or '-spans-day' (''
+ * for Mother's default feed), so two subscriptions never share an event
+ */
+function getFeedVariant(options = {}) {
+  const perspective = options.perspective || 'mother';
+  const defaultParent = perspective === 'neutral' ? 'both' : perspective;
+  const parent = options.parent && options.parent !== defaultParent ? options.parent : null;
+  const spans = options.spans && options.spans !== 'parent' ? `spans-${options.spans}` : null;
+  return [perspective === 'mother' ? null : perspective, parent, options.child, spans]
+    .filter(Boolean).map(part => `-${part}`).join('');
+}
+
+/**
+ * Event UID from the day it starts and what it is (rule ID, category)
+ */
+function feedUid(day, name, variant) {
+  return `${FEED_ICAL.formatDate(day)}-${name}${variant}@${FEED_UID_DOMAIN}`;
+}
+
+/**
+ * First day of the holiday running through a day (windows can start
+ * midway through one; the event keeps its real start and UID)
+ */
+function findHolidayStart(result, options) {
+  let start = result.date;
+  for (let i = 0; i < 31; i++) {
+    const previous = parseFeedDate(start);
+    previous.setDate(previous.getDate() - 1);
+    if (FEED_ENGINE.evaluateCustody(previous, options).holiday !== result.holiday) break;
+    start = feedDateKey(previous);
+  }
+  return start;
+}
+
+/**
+ * Whether two consecutive days belong in one custody span
+ */
+function isSameSpan(a, b, spans) {
+  return spans !== 'day' && a.parent === b.parent && (spans !== 'level' || a.matchedLevel === b.matchedLevel);
+}
+
+/**
+ * Grow a span past the window edge (step -1 back, +1 forward) while the
+ * days still belong to it, so its start, UID and end do not depend on
+ * where the window falls
+ */
+function extendSpan(run, step, spans, engineOptions) {
+  for (let i = 0; i < FEED_SPAN_LOOKAROUND; i++) {
+    const edge = step < 0 ? run[0] : run[run.length - 1];
+    const day = parseFeedDate(edge.date);
+    day.setDate(day.getDate() + step);
+
+    const result = { date: feedDateKey(day), ...FEED_ENGINE.evaluateCustody(day, engineOptions) };
+    if (!isSameSpan(edge, result, spans)) return;
+    if (step < 0) run.unshift(result);
+    else run.push(result);
+  }
+}
+
+/**
+ * Provisions a span covers, one line per run of days under the same one:
+ * "2026-06-12: Provision 14a-f: Summer Week 3 Start"
+ */
+function describeSpan(run) {
+  const lines = [];
+  run.forEach(result => {
+    const rule = `${result.provision}: ${result.provisionTitle}`;
+    const line = lines[lines.length - 1];
+    if (line && line.rule === rule) line.to = result.date;
+    else lines.push({ from: result.date, to: result.date, rule });
+  });
+
+  return lines.map(l => `${l.from}${l.to !== l.from ? ` - ${l.to}` : ''}: ${l.rule}`).join('\n');
+}
+
+/**
+ * All-day custody events: consecutive days grouped as options.spans says,
+ * for `parent` (or both parents)
+ */
+function buildCustodySpans(results, options) {
+  const { parent, spans, variant, engineOptions } = options;
+  const runs = [];
+
+  results.forEach(result => {
+    const run = runs[runs.length - 1];
+    if (run && isSameSpan(run[run.length - 1], result, spans)) run.push(result);
+    else runs.push([result]);
+  });
+
+  if (runs.length > 0) {
+    extendSpan(runs[0], -1, spans, engineOptions);
+    extendSpan(runs[runs.length - 1], 1, spans, engineOptions);
+  }
+
+  return runs
+    .filter(run => parent === 'both' || run[0].parent === parent)
+    .map(run => {
+      const first = run[0].date;
+      const last = run[run.length - 1].date;
+      return {
+        uid: feedUid(first, 'custody', variant),
+        category: 'custody',
+        day: first,
+        allDay: true,
+        start: first,
+        end: nextFeedDay(last),
+        summary: `Alexandra with ${FEED_PARENT_NAMES[run[0].parent]}`,
+        description: describeSpan(run),
+        transparent: true
+      };
+    });
+}
+
+/**
+ * What is out of the ordinary about an exchange, or null: an early release
+ * on a minimum day, a holiday exchange away from school, a day without
+ * school, an agreed swap
+ */
+function describeUnusualExchange(result, event, date) {
+  const unusual = [];
+  const swap = result.flags && result.flags.stipulatedSwap;
+  const closure = FEED_ENGINE.SCHOOL_CALENDAR.getClosureLabel(date);
+
+  if (swap) unusual.push(`Agreed swap${swap.reason ? `: ${swap.reason}` : ''}`);
+  if (event.pickups && FEED_ENGINE.isMinimumDay(date)) {
+    const children = event.pickups.map(p => p.child);
+    const usual = FEED_ENGINE.CHILD_REGISTRY.getDismissalTimes(date, false).filter(p => children.includes(p.child));
+    const times = usual.length === 1 ? usual[0].time : usual.map(p => `${p.time} (${p.name})`).join(' / ');
+    unusual.push(`Minimum day: early release (usually ${times})`);
+  }
+  if (result.holiday && event.locationId !== 'school') {
+    unusual.push(`${result.holiday}: holiday exchange time and place`);
+  } else if (closure && date.getDay() >= 1 && date.getDay() <= 5) {
+    unusual.push(`No school (${closure})`);
+  }
+
+  return unusual.length > 0 ? unusual.join('; ') : null;
+}
+
+/**
+ * Alarms for an exchange at `time` on `date`, from the reminder list.
+ * An unusual exchange always gets the evening-before reminder too, and
+ * its reminders say what is unusual.
+ */
+function buildExchangeAlarms(reminders, date, time, text, unusual) {
+  if (reminders.length === 0) return [];
+
+  const specs = unusual && !reminders.includes('evening') ? reminders.concat('evening') : reminders;
+  const description = unusual ? `${text}. ${unusual}` : text;
+
+  return specs.map(reminder => {
+    if (reminder === 'evening') {
+      const evening = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+      return { minutesBefore: FEED_ICAL.minutesBetween(evening, FEED_EVENING_REMINDER, date, time), description: `Tomorrow: ${description}` };
+    }
+
+    const [, amount, unit] = FEED_REMINDER_PATTERN.exec(reminder);
+    return { minutesBefore: Number(amount) * FEED_REMINDER_UNITS[unit], description };
+  });
+}
+
+/**
+ * Calendar events for every day from start through end (both inclusive)
+ * options: { perspective, child } as for evaluateCustody, plus `parent`,
+ * `include`, `spans` and `reminders` (see parseFeedQuery)
+ * - custody: all-day events over `parent`'s days, one per span (a span cut
+ *   by the window still starts and ends on its real days)
+ * - exchanges: a one-hour event per exchange, at its wall-clock time, with
+ *   any reminders; unusual exchanges say why in the description
+ * - holidays: one all-day event per holiday, over its consecutive days
+ * - school: see buildSchoolEvents
+ * UIDs come from the day and the rule or category, so they stay the same
+ * when the window moves. Each event also carries its `category` and `day`.
+ */
+function buildFeedEvents(start, end, options = {}) {
+  const perspective = options.perspective || 'mother';
+  const parent = options.parent || (perspective === 'neutral' ? 'both' : perspective);
+  const include = options.include || FEED_DEFAULT_INCLUDE;
+  const engineOptions = { perspective, child: options.child };
+  const variant = getFeedVariant(options);
+  const results = FEED_ENGINE.evaluateRange(start, end, engineOptions);
+  const events = include.includes('custody')
+    ? buildCustodySpans(results, { parent, spans: options.spans || 'parent', variant, engineOptions })
+    : [];
+  let holiday = null;
+
+  results.forEach(result => {
+    const date = parseFeedDate(result.date);
+
+    if (include.includes('exchanges')) {
+      result.events.forEach((e, idx) => {
+        const time = FEED_ENGINE.parseTimeOfDay(e.time);
+        const unusual = describeUnusualExchange(result, e, date);
+        events.push({
+          uid: feedUid(result.date, `${result.matchedRule}-${idx}`, variant),
+          category: 'exchanges',
+          day: result.date,
+          date,
+          time,
+          summary: e.title,
+          location: e.location,
+          description: `${e.title} at ${e.time}\nLocation: ${e.location}${unusual ? `\n${unusual}` : ''}`,
+          alarms: buildExchangeAlarms(options.reminders || [], date, time, `${e.title} at ${e.time}, ${e.location}`, unusual)
+        });
+      });
+    }
+
+    // Consecutive nights of the same holiday are one event
+    if (include.includes('holidays') && result.holiday) {
+      const night = `${result.date}: Alexandra with ${FEED_PARENT_NAMES[result.parent]}`;
+      if (holiday && holiday.summary === result.holiday && holiday.end === result.date) {
+        holiday.end = nextFeedDay(result.date);
+        holiday.description += `\n${night}`;
+      } else {
+        const first = holiday ? result.date : findHolidayStart(result, engineOptions);
+        const slug = result.holiday.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        holiday = {
+          uid: feedUid(first, `holiday-${slug}`, variant),
+          category: 'holidays',
+          day: first,
+          allDay: true,
+          start: first,
+          end: nextFeedDay(result.date),
+          summary: result.holiday,
+          description: night,
+          transparent: true
+        };
+        events.push(holiday);
+      }
+    }
+  });
+
+  if (include.includes('school')) {
+    events.push(...buildSchoolEvents(start, end, { ...options, variant }));
+  }
+
+  return events;
+}
+
+/**
+ * School calendar events from start through end: first and last days of
+ * school, closures, breaks (over the weekends around them) and minimum
+ * days with the early pickup times
+ */
+function buildSchoolEvents(start, end, options = {}) {
+  const school = FEED_ENGINE.SCHOOL_CALENDAR;
+  const first = typeof start === 'string' ? start : feedDateKey(start);
+  const last = typeof end === 'string' ? end : feedDateKey(end);
+  const inWindow = key => key >= first && key <= last;
+  const events = [];
+
+  const addDays = (startKey, endKey, kind, summary, description) => {
+    events.push({
+      uid: feedUid(startKey, `school-${kind}`, options.variant || ''),
+      category: 'school',
+      day: startKey,
+      allDay: true,
+      start: startKey,
+      end: nextFeedDay(endKey),
+      summary,
+      description,
+      transparent: true
+    });
+  };
+
+  school.getSchoolYears().forEach(year => {
+    if (inWindow(year.firstDay)) addDays(year.firstDay, year.firstDay, 'first-day', 'First Day of School', `School year ${year.id}`);
+    if (year.lastDay && inWindow(year.lastDay)) addDays(year.lastDay, year.lastDay, 'last-day', 'Last Day of School', `School year ${year.id}`);
+
+    year.holidays.filter(h => inWindow(h.date)).forEach(h => {
+      addDays(h.date, h.date, 'closed', `${h.label} (No School)`, `School year ${year.id}`);
+    });
+
+    year.minimumDays.filter(inWindow).forEach(key => {
+      const pickups = FEED_ENGINE.getPickupTimes(parseFeedDate(key))
+        .filter(p => !options.child || p.child === options.child);
+      addDays(key, key, 'minimum-day', 'Minimum Day (Early Release)', pickups.map(p => `${p.name}: ${p.time}`).join('\n'));
+    });
+  });
+
+  school.getSchoolBreaks().filter(b => b.start <= last && b.end >= first).forEach(b => {
+    addDays(b.start, b.end, `break-${b.name}`, `${b.label} (No School)`, `Back to school ${b.returnDay}`);
+  });
+
+  return events;
+}
+
+// ============================================================================
+// 4. REVISIONS
+// ============================================================================
+
+/**
+ * Short fingerprint of an event's content (FNV-1a), to spot changes.
+ * Alarms are left out: they depend on the subscriber's `reminders`, and
+ * every subscriber's feed shares the ledger.
+ */
+function fingerprintFeedEvent(event) {
+  const text = JSON.stringify([
+    event.start, event.end, event.date && feedDateKey(event.date), event.time, event.duration,
+    event.summary, event.location, event.description, event.transparent
+  ]);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Number events against the ledger of what the feed published before:
+ * { [uid]: { feed, category, day, fingerprint, sequence, lastModified,
+ * status, event } }
+ * - A new event starts at SEQUENCE 0
+ * - A changed event gets the next SEQUENCE and LAST-MODIFIED now
+ * - An event this feed published inside the window that is no longer there
+ *   comes back CANCELLED (with the next SEQUENCE), so clients remove it
+ * context: { feed (getFeedVariant), start, end, include, now }
+ * Updates the ledger in place (entries more than a year old are dropped)
+ * and returns the events to publish.
+ */
+function applyFeedLedger(events, ledger, context) {
+  const now = context.now || new Date();
+  const modified = now.toISOString();
+  const first = typeof context.start === 'string' ? context.start : feedDateKey(context.start);
+  const last = typeof context.end === 'string' ? context.end : feedDateKey(context.end);
+  const include = context.include || FEED_DEFAULT_INCLUDE;
+  const seen = new Set();
+
+  const published = events.map(event => {
+    const fingerprint = fingerprintFeedEvent(event);
+    const entry = ledger[event.uid];
+    seen.add(event.uid);
+
+    if (!entry || entry.fingerprint !== fingerprint || entry.status === 'cancelled') {
+      ledger[event.uid] = {
+        feed: context.feed,
+        category: event.category,
+        day: event.day,
+        fingerprint,
+        sequence: entry ? entry.sequence + 1 : 0,
+        lastModified: modified,
+        status: 'confirmed',
+        event: {
+          allDay: Boolean(event.allDay),
+          start: event.start,
+          end: event.end,
+          date: event.date && feedDateKey(event.date),
+          time: event.time,
+          summary: event.summary,
+          location: event.location
+        }
+      };
+    }
+
+    return { ...event, sequence: ledger[event.uid].sequence, lastModified: ledger[event.uid].lastModified };
+  });
+
+  const oldest = feedDateKey(new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()));
+  Object.keys(ledger).forEach(uid => {
+    const entry = ledger[uid];
+    if (entry.day < oldest) {
+      delete ledger[uid];
+      return;
+    }
+    if (seen.has(uid) || entry.feed !== context.feed || !include.includes(entry.category)) return;
+    if (entry.day < first || entry.day > last) return;
+
+    if (entry.status !== 'cancelled') {
+      entry.status = 'cancelled';
+      entry.sequence++;
+      entry.lastModified = modified;
+    }
+    published.push({
+      ...entry.event,
+      date: entry.event.date && parseFeedDate(entry.event.date),
+      uid,
+      category: entry.category,
+      day: entry.day,
+      sequence: entry.sequence,
+      lastModified: entry.lastModified,
+      status: 'CANCELLED'
+    });
+  });
+
+  return published;
+}
+
+// ============================================================================
+// 5. CALENDAR
+// ============================================================================
+
+/**
+ * Full .ics text for a date window
+ * options: { start, end (default getFeedWindow), perspective, parent, child,
+ * include, description, headers, stamp } (see parseFeedQuery, and
+ * buildICalendar in ical-format.js), plus `ledger` to number the events
+ * and cancel removed ones (see applyFeedLedger; updated in place)
+ */
+function buildCustodyFeed(options = {}) {
+  const feedWindow = getFeedWindow();
+  const start = options.start || feedWindow.start;
+  const end = options.end || feedWindow.end;
+
+  const events = buildFeedEvents(start, end, options);
+
+  return FEED_ICAL.buildICalendar({
+    name: 'Alexandra\'s Custody Schedule',
+    description: options.description || 'Roberts/Gardenhire Custody Schedule - Hierarchical Rules Engine',
+    headers: options.headers,
+    stamp: options.stamp,
+    events: options.ledger
+      ? applyFeedLedger(events, options.ledger, { feed: getFeedVariant(options), start, end, include: options.include, now: options.stamp })
+      : events
+  });
+}
+
+// ============================================================================
+// 6. EXPORT
+// ============================================================================
+
+const CustodyFeedAPI = {
+  buildCustodyFeed,
+  buildFeedEvents,
+  buildSchoolEvents,
+  applyFeedLedger,
+  getFeedVariant,
+  getFeedWindow,
+  parseFeedQuery,
+  CATEGORIES: FEED_CATEGORIES,
+  SPANS: FEED_SPANS
+};
+
+// Export for use in HTML (load after custody-engine.js and ical-format.js)
+if (typeof window !== 'undefined') {
+  window.CustodyFeed = CustodyFeedAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustodyFeedAPI;
+}
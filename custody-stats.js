@@ -0,0 +1,286 @@
+/**
+ * Custody Statistics
+ * Overnights and timeshare per parent, counts by level and rule, holidays,
+ * 5th weekends and exchanges for any date range - the numbers the attorney
+ * asks for, computed from the custody engine instead of tallied by hand.
+ * Used by stats.html (printable report) and `node custody-stats.js`.
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Custody engine and rule document
+ * In the browser both must be loaded before this file
+ */
+const STATS_ENGINE = (typeof module !== 'undefined' && module.exports)
+  ? require('./custody-engine.js')
+  : window.CustodyEngine;
+
+const STATS_RULES = (typeof module !== 'undefined' && module.exports)
+  ? require('./court-order-rules.js')
+  : window.CourtOrderRules;
+
+// ============================================================================
+// 2. HELPERS
+// ============================================================================
+
+/**
+ * Parse YYYY-MM-DD (or copy a Date) into a local Date at midnight
+ */
+function parseStatsDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function statsDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Overnight tally: { mother, father }
+ */
+function emptyTally() {
+  return { mother: 0, father: 0 };
+}
+
+/**
+ * Add share percentages (one decimal) to a tally
+ */
+function withShare(tally) {
+  const nights = tally.mother + tally.father;
+  const percent = n => (nights ? Math.round(n / nights * 1000) / 10 : 0);
+
+  return { ...tally, nights, share: { mother: percent(tally.mother), father: percent(tally.father) } };
+}
+
+/**
+ * Add a night to a tally kept in an object by key
+ */
+function countNight(groups, key, parent) {
+  groups[key] = groups[key] || emptyTally();
+  groups[key][parent]++;
+}
+
+// ============================================================================
+// 3. OVERNIGHTS
+// ============================================================================
+
+/**
+ * Who has her each night of the range: [{ date, parent, result }]
+ * A night belongs to whoever has her at 11:59 PM, so exchange days count
+ * for the parent who ends the day with her (not the day's display parent).
+ */
+function getOvernights(start, end) {
+  const days = STATS_ENGINE.evaluateRange(start, end);
+  if (!days.length) return [];
+
+  const lastNight = parseStatsDate(days[days.length - 1].date);
+  lastNight.setHours(23, 59);
+  const segments = STATS_ENGINE.getCustodySegments(parseStatsDate(days[0].date), new Date(lastNight.getTime() + 1));
+
+  let i = 0;
+  return days.map(day => {
+    const night = parseStatsDate(day.date);
+    night.setHours(23, 59);
+    while (segments[i].end && segments[i].end <= night) i++;
+
+    return { date: day.date, parent: segments[i].parent, result: day };
+  });
+}
+
+// ============================================================================
+// 4. REPORT
+// ============================================================================
+
+/**
+ * Compare a period's share with the intended timeshare
+ * Only complete periods are flagged, and only when the rule document states
+ * a timeshare (deviation is null without one)
+ */
+function checkDeviation(tally, complete) {
+  const { timeshare } = STATS_RULES;
+  const summary = withShare(tally);
+  if (!timeshare) return { ...summary, complete, deviation: null, flagged: false };
+
+  const deviation = Math.round((summary.share.mother - timeshare.mother) * 10) / 10;
+
+  return { ...summary, complete, deviation, flagged: complete && Math.abs(deviation) > timeshare.tolerance };
+}
+
+/**
+ * Full statistics for start through end (both inclusive; Dates or
+ * 'YYYY-MM-DD'). Plain JSON-friendly object:
+ * - overnights: total, byMonth, bySchoolYear (first to last instruction
+ *   day; summers are not in a school year), byCalendarYear
+ * - byLevel / byRule: days and overnights per matched level and rule ID
+ * - holidays: each holiday occurrence and totals per holiday
+ * - fifthWeekends: who had each 5th weekend (Friday and Saturday nights)
+ * - exchanges: handoffs in the range, with and without an exchange event
+ * - deviations: periods flagged against the intended timeshare
+ * - intended: the rule document's timeshare, or null when the order states
+ *   none (nothing is flagged then)
+ */
+function buildCustodyStats(start, end) {
+  const nights = getOvernights(start, end);
+  const first = nights.length ? nights[0].date : null;
+  const last = nights.length ? nights[nights.length - 1].date : null;
+
+  const total = emptyTally();
+  const byMonth = {};
+  const byCalendarYear = {};
+  const bySchoolYear = {};
+  const schoolYears = {};
+  const byLevel = {};
+  const byRule = {};
+  const occurrences = [];
+  const weekends = [];
+
+  nights.forEach(({ date, parent, result }, index) => {
+    const day = parseStatsDate(date);
+    total[parent]++;
+    countNight(byMonth, date.slice(0, 7), parent);
+    countNight(byCalendarYear, date.slice(0, 4), parent);
+
+    const schoolYear = STATS_ENGINE.SCHOOL_CALENDAR.getSchoolYear(day);
+    if (schoolYear) {
+      countNight(bySchoolYear, schoolYear.id, parent);
+      schoolYears[schoolYear.id] = schoolYear;
+    }
+
+    const levelKey = result.matchedLevel === null ? 'none' : String(result.matchedLevel);
+    byLevel[levelKey] = byLevel[levelKey] || { days: 0, ...emptyTally() };
+    byLevel[levelKey].days++;
+    byLevel[levelKey][parent]++;
+
+    byRule[result.matchedRule] = byRule[result.matchedRule] || { days: 0, ...emptyTally() };
+    byRule[result.matchedRule].days++;
+    byRule[result.matchedRule][parent]++;
+
+    // Consecutive nights of the same holiday are one occurrence
+    if (result.holiday) {
+      const current = occurrences[occurrences.length - 1];
+      const previous = index > 0 ? nights[index - 1] : null;
+      if (current && current.holiday === result.holiday && previous && previous.date === current.end) {
+        current.end = date;
+        current[parent]++;
+      } else {
+        occurrences.push({ holiday: result.holiday, start: date, end: date, ...emptyTally(), [parent]: 1 });
+      }
+    }
+
+    // 5th weekends start on the 5th Friday
+    if (day.getDay() === 5 && STATS_ENGINE.isFifthWeekend(day)) {
+      const saturday = nights[index + 1];
+      const weekend = { friday: date, ...emptyTally(), [parent]: 1 };
+      if (saturday) weekend[saturday.parent]++;
+      weekend.parent = weekend.mother === weekend.father ? 'shared' : (weekend.mother > weekend.father ? 'mother' : 'father');
+      weekends.push(weekend);
+    }
+  });
+
+  const byHoliday = {};
+  occurrences.forEach(o => {
+    byHoliday[o.holiday] = byHoliday[o.holiday] || { occurrences: 0, ...emptyTally() };
+    byHoliday[o.holiday].occurrences++;
+    byHoliday[o.holiday].mother += o.mother;
+    byHoliday[o.holiday].father += o.father;
+  });
+
+  // Exchanges: handoffs starting inside the range
+  const exchanges = { total: 0, withEvent: 0, withoutEvent: 0, byMonth: {} };
+  if (nights.length) {
+    const rangeStart = parseStatsDate(first);
+    const rangeEnd = parseStatsDate(last);
+    rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+    STATS_ENGINE.getCustodySegments(rangeStart, rangeEnd)
+      .filter(seg => seg.start && seg.start >= rangeStart && seg.start < rangeEnd)
+      .forEach(seg => {
+        const month = statsDateKey(seg.start).slice(0, 7);
+        exchanges.total++;
+        exchanges[seg.exchange ? 'withEvent' : 'withoutEvent']++;
+        exchanges.byMonth[month] = (exchanges.byMonth[month] || 0) + 1;
+      });
+  }
+
+  const mapValues = (groups, fn) => Object.keys(groups).sort().reduce((out, key) => {
+    out[key] = fn(groups[key], key);
+    return out;
+  }, {});
+
+  const calendarYears = mapValues(byCalendarYear, (tally, year) =>
+    checkDeviation(tally, first <= `${year}-01-01` && last >= `${year}-12-31`));
+  const schoolYearStats = mapValues(bySchoolYear, (tally, id) =>
+    checkDeviation(tally, first <= schoolYears[id].firstDay && last >= schoolYears[id].lastDay));
+
+  const deviations = [
+    ...Object.keys(schoolYearStats).map(id => ({ period: `School year ${id}`, ...schoolYearStats[id] })),
+    ...Object.keys(calendarYears).map(year => ({ period: `Calendar year ${year}`, ...calendarYears[year] }))
+  ].filter(p => p.flagged)
+    .map(({ period, share, deviation }) => ({ period, share, deviation }));
+
+  return {
+    range: { start: first, end: last, nights: nights.length },
+    intended: STATS_RULES.timeshare ? { ...STATS_RULES.timeshare } : null,
+    overnights: {
+      total: withShare(total),
+      byMonth: mapValues(byMonth, withShare),
+      bySchoolYear: schoolYearStats,
+      byCalendarYear: calendarYears
+    },
+    byLevel: mapValues(byLevel, v => v),
+    byRule: mapValues(byRule, v => v),
+    holidays: { occurrences, byHoliday: mapValues(byHoliday, v => v) },
+    fifthWeekends: {
+      weekends,
+      mother: weekends.filter(w => w.parent === 'mother').length,
+      father: weekends.filter(w => w.parent === 'father').length,
+      shared: weekends.filter(w => w.parent === 'shared').length
+    },
+    exchanges,
+    deviations
+  };
+}
+
+// ============================================================================
+// 5. EXPORT
+// ============================================================================
+
+const CustodyStatsAPI = {
+  buildCustodyStats,
+  getOvernights
+};
+
+// Export for use in HTML (load after custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.CustodyStats = CustodyStatsAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustodyStatsAPI;
+
+  // CLI: node custody-stats.js <start YYYY-MM-DD> <end YYYY-MM-DD>
+  // Prints the statistics as JSON
+  if (require.main === module) {
+    const [start, end] = process.argv.slice(2);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '')) {
+      console.error('Usage: node custody-stats.js <start YYYY-MM-DD> <end YYYY-MM-DD>');
+      process.exit(1);
+    }
+
+    // Count agreed swaps, as stats.html does
+    const fs = require('fs');
+    const swapFile = require('path').join(__dirname, 'agreed-swaps.json');
+    if (fs.existsSync(swapFile)) {
+      STATS_ENGINE.SWAP_CALENDAR.loadSwaps(JSON.parse(fs.readFileSync(swapFile, 'utf8')));
+    }
+
+    console.log(JSON.stringify(buildCustodyStats(start, end), null, 2));
+  }
+}
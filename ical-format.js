@@ -0,0 +1,250 @@
+/**
+ * iCalendar Formatting (RFC 5545)
+ * Builds the .ics text for the subscription feed (api/calendar.ics.js) and
+ * the calendar download. Exchange times are written as wall-clock times in
+ * the schedule's time zone (TZID plus a VTIMEZONE block), so "4:00 PM" stays
+ * 4:00 PM whatever time zone the server or the subscriber is in.
+ */
+
+// ============================================================================
+// 1. TIME ZONE
+// ============================================================================
+
+/**
+ * Time zone of every exchange time in the court order
+ */
+const ICAL_TIMEZONE = 'America/Los_Angeles';
+
+/**
+ * VTIMEZONE for ICAL_TIMEZONE (US rules since 2007: daylight time from the
+ * 2nd Sunday in March to the 1st Sunday in November, both at 2:00 AM)
+ */
+const ICAL_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${ICAL_TIMEZONE}`,
+  `X-LIC-LOCATION:${ICAL_TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// ============================================================================
+// 2. DATES AND TIMES
+// ============================================================================
+
+const pad2 = n => String(n).padStart(2, '0');
+
+/**
+ * Format a Date (its calendar day) or 'YYYY-MM-DD' as YYYYMMDD
+ */
+function formatICalDate(date) {
+  if (typeof date === 'string') return date.replace(/-/g, '');
+  return `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}`;
+}
+
+/**
+ * Wall-clock time on a calendar day, held in a UTC Date so that adding
+ * minutes never crosses a DST change (the VTIMEZONE handles those)
+ */
+function toWallClock(date, { hours, minutes }) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes));
+}
+
+/**
+ * Format a wall-clock time (from toWallClock) as YYYYMMDDTHHMMSS
+ */
+function formatICalDateTime(wallClock) {
+  return `${wallClock.getUTCFullYear()}${pad2(wallClock.getUTCMonth() + 1)}${pad2(wallClock.getUTCDate())}` +
+    `T${pad2(wallClock.getUTCHours())}${pad2(wallClock.getUTCMinutes())}00`;
+}
+
+/**
+ * Whether a wall-clock time (from toWallClock) falls in daylight time under
+ * the ICAL_VTIMEZONE rules
+ */
+function isDaylightTime(wallClock) {
+  const year = wallClock.getUTCFullYear();
+  const nthSunday = (month, n) => 1 + (7 - new Date(Date.UTC(year, month, 1)).getUTCDay()) % 7 + (n - 1) * 7;
+  const start = Date.UTC(year, 2, nthSunday(2, 2), 2);
+  const end = Date.UTC(year, 10, nthSunday(10, 1), 2);
+  return wallClock.getTime() >= start && wallClock.getTime() < end;
+}
+
+/**
+ * Real minutes between two wall-clock times in ICAL_TIMEZONE
+ * ({ hours, minutes } on a calendar day): an hour less across the spring
+ * change, an hour more across the fall one
+ */
+function minutesBetween(fromDate, fromTime, toDate, toTime) {
+  const from = toWallClock(fromDate, fromTime);
+  const to = toWallClock(toDate, toTime);
+  const offset = wallClock => (isDaylightTime(wallClock) ? 60 : 0);
+  return (to.getTime() - from.getTime()) / 60000 - offset(to) + offset(from);
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME (YYYYMMDDTHHMMSSZ), as DTSTAMP requires
+ */
+function formatICalTimestamp(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ============================================================================
+// 3. TEXT
+// ============================================================================
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and newlines
+ */
+function escapeICalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet lines (continuations start with a space)
+ * Never splits a UTF-8 character.
+ */
+function foldICalLine(line) {
+  const octets = ch => {
+    const code = ch.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  };
+
+  const lines = [];
+  let current = '';
+  let length = 0;
+
+  for (const ch of line) {
+    const size = octets(ch);
+    if (length + size > 75) {
+      lines.push(current);
+      current = ' ';
+      length = 1;
+    }
+    current += ch;
+    length += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n');
+}
+
+// ============================================================================
+// 4. CALENDAR
+// ============================================================================
+
+/**
+ * Content lines of one event
+ * - All-day: { allDay: true, start, end } (Dates or 'YYYY-MM-DD'; end exclusive)
+ * - Timed: { date, time: { hours, minutes }, duration } (duration in minutes,
+ *   default 60), in ICAL_TIMEZONE
+ * Plus uid, summary and optional location, description, transparent,
+ * sequence (revision number), lastModified (Date or ISO string), status
+ * ('CONFIRMED' by default, or 'CANCELLED' for an occurrence removed since
+ * subscribers last synced) and alarms ([{ minutesBefore, description }],
+ * written as display VALARMs).
+ */
+function buildICalEvent(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatICalTimestamp(new Date(event.lastModified))}`);
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatICalDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatICalDate(event.end)}`);
+  } else {
+    const start = toWallClock(event.date, event.time);
+    const end = new Date(start.getTime() + (event.duration || 60) * 60 * 1000);
+    lines.push(`DTSTART;TZID=${ICAL_TIMEZONE}:${formatICalDateTime(start)}`);
+    lines.push(`DTEND;TZID=${ICAL_TIMEZONE}:${formatICalDateTime(end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeICalText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeICalText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+  if (event.transparent) lines.push('TRANSP:TRANSPARENT');
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  (event.alarms || []).forEach(alarm => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeICalText(alarm.description)}`,
+      `TRIGGER:-PT${alarm.minutesBefore}M`,
+      'END:VALARM'
+    );
+  });
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Full VCALENDAR text (CRLF line endings, folded)
+ * options: { name, description, headers (extra calendar properties),
+ * events, stamp (Date for DTSTAMP, default now) }
+ */
+function buildICalendar({ name, description, headers = [], events = [], stamp = new Date() }) {
+  const timestamp = formatICalTimestamp(stamp);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Alexandra Schedule//Custody Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    `X-WR-TIMEZONE:${ICAL_TIMEZONE}`,
+    `X-WR-CALDESC:${escapeICalText(description)}`,
+    ...headers,
+    ...ICAL_VTIMEZONE,
+    ...events.flatMap(event => buildICalEvent(event, timestamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// 5. EXPORT
+// ============================================================================
+
+const ICalFormatAPI = {
+  buildICalendar,
+  escapeText: escapeICalText,
+  foldLine: foldICalLine,
+  formatDate: formatICalDate,
+  formatTimestamp: formatICalTimestamp,
+  minutesBetween,
+  TIMEZONE: ICAL_TIMEZONE
+};
+
+// Export for use in HTML
+if (typeof window !== 'undefined') {
+  window.ICalFormat = ICalFormatAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ICalFormatAPI;
+}
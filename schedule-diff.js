@@ -0,0 +1,362 @@
+/**
+ * Schedule Diff
+ * Evaluates a date range with two versions of the schedule - two engine
+ * configurations, or the rule and school calendar files of two git
+ * revisions - and lists every day where who has her, an exchange's time or
+ * place, or the controlling rule differs. Reports as JSON, HTML or a plain
+ * text summary to send to the co-parent.
+ * Run: node schedule-diff.js <before> [after] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format text|json|html]
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Custody engine (the version in this tree)
+ * In the browser it must be loaded before this file
+ */
+const DIFF_ENGINE = (typeof module !== 'undefined' && module.exports)
+  ? require('./custody-engine.js')
+  : window.CustodyEngine;
+
+/**
+ * Files that make up an engine version, as custody-engine.js requires them
+ */
+const DIFF_ENGINE_FILES = [
+  'custody-engine.js',
+  'court-order-rules.js',
+  'school-calendar.js',
+  'absence-calendar.js',
+  'swap-calendar.js',
+  'children.js'
+];
+
+/**
+ * What is compared on each day
+ */
+const DIFF_FIELDS = ['parent', 'exchanges', 'rule'];
+
+const DIFF_NAMES = { mother: 'Mother', father: 'Father' };
+const DIFF_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DIFF_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// 2. COMPARING
+// ============================================================================
+
+/**
+ * Local Date at midnight for 'YYYY-MM-DD' (or a copy of a Date)
+ */
+function parseDiffDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function diffDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "Fri, Jan 16, 2026"
+ */
+function formatDiffDate(key) {
+  const date = parseDiffDate(key);
+  return `${DIFF_WEEKDAYS[date.getDay()]}, ${DIFF_MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+/**
+ * The compared parts of a day's result. Each side is evaluated day by day
+ * with evaluateCustody, which every engine version has.
+ */
+function describeDiffDay(result) {
+  return {
+    parent: result.parent,
+    rule: result.matchedRule,
+    provision: result.provision || null,
+    note: result.note || '',
+    exchanges: (result.events || []).map(e => ({ time: e.time, title: e.title, location: e.location, locationId: e.locationId || null }))
+  };
+}
+
+/**
+ * Fields of DIFF_FIELDS that differ between two described days.
+ * Exchanges differ when their times or locations do (titles are wording);
+ * locations compare by ID when both versions give one, since older
+ * versions word place names for Mother ("Your Home").
+ */
+function compareDiffDays(before, after) {
+  const byId = before.exchanges.concat(after.exchanges).every(e => e.locationId);
+  const exchangeKey = day => day.exchanges.map(e => `${e.time}@${byId ? e.locationId : e.location}`).join('|');
+  return DIFF_FIELDS.filter(field => (field === 'exchanges'
+    ? exchangeKey(before) !== exchangeKey(after)
+    : before[field] !== after[field]));
+}
+
+/**
+ * Compare two versions of the schedule from start through end (both
+ * inclusive; Dates or 'YYYY-MM-DD'). Each side is { engine, options, label }:
+ * an engine (custody-engine.js exports, see loadEngineVersion), options for
+ * evaluateCustody (default: neutral wording) and a name for reports.
+ * Returns a JSON-friendly object:
+ * { range, labels, counts: { days, parent, exchanges, rule }, changes }
+ * changes: [{ date, fields, before, after }] for every day that differs
+ */
+function diffSchedules(before, after, start, end) {
+  const first = parseDiffDate(start);
+  const last = parseDiffDate(end);
+  const sides = [before, after].map(side => ({
+    engine: side.engine || DIFF_ENGINE,
+    options: { perspective: 'neutral', ...side.options }
+  }));
+
+  const counts = { days: 0, parent: 0, exchanges: 0, rule: 0 };
+  const changes = [];
+  let days = 0;
+
+  for (let date = new Date(first); date <= last; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+    days++;
+    const [was, now] = sides.map(side => describeDiffDay(side.engine.evaluateCustody(date, side.options)));
+    const fields = compareDiffDays(was, now);
+    if (!fields.length) continue;
+
+    counts.days++;
+    fields.forEach(field => { counts[field]++; });
+    changes.push({ date: diffDateKey(date), fields, before: was, after: now });
+  }
+
+  return {
+    range: { start: diffDateKey(first), end: diffDateKey(last), days },
+    labels: { before: before.label || 'before', after: after.label || 'after' },
+    counts,
+    changes
+  };
+}
+
+// ============================================================================
+// 3. REPORTS
+// ============================================================================
+
+function describeExchanges(day) {
+  return day.exchanges.length
+    ? day.exchanges.map(e => `${e.time} ${e.title} @ ${e.location}`).join('; ')
+    : 'no exchange';
+}
+
+function describeRule(day) {
+  return day.provision ? `${day.provision} (${day.rule})` : String(day.rule);
+}
+
+/**
+ * Lines "what: before -> after" for a change, in plain words
+ */
+function describeChange(change) {
+  const { before, after } = change;
+  const lines = [];
+  if (change.fields.includes('parent')) {
+    lines.push(`With: ${DIFF_NAMES[before.parent] || 'nobody'} -> ${DIFF_NAMES[after.parent] || 'nobody'}`);
+  }
+  if (change.fields.includes('exchanges')) {
+    lines.push(`Exchanges: ${describeExchanges(before)} -> ${describeExchanges(after)}`);
+  }
+  if (change.fields.includes('rule')) {
+    lines.push(`Rule: ${describeRule(before)} -> ${describeRule(after)}`);
+  }
+  return lines;
+}
+
+/**
+ * Plain text summary, short enough to paste into a message
+ */
+function formatDiffText(diff) {
+  const { range, counts } = diff;
+  const lines = [
+    `Schedule changes from ${formatDiffDate(range.start)} through ${formatDiffDate(range.end)}`,
+    `(${diff.labels.before} compared with ${diff.labels.after})`,
+    ''
+  ];
+
+  if (!diff.changes.length) {
+    lines.push(`No changes: all ${range.days} days are the same.`);
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(`${counts.days} of ${range.days} days change: ${counts.parent} change who has her, ` +
+    `${counts.exchanges} change an exchange time or place, ${counts.rule} change the controlling rule.`);
+
+  diff.changes.forEach(change => {
+    lines.push('', formatDiffDate(change.date));
+    describeChange(change).forEach(line => lines.push(`  ${line}`));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function escapeDiffHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * A standalone HTML page: summary and a table of changed days, with the
+ * changed parts highlighted
+ */
+function formatDiffHTML(diff) {
+  const { range, counts } = diff;
+  const cell = (change, field, text) => `<td class="${change.fields.includes(field) ? 'changed' : ''}">${escapeDiffHtml(text)}</td>`;
+  const side = (change, day) => [
+    cell(change, 'parent', DIFF_NAMES[day.parent] || '—'),
+    cell(change, 'exchanges', describeExchanges(day)),
+    cell(change, 'rule', describeRule(day))
+  ].join('');
+
+  const rows = diff.changes.map(change => `    <tr>
+      <td class="date">${escapeDiffHtml(formatDiffDate(change.date))}</td>
+      ${side(change, change.before)}
+      ${side(change, change.after)}
+    </tr>`).join('\n');
+
+  const title = `Schedule changes ${range.start} to ${range.end}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeDiffHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 30px; color: #000; }
+    h1 { font-size: 1.4rem; margin: 0 0 6px; }
+    .sub { color: #6e6e73; font-size: 0.85rem; margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+    th, td { text-align: left; vertical-align: top; padding: 5px 7px; border-bottom: 1px solid #E5E5EA; }
+    th { background: #F3F4F6; }
+    td.date { white-space: nowrap; font-weight: 600; }
+    td.changed { background: #FFF4E5; color: #92400E; font-weight: 600; }
+    @media print { td.changed, th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeDiffHtml(title)}</h1>
+  <div class="sub">${escapeDiffHtml(diff.labels.before)} compared with ${escapeDiffHtml(diff.labels.after)}:
+    ${counts.days} of ${range.days} days change (${counts.parent} who has her, ${counts.exchanges} exchanges, ${counts.rule} controlling rule)</div>
+  <table>
+    <tr><th rowspan="2">Date</th><th colspan="3">${escapeDiffHtml(diff.labels.before)}</th><th colspan="3">${escapeDiffHtml(diff.labels.after)}</th></tr>
+    <tr><th>With</th><th>Exchanges</th><th>Rule</th><th>With</th><th>Exchanges</th><th>Rule</th></tr>
+${rows || '    <tr><td colspan="7">No changes</td></tr>'}
+  </table>
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// 4. EXPORT
+// ============================================================================
+
+const ScheduleDiffAPI = {
+  diffSchedules,
+  formatDiffText,
+  formatDiffHTML,
+  FIELDS: DIFF_FIELDS
+};
+
+// Export for use in HTML (load after custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.ScheduleDiff = ScheduleDiffAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { execFileSync } = require('child_process');
+
+  /**
+   * An engine version, separate from every other loaded copy:
+   * - '.' (or this directory): the engine in this tree
+   * - another directory holding the DIFF_ENGINE_FILES
+   * - a git revision (HEAD~1, a tag, a commit): its files, checked out to a
+   *   temporary directory
+   */
+  ScheduleDiffAPI.loadEngineVersion = function loadEngineVersion(version) {
+    const dir = path.resolve(__dirname, version);
+    if (dir === __dirname) return DIFF_ENGINE;
+    if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) return require(path.join(dir, 'custody-engine.js'));
+
+    const git = args => execFileSync('git', args, { cwd: __dirname, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    try {
+      git(['rev-parse', '--verify', '--quiet', `${version}^{commit}`]);
+    } catch (error) {
+      throw new Error(`"${version}" is neither a directory nor a git revision`);
+    }
+
+    const checkout = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-diff-'));
+    try {
+      DIFF_ENGINE_FILES.forEach(file => {
+        const listed = git(['ls-tree', '--name-only', version, file]).trim();
+        if (listed) fs.writeFileSync(path.join(checkout, file), git(['show', `${version}:${file}`]));
+      });
+      return require(path.join(checkout, 'custody-engine.js'));
+    } finally {
+      fs.rmSync(checkout, { recursive: true, force: true });
+    }
+  };
+
+  module.exports = ScheduleDiffAPI;
+
+  // CLI: node schedule-diff.js <before> [after] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format text|json|html]
+  // before/after are git revisions or directories (after defaults to this tree); the range
+  // defaults to today and the year after it. Agreed swaps apply to both sides.
+  if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flags = {};
+    const versions = [];
+    for (let i = 0; i < args.length; i++) {
+      if (args[i].startsWith('--')) flags[args[i].slice(2)] = args[++i];
+      else versions.push(args[i]);
+    }
+
+    const today = new Date();
+    const from = flags.from || diffDateKey(today);
+    const to = flags.to || diffDateKey(new Date(today.getFullYear() + 1, today.getMonth(), today.getDate() - 1));
+    const format = flags.format || 'text';
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (versions.length < 1 || versions.length > 2 || !datePattern.test(from) || !datePattern.test(to) ||
+      !['text', 'json', 'html'].includes(format)) {
+      console.error('Usage: node schedule-diff.js <before> [after] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format text|json|html]');
+      console.error('  before, after: git revisions or directories (after defaults to this tree)');
+      process.exit(1);
+    }
+
+    const [beforeVersion, afterVersion = '.'] = versions;
+    let engines;
+    try {
+      engines = [beforeVersion, afterVersion].map(ScheduleDiffAPI.loadEngineVersion);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+
+    const swapFile = path.join(__dirname, 'agreed-swaps.json');
+    if (fs.existsSync(swapFile)) {
+      const swaps = JSON.parse(fs.readFileSync(swapFile, 'utf8'));
+      engines.forEach(engine => { if (engine.SWAP_CALENDAR) engine.SWAP_CALENDAR.loadSwaps(swaps); });
+    }
+
+    const label = version => (path.resolve(__dirname, version) === __dirname ? 'working tree' : version);
+    const diff = diffSchedules(
+      { engine: engines[0], label: label(beforeVersion) },
+      { engine: engines[1], label: label(afterVersion) },
+      from,
+      to
+    );
+
+    if (format === 'json') process.stdout.write(JSON.stringify(diff, null, 2) + '\n');
+    else if (format === 'html') process.stdout.write(formatDiffHTML(diff));
+    else process.stdout.write(formatDiffText(diff));
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Schedule Export
+ * The day-by-day schedule for any date range as CSV (for a spreadsheet) or
+ * JSON: who has her, the court order level, rule and provision behind it,
+ * school day flags and every exchange with its time and place. Built on
+ * evaluateRange, so it matches the calendar and the feed.
+ * Used by stats.html, api/export.js and `node schedule-export.js`.
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Custody engine and rule document
+ * In the browser both must be loaded before this file
+ */
+const EXPORT_ENGINE = (typeof module !== 'undefined' && module.exports)
+  ? require('./custody-engine.js')
+  : window.CustodyEngine;
+
+const EXPORT_RULES = (typeof module !== 'undefined' && module.exports)
+  ? require('./court-order-rules.js')
+  : window.CourtOrderRules;
+
+/**
+ * Export formats: file extension and MIME type
+ */
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', type: 'application/json; charset=utf-8' }
+};
+
+/**
+ * CSV columns: header and the row field shown
+ */
+const EXPORT_COLUMNS = [
+  ['Date', row => row.date],
+  ['Weekday', row => row.weekday],
+  ['Parent', row => (row.parent ? EXPORT_RULES.wording.neutral.names[row.parent] : '')],
+  ['Level', row => row.level],
+  ['Level Name', row => row.levelName],
+  ['Rule', row => row.rule],
+  ['Provision', row => row.provision],
+  ['Note', row => row.note],
+  ['Instruction Day', row => (row.instructionDay ? 'Yes' : 'No')],
+  ['Minimum Day', row => (row.minimumDay ? 'Yes' : 'No')],
+  ['Exchanges', row => row.exchanges.map(e => `${e.time} ${e.title} @ ${e.location}`).join('; ')]
+];
+
+const EXPORT_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// First characters that make a spreadsheet read a cell as a formula
+const EXPORT_FORMULA_START = /^[=+\-@\t\r]/;
+
+// ============================================================================
+// 2. ROWS
+// ============================================================================
+
+/**
+ * One row per day from start through end (both inclusive; Dates or
+ * 'YYYY-MM-DD'). options are evaluateCustody's; the perspective defaults
+ * to 'neutral' so exchanges read "Mother → Father" to anyone.
+ */
+function buildExportRows(start, end, options = {}) {
+  const evalOptions = { ...options, perspective: options.perspective || 'neutral' };
+
+  return EXPORT_ENGINE.evaluateRange(start, end, evalOptions).map(result => {
+    const [y, m, d] = result.date.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    const level = EXPORT_RULES.levels.find(l => l.level === result.matchedLevel);
+
+    return {
+      date: result.date,
+      weekday: EXPORT_WEEKDAYS[date.getDay()],
+      parent: result.parent,
+      level: result.matchedLevel,
+      levelName: level ? level.name : '',
+      rule: result.matchedRule,
+      provision: result.provision,
+      note: result.note,
+      instructionDay: EXPORT_ENGINE.isInstructionDay(date),
+      minimumDay: EXPORT_ENGINE.isMinimumDay(date),
+      exchanges: result.events.map(e => ({
+        time: e.time,
+        title: e.title,
+        location: e.location,
+        actor: e.actor,
+        recipient: e.recipient
+      }))
+    };
+  });
+}
+
+// ============================================================================
+// 3. FORMATS
+// ============================================================================
+
+/**
+ * Quote a CSV field if it holds a comma, quote or line break (RFC 4180).
+ * A field a spreadsheet would run as a formula (notes and reasons are typed
+ * by the parents) gets a leading ' first, so it shows as text.
+ */
+function escapeCSVField(value) {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = EXPORT_FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV text: a header line, then one line per day (CRLF line ends)
+ */
+function toExportCSV(rows) {
+  const lines = [EXPORT_COLUMNS.map(([header]) => header)]
+    .concat(rows.map(row => EXPORT_COLUMNS.map(([, field]) => field(row))));
+  return lines.map(line => line.map(escapeCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * The schedule from start through end as a file:
+ * { filename, type, content }
+ * options: format ('csv' or 'json', default csv) plus evaluateCustody's
+ * perspective and child. CSV starts with a byte order mark so spreadsheet
+ * programs read it as UTF-8.
+ */
+function exportSchedule(start, end, options = {}) {
+  const { format = 'csv', ...evalOptions } = options;
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const rows = buildExportRows(start, end, evalOptions);
+  const first = rows.length ? rows[0].date : '';
+  const last = rows.length ? rows[rows.length - 1].date : '';
+  const content = format === 'csv'
+    ? '\uFEFF' + toExportCSV(rows)
+    : JSON.stringify({
+      range: { start: first, end: last },
+      perspective: evalOptions.perspective || 'neutral',
+      child: evalOptions.child || null,
+      days: rows
+    }, null, 2) + '\n';
+
+  return {
+    filename: `custody-schedule-${first}-${last}.${spec.extension}`,
+    type: spec.type,
+    content
+  };
+}
+
+// ============================================================================
+// 4. EXPORT
+// ============================================================================
+
+const ScheduleExportAPI = {
+  buildExportRows,
+  toExportCSV,
+  exportSchedule,
+  FORMATS: Object.keys(EXPORT_FORMATS)
+};
+
+// Export for use in HTML (load after custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.ScheduleExport = ScheduleExportAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScheduleExportAPI;
+
+  // CLI: node schedule-export.js <start YYYY-MM-DD> <end YYYY-MM-DD> [csv|json]
+  // Prints the schedule (agreed swaps applied)
+  if (require.main === module) {
+    const [start, end, format = 'csv'] = process.argv.slice(2);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '') || !EXPORT_FORMATS[format]) {
+      console.error('Usage: node schedule-export.js <start YYYY-MM-DD> <end YYYY-MM-DD> [csv|json]');
+      process.exit(1);
+    }
+
+    const fs = require('fs');
+    const swapFile = require('path').join(__dirname, 'agreed-swaps.json');
+    if (fs.existsSync(swapFile)) {
+      EXPORT_ENGINE.SWAP_CALENDAR.loadSwaps(JSON.parse(fs.readFileSync(swapFile, 'utf8')));
+    }
+
+    process.stdout.write(exportSchedule(start, end, { format }).content);
+  }
+}
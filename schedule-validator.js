@@ -0,0 +1,363 @@
+/**
+ * Schedule Validator
+ * Walks a date range day by day through evaluateCustody and checks the
+ * invariants every schedule must keep: each change of hands has exactly one
+ * exchange, exchanges happen where Modifier B puts them (school on school
+ * days, curbside at the receiving home otherwise), every rule cites a
+ * provision, and a loaded school year covers every day (otherwise its
+ * school days are only assumed). Lists each violation with its date; known violations
+ * (known-violations.json) are listed apart as expected.
+ * Run: node schedule-validator.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format text|json]
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Custody engine
+ * In the browser it must be loaded before this file
+ */
+const VALIDATE_ENGINE = (typeof module !== 'undefined' && module.exports)
+  ? require('./custody-engine.js')
+  : window.CustodyEngine;
+
+/**
+ * The invariants checked, with what a violation means
+ */
+const VALIDATE_INVARIANTS = {
+  transitionWithoutExchange: 'She changes hands without an exchange',
+  exchangeWithoutTransition: 'An exchange hands her to the parent who already has her',
+  multipleExchanges: 'More than one exchange for one change of hands',
+  schoolExchangeWithoutSchool: 'A school exchange on a day without school (Modifier B)',
+  curbsideExchangeOnSchoolDay: 'A school day exchange away from school (Modifier B)',
+  curbsideAtWrongHome: "A curbside exchange away from the receiving parent's home (Modifier B)",
+  uncitedRule: 'A rule with no provision citation',
+  schoolCalendarMissing: 'Days no loaded school year covers (school days assumed)'
+};
+
+const VALIDATE_NAMES = { mother: 'Mother', father: 'Father', school: 'School' };
+const VALIDATE_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const VALIDATE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// 2. HELPERS
+// ============================================================================
+
+/**
+ * Local Date at midnight for 'YYYY-MM-DD' (or a copy of a Date)
+ */
+function parseValidateDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function validateDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "Thu, Aug 7, 2025"
+ */
+function formatValidateDate(key) {
+  const date = parseValidateDate(key);
+  return `${VALIDATE_WEEKDAYS[date.getDay()]}, ${VALIDATE_MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+/**
+ * Location IDs that are a school: 'school' and every child's school
+ */
+function getSchoolLocations(engine) {
+  return new Set(['school'].concat(engine.CHILD_REGISTRY.getChildren().map(child => child.school)));
+}
+
+/**
+ * A day's events in time order
+ */
+function sortByTime(events) {
+  const minutes = event => {
+    const { hours, minutes: mins } = VALIDATE_ENGINE.parseTimeOfDay(event.time);
+    return hours * 60 + mins;
+  };
+  return events.slice().sort((a, b) => minutes(a) - minutes(b));
+}
+
+function describeEvent(event) {
+  return `${event.time} ${event.title} @ ${event.location}`;
+}
+
+// ============================================================================
+// 3. INVARIANTS
+// ============================================================================
+
+/**
+ * Custody changes of a day against who had her overnight: an exchange that
+ * hands her over is a change; a day without exchanges whose parent differs
+ * from the holder changes hands with none. Each change has exactly one
+ * exchange: another to the parent who just received her is a second
+ * exchange for the same change. School drop-offs the same parent collects
+ * again (recipient 'school') do not change hands, and a school pickup
+ * (actor and recipient the same) may be by either parent.
+ * Returns { holder: who has her at the end of the day, violations }
+ */
+function checkTransitions(result, holder) {
+  const violations = [];
+  const handoffs = sortByTime(result.events).filter(event => event.recipient !== 'school');
+
+  if (!handoffs.length) {
+    if (result.parent && holder && result.parent !== holder) {
+      violations.push({
+        invariant: 'transitionWithoutExchange',
+        message: `${VALIDATE_NAMES[holder]} → ${VALIDATE_NAMES[result.parent]} with no exchange`
+      });
+    }
+    return { holder: result.parent || holder, violations };
+  }
+
+  let current = holder;
+  let changed = false;
+  handoffs.forEach(event => {
+    if (event.recipient !== current) {
+      current = event.recipient;
+      changed = true;
+    } else if (event.actor !== event.recipient && changed) {
+      violations.push({
+        invariant: 'multipleExchanges',
+        message: `${describeEvent(event)}, after she was already handed to ${VALIDATE_NAMES[current]}`
+      });
+    } else if (event.actor !== event.recipient) {
+      violations.push({
+        invariant: 'exchangeWithoutTransition',
+        message: `${describeEvent(event)}, but she is already with ${VALIDATE_NAMES[current]}`
+      });
+    }
+  });
+
+  return { holder: current, violations };
+}
+
+/**
+ * Modifier B: exchanges are at school on instruction days, otherwise
+ * curbside at the receiving parent's home (camp stays allowed in summer)
+ */
+function checkExchangeLocations(result, instructionDay, schools) {
+  const violations = [];
+
+  result.events.forEach(event => {
+    const atSchool = schools.has(event.locationId);
+    const home = /_home$/.test(event.locationId || '');
+
+    if (atSchool && !instructionDay) {
+      violations.push({ invariant: 'schoolExchangeWithoutSchool', message: `${describeEvent(event)} on a day without school` });
+    } else if (!atSchool && instructionDay) {
+      violations.push({ invariant: 'curbsideExchangeOnSchoolDay', message: `${describeEvent(event)} on a school day` });
+    } else if (home && event.recipient !== 'school' && event.locationId !== `${event.recipient}_home`) {
+      violations.push({
+        invariant: 'curbsideAtWrongHome',
+        message: `${describeEvent(event)}, not at ${VALIDATE_NAMES[event.recipient]}'s home`
+      });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Every rule must resolve to a provision (not getProvisionInfo's "Level N"
+ * fallback)
+ */
+function checkRuleCitation(result, engine) {
+  if (engine.isCitedRule(result.matchedRule)) return [];
+
+  const fallback = engine.getProvisionInfo(result.matchedLevel, result.matchedRule);
+  return [{
+    invariant: 'uncitedRule',
+    message: `Rule "${result.matchedRule}" has no provision citation (shown as "${fallback.provision}")`
+  }];
+}
+
+/**
+ * Days from `date` no loaded school year covers, one violation for each
+ * run: on its first day (or the range's), through the last such day in
+ * the range. Returns [] inside a run or on a covered day
+ */
+function checkSchoolCalendar(date, first, last, engine) {
+  const known = day => engine.SCHOOL_CALENDAR.isCalendarKnown(day);
+  const nextDay = day => new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  const previous = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  if (known(date) || (date > first && !known(previous))) return [];
+
+  let end = date;
+  while (nextDay(end) <= last && !known(nextDay(end))) end = nextDay(end);
+
+  return [{
+    invariant: 'schoolCalendarMissing',
+    message: `No school year is loaded for ${formatValidateDate(validateDateKey(date))} - ${formatValidateDate(validateDateKey(end))}: ` +
+      'school days there are assumed (import the district calendar)'
+  }];
+}
+
+// ============================================================================
+// 4. VALIDATION
+// ============================================================================
+
+/**
+ * The known violation entry a violation matches, or null. Entries are
+ * { invariant, rule, dates: ['YYYY-MM-DD', ...], reason }
+ */
+function findExpected(violation, expected) {
+  return expected.find(entry => entry.invariant === violation.invariant &&
+    entry.rule === violation.rule && entry.dates.includes(violation.date)) || null;
+}
+
+/**
+ * Check every day from start through end (both inclusive; Dates or
+ * 'YYYY-MM-DD'). options are evaluateCustody's (child, swaps), plus
+ * engine (custody-engine.js exports; default this tree's) and expected
+ * (known violations, as in known-violations.json); wording is always
+ * neutral. Returns a JSON-friendly object:
+ * { range, counts: { days, violations, expected, <invariant>: n }, violations, expected }
+ * violations: [{ date, invariant, rule, message }] in date order; the
+ * known ones are in expected instead, with their reason, and not counted
+ * per invariant
+ */
+function validateSchedule(start, end, options = {}) {
+  const { engine = VALIDATE_ENGINE, expected: known = [], ...custodyOptions } = options;
+  const first = parseValidateDate(start);
+  const last = parseValidateDate(end);
+  const evalOptions = { ...custodyOptions, perspective: 'neutral' };
+  const schools = getSchoolLocations(engine);
+
+  const counts = { days: 0, violations: 0, expected: 0 };
+  Object.keys(VALIDATE_INVARIANTS).forEach(invariant => { counts[invariant] = 0; });
+  const violations = [];
+  const expected = [];
+
+  // Who had her overnight into the first day
+  let holder = engine.getCustodyAt(new Date(first.getTime() - 1), evalOptions).parent;
+
+  for (let date = new Date(first); date <= last; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+    counts.days++;
+    const result = engine.evaluateCustody(date, evalOptions);
+    const transitions = checkTransitions(result, holder);
+    holder = transitions.holder;
+
+    transitions.violations
+      .concat(checkExchangeLocations(result, engine.isInstructionDay(date), schools))
+      .concat(checkRuleCitation(result, engine))
+      .concat(checkSchoolCalendar(date, first, last, engine))
+      .forEach(found => {
+        const violation = { date: validateDateKey(date), invariant: found.invariant, rule: result.matchedRule, message: found.message };
+        const entry = findExpected(violation, known);
+        if (entry) {
+          counts.expected++;
+          expected.push({ ...violation, reason: entry.reason });
+          return;
+        }
+        counts[violation.invariant]++;
+        counts.violations++;
+        violations.push(violation);
+      });
+  }
+
+  return {
+    range: { start: validateDateKey(first), end: validateDateKey(last), days: counts.days },
+    counts,
+    violations,
+    expected
+  };
+}
+
+// ============================================================================
+// 5. REPORTS
+// ============================================================================
+
+/**
+ * Plain text report: a count per invariant, then every violation by date;
+ * known violations are only counted
+ */
+function formatValidationText(report) {
+  const { range, counts } = report;
+  const lines = [`Schedule invariants from ${formatValidateDate(range.start)} through ${formatValidateDate(range.end)}`, ''];
+  const known = counts.expected
+    ? ` (${counts.expected} known violation${counts.expected === 1 ? '' : 's'} expected)`
+    : '';
+
+  if (!report.violations.length) {
+    lines.push(`No violations: all ${range.days} days pass${known}.`);
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(`${counts.violations} violation${counts.violations === 1 ? '' : 's'} in ${range.days} days${known}:`);
+  Object.keys(VALIDATE_INVARIANTS)
+    .filter(invariant => counts[invariant])
+    .forEach(invariant => lines.push(`  ${counts[invariant]} × ${VALIDATE_INVARIANTS[invariant]}`));
+
+  let lastDate = null;
+  report.violations.forEach(violation => {
+    if (violation.date !== lastDate) {
+      lines.push('', formatValidateDate(violation.date));
+      lastDate = violation.date;
+    }
+    lines.push(`  ${violation.message} (${violation.rule})`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// 6. EXPORT
+// ============================================================================
+
+const ScheduleValidatorAPI = {
+  validateSchedule,
+  formatValidationText,
+  INVARIANTS: VALIDATE_INVARIANTS
+};
+
+// Export for use in HTML (load after custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.ScheduleValidator = ScheduleValidatorAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScheduleValidatorAPI;
+
+  // CLI: node schedule-validator.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format text|json]
+  // Checks the schedule (agreed swaps applied) from today for a year by
+  // default; exits 1 if any invariant is violated other than the known ones
+  // in known-violations.json
+  if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flags = {};
+    for (let i = 0; i < args.length; i += 2) flags[args[i].replace(/^--/, '')] = args[i + 1];
+
+    const today = new Date();
+    const from = flags.from || validateDateKey(today);
+    const to = flags.to || validateDateKey(new Date(today.getFullYear() + 1, today.getMonth(), today.getDate() - 1));
+    const format = flags.format || 'text';
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (args.some((arg, i) => i % 2 === 0 && !['--from', '--to', '--format'].includes(arg)) ||
+      !datePattern.test(from) || !datePattern.test(to) || to < from || !['text', 'json'].includes(format)) {
+      console.error('Usage: node schedule-validator.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format text|json]');
+      process.exit(1);
+    }
+
+    const fs = require('fs');
+    const swapFile = require('path').join(__dirname, 'agreed-swaps.json');
+    if (fs.existsSync(swapFile)) {
+      VALIDATE_ENGINE.SWAP_CALENDAR.loadSwaps(JSON.parse(fs.readFileSync(swapFile, 'utf8')));
+    }
+
+    const knownFile = require('path').join(__dirname, 'known-violations.json');
+    const expected = fs.existsSync(knownFile) ? JSON.parse(fs.readFileSync(knownFile, 'utf8')) : [];
+
+    const report = validateSchedule(from, to, { expected });
+    process.stdout.write(format === 'json' ? JSON.stringify(report, null, 2) + '\n' : formatValidationText(report));
+    process.exitCode = report.violations.length ? 1 : 0;
+  }
+}
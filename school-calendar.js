@@ -0,0 +1,714 @@
+/**
+ * School Calendar
+ * Stores any number of school years and answers instruction-day, minimum-day,
+ * school-break and summer questions for every year that has been loaded.
+ * School years can be imported from the district's published ICS feed or a
+ * CSV of closures; bad data is rejected before it reaches the custody engine.
+ * Days no loaded year covers keep the original engine's rule (no school
+ * before the first year, every weekday after the last known date) and are
+ * reported by isCalendarKnown.
+ */
+
+// ============================================================================
+// 1. SCHOOL YEAR DATA
+// ============================================================================
+
+/**
+ * Built-in school years
+ * Break dates list weekdays only; weekends next to a break are added
+ * automatically when the break window is computed. A year whose last day is
+ * not published yet gives knownThrough instead: the last date its data covers.
+ */
+const DEFAULT_SCHOOL_YEARS = [
+  {
+    id: '2025-26',
+    firstDay: '2025-08-11',
+    lastDay: '2026-05-28',
+    breaks: [
+      {
+        name: 'winter',
+        label: 'Winter Break',
+        dates: [
+          '2025-12-22', '2025-12-23', '2025-12-24', '2025-12-25', '2025-12-26',
+          '2025-12-29', '2025-12-30', '2025-12-31', '2026-01-01', '2026-01-02'
+        ]
+      },
+      {
+        name: 'spring',
+        label: 'Spring Break',
+        dates: ['2026-04-06', '2026-04-07', '2026-04-08', '2026-04-09', '2026-04-10']
+      }
+    ],
+    holidays: [
+      { date: '2026-01-05', label: 'PD Day' },
+      { date: '2026-01-19', label: 'MLK Day' },
+      { date: '2026-02-16', label: 'Presidents Day' },
+      { date: '2026-04-03', label: 'Cesar Chavez Day' },
+      { date: '2026-05-25', label: 'Memorial Day' }
+    ],
+    minimumDays: [
+      '2025-11-10', '2025-11-11', '2025-11-13', '2025-11-14',
+      '2026-03-09', '2026-03-10', '2026-03-12', '2026-03-13',
+      '2026-05-28'
+    ]
+  },
+  {
+    // Provisional: only the dates the original engine listed, through the
+    // 2026 winter break. Import the district calendar for the rest of the year.
+    id: '2026-27',
+    provisional: true,
+    firstDay: '2026-08-10',
+    knownThrough: '2026-12-31',
+    breaks: [
+      {
+        name: 'thanksgiving',
+        label: 'Thanksgiving Break',
+        dates: ['2026-11-23', '2026-11-24', '2026-11-25', '2026-11-26', '2026-11-27']
+      },
+      {
+        name: 'winter',
+        label: 'Winter Break',
+        dates: [
+          '2026-12-21', '2026-12-22', '2026-12-23', '2026-12-24', '2026-12-25',
+          '2026-12-28', '2026-12-29', '2026-12-30', '2026-12-31'
+        ]
+      }
+    ],
+    holidays: [
+      { date: '2026-09-07', label: 'Labor Day' },
+      { date: '2026-11-11', label: 'Veterans Day' }
+    ],
+    minimumDays: []
+  }
+];
+
+// ============================================================================
+// 2. DATE HELPERS
+// ============================================================================
+
+/**
+ * Format date as YYYY-MM-DD
+ */
+function calendarDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Parse YYYY-MM-DD into a local Date at midnight (null if invalid)
+ */
+function parseCalendarDate(str) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return calendarDateKey(date) === str ? date : null;
+}
+
+/**
+ * Shift a YYYY-MM-DD key by a number of days
+ */
+function shiftCalendarDate(key, days) {
+  const date = parseCalendarDate(key);
+  date.setDate(date.getDate() + days);
+  return calendarDateKey(date);
+}
+
+function isWeekendKey(key) {
+  const dow = parseCalendarDate(key).getDay();
+  return dow === 0 || dow === 6;
+}
+
+/**
+ * All weekdays from start to end (inclusive) as YYYY-MM-DD keys
+ */
+function expandWeekdays(start, end) {
+  const keys = [];
+  for (let key = start; key <= end; key = shiftCalendarDate(key, 1)) {
+    if (!isWeekendKey(key)) keys.push(key);
+  }
+  return keys;
+}
+
+// ============================================================================
+// 3. SCHOOL YEAR STORE
+// ============================================================================
+
+/**
+ * Loaded school years, sorted by first day
+ * Each entry: { id, firstDay, lastDay (null if not published), knownThrough,
+ *               provisional, breaks, holidays, minimumDays, closed: Set, minimum: Set }
+ */
+let SCHOOL_YEARS = [];
+
+/**
+ * School break windows across all loaded years (rebuilt on every load)
+ */
+let SCHOOL_BREAKS = [];
+
+/**
+ * Bumped whenever the loaded years change, so callers can drop cached results
+ */
+let SCHOOL_CALENDAR_REVISION = 0;
+
+/**
+ * Check a school year definition and return a list of problems
+ */
+function validateSchoolYear(year, loadedYears = SCHOOL_YEARS) {
+  const problems = [];
+  const label = year.id || '(unnamed school year)';
+
+  if (!year.id) problems.push('School year is missing an id');
+
+  // Without a last day, knownThrough says how far the data goes
+  const end = year.knownThrough || year.lastDay;
+  const firstDay = parseCalendarDate(year.firstDay);
+  const lastDay = year.lastDay ? parseCalendarDate(year.lastDay) : null;
+  if (!firstDay) problems.push(`${label}: invalid first day "${year.firstDay}"`);
+  if (year.lastDay && !lastDay) problems.push(`${label}: invalid last day "${year.lastDay}"`);
+  if (!year.lastDay && !year.knownThrough) problems.push(`${label}: needs a last day, or knownThrough if it is not published`);
+  if (year.knownThrough && !parseCalendarDate(year.knownThrough)) problems.push(`${label}: invalid knownThrough "${year.knownThrough}"`);
+  if (year.knownThrough && year.lastDay && year.knownThrough > year.lastDay) {
+    problems.push(`${label}: knownThrough ${year.knownThrough} is after last day ${year.lastDay}`);
+  }
+  if (firstDay && isWeekendKey(year.firstDay)) problems.push(`${label}: first day ${year.firstDay} is a weekend`);
+  if (lastDay && isWeekendKey(year.lastDay)) problems.push(`${label}: last day ${year.lastDay} is a weekend`);
+  if (problems.length === 0 && year.firstDay >= end) {
+    problems.push(`${label}: first day ${year.firstDay} is not before ${year.lastDay ? `last day ${year.lastDay}` : `knownThrough ${end}`}`);
+  }
+  if (problems.length > 0) return problems;
+
+  // Every listed date must be a weekday inside the school year, listed once
+  const seen = new Map();
+  const checkDate = (date, kind) => {
+    if (!parseCalendarDate(date)) {
+      problems.push(`${label}: invalid ${kind} date "${date}"`);
+      return;
+    }
+    if (isWeekendKey(date)) problems.push(`${label}: ${kind} ${date} is a weekend`);
+    if (date < year.firstDay || date > end) {
+      problems.push(`${label}: ${kind} ${date} is outside ${year.firstDay} - ${end}`);
+    }
+    if (seen.has(date)) problems.push(`${label}: ${date} is listed as both ${seen.get(date)} and ${kind}`);
+    seen.set(date, kind);
+  };
+
+  (year.breaks || []).forEach(b => {
+    if (!b.name) problems.push(`${label}: break is missing a name`);
+    if (!b.dates || b.dates.length === 0) problems.push(`${label}: break ${b.name} has no dates`);
+    (b.dates || []).forEach(date => checkDate(date, `${b.name} break day`));
+  });
+  (year.holidays || []).forEach(h => checkDate(h.date, 'closure'));
+
+  const minimumSeen = new Set();
+  (year.minimumDays || []).forEach(date => {
+    if (minimumSeen.has(date)) problems.push(`${label}: minimum day ${date} is listed twice`);
+    minimumSeen.add(date);
+    if (!parseCalendarDate(date)) {
+      problems.push(`${label}: invalid minimum day "${date}"`);
+      return;
+    }
+    if (isWeekendKey(date)) problems.push(`${label}: minimum day ${date} is a weekend`);
+    if (date < year.firstDay || date > end) {
+      problems.push(`${label}: minimum day ${date} is outside ${year.firstDay} - ${end}`);
+    }
+    if (seen.has(date)) problems.push(`${label}: minimum day ${date} is also a ${seen.get(date)}`);
+  });
+
+  // School years may not overlap (reloading the same id replaces it)
+  loadedYears
+    .filter(other => other.id !== year.id)
+    .forEach(other => {
+      const otherEnd = other.knownThrough || other.lastDay;
+      if (year.firstDay <= otherEnd && other.firstDay <= end) {
+        problems.push(`${label}: overlaps school year ${other.id} (${other.firstDay} - ${otherEnd})`);
+      }
+    });
+
+  return problems;
+}
+
+/**
+ * Validate and add (or replace) a school year
+ * Throws an Error listing every problem if the data is bad
+ */
+function loadSchoolYear(year) {
+  const problems = validateSchoolYear(year);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid school calendar:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  const entry = {
+    id: year.id,
+    firstDay: year.firstDay,
+    lastDay: year.lastDay || null,
+    knownThrough: year.knownThrough || year.lastDay,
+    provisional: Boolean(year.provisional),
+    breaks: (year.breaks || []).map(b => ({ name: b.name, label: b.label || b.name, dates: b.dates.slice().sort() })),
+    holidays: (year.holidays || []).map(h => ({ date: h.date, label: h.label || 'No School' })),
+    minimumDays: (year.minimumDays || []).slice().sort()
+  };
+  entry.closed = new Set([
+    ...entry.breaks.flatMap(b => b.dates),
+    ...entry.holidays.map(h => h.date)
+  ]);
+  entry.minimum = new Set(entry.minimumDays);
+
+  SCHOOL_YEARS = SCHOOL_YEARS
+    .filter(other => other.id !== entry.id)
+    .concat(entry)
+    .sort((a, b) => (a.firstDay < b.firstDay ? -1 : 1));
+  SCHOOL_BREAKS = buildBreakWindows();
+  SCHOOL_CALENDAR_REVISION++;
+
+  return entry;
+}
+
+/**
+ * Remove every loaded school year (used before loading a replacement set)
+ */
+function clearSchoolYears() {
+  SCHOOL_YEARS = [];
+  SCHOOL_BREAKS = [];
+  SCHOOL_CALENDAR_REVISION++;
+}
+
+/**
+ * Revision of the loaded calendar (changes on every load or clear)
+ */
+function getSchoolCalendarRevision() {
+  return SCHOOL_CALENDAR_REVISION;
+}
+
+/**
+ * All loaded school years
+ */
+function getSchoolYears() {
+  return SCHOOL_YEARS.slice();
+}
+
+function findSchoolYear(key) {
+  return SCHOOL_YEARS.find(y => key >= y.firstDay && key <= y.knownThrough) || null;
+}
+
+/**
+ * The school year containing a date (first day through last day, or
+ * through knownThrough while the last day is not published), or null
+ */
+function getSchoolYear(date) {
+  return findSchoolYear(calendarDateKey(date));
+}
+
+// ============================================================================
+// 4. QUERIES
+// ============================================================================
+
+/**
+ * Whether the loaded data covers a day: inside a school year's known
+ * dates, or in the summer between a year that has its last day and the next
+ */
+function isKnownKey(key) {
+  const index = SCHOOL_YEARS.findIndex(y => key <= y.knownThrough);
+  if (index === -1) return false;
+  if (key >= SCHOOL_YEARS[index].firstDay) return true;
+
+  const previous = SCHOOL_YEARS[index - 1];
+  return Boolean(previous && previous.lastDay);
+}
+
+function isInstructionKey(key) {
+  if (isWeekendKey(key)) return false;
+
+  const year = findSchoolYear(key);
+  if (year) return !year.closed.has(key);
+  if (isKnownKey(key)) return false;
+
+  // Not covered: no school before the first loaded year, and every weekday
+  // after it, as the engine assumed before school years were loaded
+  return SCHOOL_YEARS.length > 0 && key > SCHOOL_YEARS[0].firstDay;
+}
+
+/**
+ * Check if a date is an instruction day (school day with students)
+ * Days no loaded year covers are school days if they are weekdays after
+ * the first loaded year (see isCalendarKnown)
+ */
+function isSchoolInstructionDay(date) {
+  return isInstructionKey(calendarDateKey(date));
+}
+
+/**
+ * Whether a loaded school year covers a date; if not, isInstructionDay only
+ * assumes the day (import the district calendar to cover it)
+ */
+function isCalendarKnown(date) {
+  return isKnownKey(calendarDateKey(date));
+}
+
+/**
+ * Check if a date is a minimum day (early release)
+ */
+function isSchoolMinimumDay(date) {
+  const year = getSchoolYear(date);
+  return year ? year.minimum.has(calendarDateKey(date)) : false;
+}
+
+/**
+ * Label of the closure on a date ('Spring Break', 'MLK Day', ...), or null
+ */
+function getClosureLabel(date) {
+  const key = calendarDateKey(date);
+  const year = getSchoolYear(date);
+  if (!year || !year.closed.has(key)) return null;
+
+  const holiday = year.holidays.find(h => h.date === key);
+  if (holiday) return holiday.label;
+
+  const schoolBreak = year.breaks.find(b => b.dates.includes(key));
+  return schoolBreak ? schoolBreak.label : null;
+}
+
+/**
+ * Build break windows: the first day off through the day before school
+ * resumes, stretched over adjacent weekends and closures
+ */
+function buildBreakWindows() {
+  const windows = [];
+
+  SCHOOL_YEARS.forEach(year => {
+    year.breaks.forEach(b => {
+      let start = b.dates[0];
+      while (!isInstructionKey(shiftCalendarDate(start, -1)) && shiftCalendarDate(start, -1) >= year.firstDay) {
+        start = shiftCalendarDate(start, -1);
+      }
+
+      let end = b.dates[b.dates.length - 1];
+      while (!isInstructionKey(shiftCalendarDate(end, 1)) && shiftCalendarDate(end, 1) <= year.knownThrough) {
+        end = shiftCalendarDate(end, 1);
+      }
+
+      let lastInstructionDay = shiftCalendarDate(start, -1);
+      while (!isInstructionKey(lastInstructionDay) && lastInstructionDay >= year.firstDay) {
+        lastInstructionDay = shiftCalendarDate(lastInstructionDay, -1);
+      }
+
+      windows.push({
+        name: b.name,
+        label: b.label,
+        schoolYear: year.id,
+        start,
+        end,
+        lastInstructionDay,
+        returnDay: shiftCalendarDate(end, 1)
+      });
+    });
+  });
+
+  return windows;
+}
+
+/**
+ * School break windows, optionally filtered by name
+ * Each: { name, label, schoolYear, start, end, lastInstructionDay, returnDay }
+ */
+function getSchoolBreaks(name = null) {
+  return SCHOOL_BREAKS.filter(b => !name || b.name === name);
+}
+
+/**
+ * Summer window for a calendar year: the day after the last day of school
+ * through the day before the next school year starts.
+ * Returns null if the school year ending that summer is not loaded (or
+ * has no last day yet);
+ * `end` is null if the following school year is not loaded yet.
+ */
+function getSummerWindow(calendarYear) {
+  const ending = SCHOOL_YEARS.find(y => y.lastDay && y.lastDay.startsWith(`${calendarYear}-`));
+  if (!ending) return null;
+
+  const next = SCHOOL_YEARS.find(y => y.firstDay > ending.lastDay);
+
+  return {
+    start: shiftCalendarDate(ending.lastDay, 1),
+    end: next ? shiftCalendarDate(next.firstDay, -1) : null,
+    lastInstructionDay: ending.lastDay,
+    firstInstructionDay: next ? next.firstDay : null
+  };
+}
+
+// ============================================================================
+// 5. IMPORT (District ICS / CSV)
+// ============================================================================
+
+/**
+ * Work out which break a district label refers to
+ */
+function getBreakName(label) {
+  if (/thanksgiving/i.test(label)) return 'thanksgiving';
+  if (/winter|christmas|holiday break|december/i.test(label)) return 'winter';
+  if (/spring|easter/i.test(label)) return 'spring';
+  if (/february|mid-?winter|ski/i.test(label)) return 'february';
+  if (/fall|autumn/i.test(label)) return 'fall';
+  return label.toLowerCase().replace(/break|recess/gi, '').trim().replace(/\W+/g, '_') || 'break';
+}
+
+/**
+ * Classify a district calendar entry by its summary text
+ */
+function classifyEntry(label) {
+  if (/first day/i.test(label)) return 'first_day';
+  if (/last day/i.test(label)) return 'last_day';
+  if (/minimum day|early (release|dismissal)/i.test(label)) return 'minimum_day';
+  if (/break|recess/i.test(label)) return 'break';
+  if (/no school|no classes|school closed|non-?instruction|pd day|professional (development|learning)|staff development|teacher work|holiday|labor day|veterans|king|presidents|memorial day|chavez|juneteenth|new year/i.test(label)) {
+    return 'closure';
+  }
+  return null;
+}
+
+/**
+ * Turn a list of { type, start, end, label } entries into a school year.
+ * Multi-day entries skip weekends; a single-day entry on a weekend is kept
+ * so validation can reject it.
+ */
+function buildSchoolYear(entries, id = null) {
+  const year = { id, firstDay: null, lastDay: null, breaks: [], holidays: [], minimumDays: [] };
+  const problems = [];
+
+  entries.forEach(entry => {
+    const end = entry.end || entry.start;
+    if (!parseCalendarDate(entry.start) || !parseCalendarDate(end) || end < entry.start) {
+      problems.push(`Invalid date range for "${entry.label}": ${entry.start} - ${entry.end}`);
+      return;
+    }
+    const dates = entry.start === end ? [entry.start] : expandWeekdays(entry.start, end);
+
+    switch (entry.type) {
+      case 'first_day':
+        if (year.firstDay) problems.push(`First day listed twice (${year.firstDay}, ${entry.start})`);
+        year.firstDay = entry.start;
+        break;
+      case 'last_day':
+        if (year.lastDay) problems.push(`Last day listed twice (${year.lastDay}, ${entry.start})`);
+        year.lastDay = end;
+        break;
+      case 'break': {
+        const name = getBreakName(entry.label || '');
+        const existing = year.breaks.find(b => b.name === name);
+        if (existing) existing.dates.push(...dates);
+        else year.breaks.push({ name, label: entry.label, dates });
+        break;
+      }
+      case 'closure':
+        dates.forEach(date => year.holidays.push({ date, label: entry.label }));
+        break;
+      case 'minimum_day':
+        year.minimumDays.push(...dates);
+        break;
+      default:
+        problems.push(`Unknown entry type "${entry.type}" for ${entry.start}`);
+    }
+  });
+
+  if (!year.firstDay) problems.push('No first day of school found');
+  if (!year.lastDay) problems.push('No last day of school found');
+  if (!year.id && year.firstDay && year.lastDay) {
+    year.id = `${year.firstDay.slice(0, 4)}-${year.lastDay.slice(2, 4)}`;
+  }
+
+  if (problems.length === 0) problems.push(...validateSchoolYear(year));
+  if (problems.length > 0) {
+    const error = new Error(`Invalid school calendar:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return year;
+}
+
+/**
+ * Parse an RFC 5545 date or date-time value into YYYY-MM-DD
+ */
+function parseICSDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Import a district calendar published as ICS
+ * Options: { id, load = true }
+ * Returns { schoolYear, ignored } where ignored lists unrecognised events
+ */
+function importSchoolCalendarICS(text, options = {}) {
+  // Unfold continuation lines (RFC 5545 section 3.1)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const entries = [];
+  const ignored = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const label = current.SUMMARY || '';
+        const type = classifyEntry(label);
+        const start = parseICSDate(current.DTSTART);
+        let end = parseICSDate(current.DTEND);
+
+        // All-day DTEND is exclusive
+        if (end && /^\d{8}$/.test(current.DTEND)) end = shiftCalendarDate(end, -1);
+        if (!end || end < start) end = start;
+
+        if (type && start) entries.push({ type, start, end, label });
+        else ignored.push({ label, start });
+      }
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1)
+      .replace(/\\n/gi, ' ')
+      .replace(/\\([,;\\])/g, '$1');
+    current[name] = value;
+  });
+
+  const schoolYear = buildSchoolYear(entries, options.id || null);
+  if (options.load !== false) loadSchoolYear(schoolYear);
+
+  return { schoolYear, ignored };
+}
+
+/**
+ * Import a CSV of school calendar entries
+ * Header: type,date,end,label
+ *   type = first_day | last_day | closure | break | minimum_day
+ *   end is optional (inclusive); label names the holiday or break
+ * Options: { id, load = true }
+ */
+function importSchoolCalendarCSV(text, options = {}) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (rows.length === 0) throw new Error('Invalid school calendar:\n  - CSV is empty');
+
+  const header = splitCSVLine(rows[0]).map(h => h.trim().toLowerCase());
+  const col = name => header.indexOf(name);
+  if (col('type') === -1 || col('date') === -1) {
+    throw new Error('Invalid school calendar:\n  - CSV header must include "type" and "date" columns');
+  }
+
+  const entries = rows.slice(1).map(row => {
+    const cells = splitCSVLine(row);
+    const cell = name => (col(name) === -1 ? '' : (cells[col(name)] || '').trim());
+    return {
+      type: cell('type').toLowerCase(),
+      start: cell('date'),
+      end: cell('end') || null,
+      label: cell('label')
+    };
+  });
+
+  const schoolYear = buildSchoolYear(entries, options.id || null);
+  if (options.load !== false) loadSchoolYear(schoolYear);
+
+  return { schoolYear, ignored: [] };
+}
+
+/**
+ * Split one CSV line, honouring double-quoted cells
+ */
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+
+  return cells;
+}
+
+// Load the built-in school years
+DEFAULT_SCHOOL_YEARS.forEach(loadSchoolYear);
+
+// ============================================================================
+// 6. EXPORT
+// ============================================================================
+
+const SchoolCalendarAPI = {
+  isInstructionDay: isSchoolInstructionDay,
+  isMinimumDay: isSchoolMinimumDay,
+  isCalendarKnown,
+  getClosureLabel,
+  getSchoolYear,
+  getSchoolYears,
+  getSchoolBreaks,
+  getSummerWindow,
+  getRevision: getSchoolCalendarRevision,
+  loadSchoolYear,
+  clearSchoolYears,
+  validateSchoolYear,
+  importSchoolCalendarICS,
+  importSchoolCalendarCSV
+};
+
+// Export for use in HTML (load before custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.SchoolCalendar = SchoolCalendarAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SchoolCalendarAPI;
+
+  // CLI: node school-calendar.js <district.ics|closures.csv>
+  // Validates the file and prints the school year entry for DEFAULT_SCHOOL_YEARS
+  if (require.main === module) {
+    const fs = require('fs');
+    const file = process.argv[2];
+    if (!file) {
+      console.error('Usage: node school-calendar.js <district.ics|closures.csv>');
+      process.exit(1);
+    }
+
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      const importer = /\.csv$/i.test(file) ? importSchoolCalendarCSV : importSchoolCalendarICS;
+      const { schoolYear, ignored } = importer(text, { load: false });
+
+      console.log(JSON.stringify(schoolYear, null, 2));
+      ignored.forEach(e => console.error(`Ignored: ${e.start || '?'} ${e.label}`));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Agreed Schedule Swaps
+ * Stores the changes the parents agree on outside the court order (trading a
+ * weekend by text message, for example): the days, who has her, the
+ * exchanges, who agreed and when. Swaps are never deleted; revoking one keeps
+ * it, and every change is added to its history.
+ * custody-engine.js applies active swaps on top of every court order level.
+ * The agreed list is kept in agreed-swaps.json (see loadSwaps / exportSwaps).
+ */
+
+// ============================================================================
+// 1. HELPERS
+// ============================================================================
+
+const SWAP_PARENTS = ['mother', 'father'];
+
+/**
+ * Check a 'YYYY-MM-DD' string is a real calendar date
+ */
+function isSwapDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return false;
+
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+/**
+ * 'YYYY-MM-DD' of a Date or a 'YYYY-MM-DD' string
+ */
+function swapDateKey(date) {
+  if (typeof date === 'string') return date;
+
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Deep copy of a swap (callers never get the stored objects)
+ */
+function copySwap(swap) {
+  return {
+    ...swap,
+    agreedBy: swap.agreedBy.slice(),
+    events: swap.events.map(e => ({ ...e })),
+    history: swap.history.map(h => ({ ...h }))
+  };
+}
+
+// ============================================================================
+// 2. SWAP STORE
+// ============================================================================
+
+/**
+ * Recorded swaps: { id, start, end, parent, events, note, reason, agreedBy,
+ * agreedAt, status, history }
+ * - start/end: 'YYYY-MM-DD', both inclusive
+ * - events: exchanges { date, actor, recipient, time, location } (as in the
+ *   rule document, plus the day they happen on)
+ * - agreedBy: the parents who agreed (both); agreedAt: ISO date-time
+ * - status: 'active' or 'revoked'
+ * - history: [{ at, action, by, note }], oldest first
+ */
+let SWAPS = [];
+
+/**
+ * Bumped on every change, so the engine can drop cached answers
+ */
+let SWAP_CALENDAR_REVISION = 0;
+let NEXT_SWAP_ID = 1;
+
+/**
+ * Next free generated ID (loaded files may already use some)
+ */
+function nextSwapId() {
+  let id;
+  do {
+    id = `swap-${NEXT_SWAP_ID++}`;
+  } while (SWAPS.some(s => s.id === id));
+  return id;
+}
+
+/**
+ * Check a swap and return a list of problems
+ * options.proposal: a trade not agreed yet (agreedBy/agreedAt not checked)
+ */
+function validateSwap(swap, options = {}) {
+  const problems = [];
+
+  if (!SWAP_PARENTS.includes(swap.parent)) {
+    problems.push(`Unknown parent "${swap.parent}" (expected mother or father)`);
+  }
+
+  if (!isSwapDate(swap.start)) problems.push(`Invalid start "${swap.start}" (expected YYYY-MM-DD)`);
+  if (!isSwapDate(swap.end)) problems.push(`Invalid end "${swap.end}" (expected YYYY-MM-DD)`);
+  if (isSwapDate(swap.start) && isSwapDate(swap.end) && swap.end < swap.start) {
+    problems.push('Swap ends before it starts');
+  }
+
+  (swap.events || []).forEach((e, i) => {
+    const label = `Event ${i + 1}`;
+    if (!isSwapDate(e.date) || e.date < swap.start || e.date > swap.end) {
+      problems.push(`${label}: date "${e.date}" is not within ${swap.start} - ${swap.end}`);
+    }
+    if (!SWAP_PARENTS.includes(e.actor)) problems.push(`${label}: unknown actor "${e.actor}"`);
+    if (!SWAP_PARENTS.includes(e.recipient) && e.recipient !== 'school') {
+      problems.push(`${label}: unknown recipient "${e.recipient}"`);
+    }
+    if (!/^\d{1,2}:\d{2} (AM|PM)$/.test(e.time || '')) problems.push(`${label}: invalid time "${e.time}"`);
+    if (!e.location) problems.push(`${label}: missing location`);
+  });
+
+  const agreedBy = swap.agreedBy || [];
+  if (!options.proposal && !SWAP_PARENTS.every(parent => agreedBy.includes(parent))) {
+    problems.push('A swap must be agreed by both parents (agreedBy: mother, father)');
+  }
+  if (!options.proposal && (!swap.agreedAt || isNaN(new Date(swap.agreedAt)))) {
+    problems.push(`Invalid agreedAt "${swap.agreedAt}" (expected an ISO date-time)`);
+  }
+
+  if (swap.id && SWAPS.some(s => s.id === swap.id)) {
+    problems.push(`Swap "${swap.id}" is already recorded`);
+  }
+
+  // Revoked swaps (when loading a saved file) may overlap active ones
+  const overlapping = swap.status !== 'revoked' &&
+    SWAPS.find(s => s.status === 'active' && s.start <= swap.end && s.end >= swap.start);
+  if (overlapping) {
+    problems.push(`Overlaps swap "${overlapping.id}" (${overlapping.start} - ${overlapping.end})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Record an agreed swap; throws with `error.problems` if it is invalid
+ * `by` is who entered it (kept in the history)
+ */
+function recordSwap(swap, by = null) {
+  const problems = validateSwap(swap);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid swap:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  const entry = {
+    id: swap.id || nextSwapId(),
+    start: swap.start,
+    end: swap.end,
+    parent: swap.parent,
+    events: (swap.events || []).map(({ date, actor, recipient, time, location }) => ({ date, actor, recipient, time, location })),
+    note: swap.note || '',
+    reason: swap.reason || '',
+    agreedBy: SWAP_PARENTS.slice(),
+    agreedAt: new Date(swap.agreedAt).toISOString(),
+    status: 'active',
+    history: [{ at: new Date().toISOString(), action: 'recorded', by, note: swap.reason || '' }]
+  };
+
+  SWAPS = SWAPS.concat(entry).sort((a, b) => (a.start < b.start ? -1 : 1));
+  SWAP_CALENDAR_REVISION++;
+  return copySwap(entry);
+}
+
+/**
+ * Revoke a swap: the court order applies again on its days. The swap stays
+ * recorded with the revocation in its history.
+ */
+function revokeSwap(id, by = null, note = '') {
+  const swap = SWAPS.find(s => s.id === id);
+  if (!swap) throw new Error(`Unknown swap "${id}"`);
+  if (swap.status === 'revoked') return copySwap(swap);
+
+  swap.status = 'revoked';
+  swap.history.push({ at: new Date().toISOString(), action: 'revoked', by, note });
+  SWAP_CALENDAR_REVISION++;
+  return copySwap(swap);
+}
+
+/**
+ * Recorded swaps, optionally only those with a status
+ */
+function getSwaps(status) {
+  return SWAPS.filter(s => !status || s.status === status).map(copySwap);
+}
+
+/**
+ * The active swap covering a date (Date or 'YYYY-MM-DD'), or null
+ */
+function getSwapForDate(date) {
+  const key = swapDateKey(date);
+  const swap = SWAPS.find(s => s.status === 'active' && s.start <= key && s.end >= key);
+  return swap ? copySwap(swap) : null;
+}
+
+/**
+ * Remove every swap
+ */
+function clearSwaps() {
+  SWAPS = [];
+  SWAP_CALENDAR_REVISION++;
+}
+
+/**
+ * Replace the store with saved swaps (the contents of agreed-swaps.json)
+ * Every swap is checked; throws with `error.problems` and keeps the current
+ * store if any is invalid.
+ */
+function loadSwaps(saved) {
+  const previous = SWAPS;
+  const problems = [];
+  SWAPS = [];
+
+  (saved || []).forEach(swap => {
+    const label = `Swap "${swap.id}"`;
+    if (!swap.id) problems.push('Saved swap without an id');
+    if (swap.status !== 'active' && swap.status !== 'revoked') {
+      problems.push(`${label}: invalid status "${swap.status}"`);
+    }
+
+    validateSwap(swap).forEach(problem => problems.push(`${label}: ${problem}`));
+    SWAPS = SWAPS.concat({ ...swap, events: swap.events || [], history: swap.history || [] });
+  });
+
+  if (problems.length > 0) {
+    SWAPS = previous;
+    const error = new Error(`Invalid swap file:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  SWAPS = SWAPS.map(copySwap).sort((a, b) => (a.start < b.start ? -1 : 1));
+  SWAP_CALENDAR_REVISION++;
+}
+
+/**
+ * Every swap, revoked ones included, for saving to agreed-swaps.json
+ */
+function exportSwaps() {
+  return SWAPS.map(copySwap);
+}
+
+/**
+ * Revision of the store (changes on every swap recorded or revoked)
+ */
+function getSwapCalendarRevision() {
+  return SWAP_CALENDAR_REVISION;
+}
+
+// ============================================================================
+// 3. EXPORT
+// ============================================================================
+
+const SwapCalendarAPI = {
+  recordSwap,
+  revokeSwap,
+  getSwaps,
+  getSwapForDate,
+  clearSwaps,
+  validateSwap,
+  loadSwaps,
+  exportSwaps,
+  getRevision: getSwapCalendarRevision
+};
+
+// Export for use in HTML (load before custody-engine.js)
+if (typeof window !== 'undefined') {
+  window.SwapCalendar = SwapCalendarAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SwapCalendarAPI;
+
+  // CLI: node swap-calendar.js agreed-swaps.json
+  // Checks a swap file and lists its swaps
+  if (require.main === module) {
+    const fs = require('fs');
+    const file = process.argv[2];
+    if (!file) {
+      console.error('Usage: node swap-calendar.js <agreed-swaps.json>');
+      process.exit(1);
+    }
+
+    try {
+      loadSwaps(JSON.parse(fs.readFileSync(file, 'utf8')));
+      getSwaps().forEach(s => {
+        console.log(`${s.id}  ${s.start} - ${s.end}  ${s.parent}  ${s.status}  ${s.note || s.reason}`);
+      });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Swap Requests
+ * The negotiation before a swap is agreed: one parent proposes a trade of
+ * specific days, the other accepts, declines or counters with different
+ * terms. Accepting records the swap in swap-calendar.js, so the custody
+ * engine applies it straight away.
+ * The api/swap-requests routes keep the requests in swap-requests.json.
+ */
+
+// ============================================================================
+// 1. DEPENDENCIES
+// ============================================================================
+
+/**
+ * Agreed swaps (swap-calendar.js)
+ * In the browser it must be loaded before this file
+ */
+const REQUEST_SWAP_CALENDAR = (typeof module !== 'undefined' && module.exports)
+  ? require('./swap-calendar.js')
+  : window.SwapCalendar;
+
+// ============================================================================
+// 2. REQUEST STORE
+// ============================================================================
+
+/**
+ * Swap requests: { id, proposedBy, proposedTo, swap, message, status,
+ * createdAt, respondedAt, counterOf, counteredBy, swapId, history }
+ * - swap: the proposed terms { start, end, parent, events, note, reason }
+ *   (see swap-calendar.js)
+ * - status: 'pending', 'accepted', 'declined' or 'countered'
+ * - counterOf / counteredBy: the request this one answers / the counter
+ *   that answered it
+ * - swapId: the agreed swap, once accepted
+ * - history: [{ at, action, by, note }], oldest first
+ */
+let SWAP_REQUESTS = [];
+let NEXT_SWAP_REQUEST_ID = 1;
+
+/**
+ * Error for the API: code is 'invalid', 'not_found' or 'conflict'
+ */
+function swapRequestError(message, code, problems = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Deep copy of a request (callers never get the stored objects)
+ */
+function copySwapRequest(request) {
+  return {
+    ...request,
+    swap: { ...request.swap, events: request.swap.events.map(e => ({ ...e })) },
+    history: request.history.map(h => ({ ...h }))
+  };
+}
+
+/**
+ * Next free generated ID (loaded files may already use some)
+ */
+function nextSwapRequestId() {
+  let id;
+  do {
+    id = `request-${NEXT_SWAP_REQUEST_ID++}`;
+  } while (SWAP_REQUESTS.some(r => r.id === id));
+  return id;
+}
+
+/**
+ * The stored pending request with an ID, answered by `by`
+ * Only the parent it was sent to can answer it
+ */
+function findOpenRequest(id, by) {
+  const request = SWAP_REQUESTS.find(r => r.id === id);
+  if (!request) throw swapRequestError(`Unknown swap request "${id}"`, 'not_found');
+  if (request.status !== 'pending') {
+    throw swapRequestError(`Swap request "${id}" is already ${request.status}`, 'conflict');
+  }
+  if (by !== request.proposedTo) {
+    throw swapRequestError(`Only ${request.proposedTo} can answer swap request "${id}"`, 'conflict');
+  }
+  return request;
+}
+
+/**
+ * Propose a trade: { proposedBy, swap, message }
+ * Throws (code 'invalid', with `error.problems`) if the terms are invalid
+ */
+function proposeSwap(proposal, counterOf = null) {
+  const { proposedBy, message = '' } = proposal;
+  const swap = proposal.swap || {};
+  const problems = [];
+
+  if (proposedBy !== 'mother' && proposedBy !== 'father') {
+    problems.push(`Unknown parent "${proposedBy}" (expected mother or father)`);
+  }
+  problems.push(...REQUEST_SWAP_CALENDAR.validateSwap(swap, { proposal: true }));
+
+  if (problems.length > 0) {
+    throw swapRequestError(`Invalid swap request:\n  - ${problems.join('\n  - ')}`, 'invalid', problems);
+  }
+
+  const now = new Date().toISOString();
+  const request = {
+    id: nextSwapRequestId(),
+    proposedBy,
+    proposedTo: proposedBy === 'mother' ? 'father' : 'mother',
+    swap: {
+      start: swap.start,
+      end: swap.end,
+      parent: swap.parent,
+      events: (swap.events || []).map(({ date, actor, recipient, time, location }) => ({ date, actor, recipient, time, location })),
+      note: swap.note || '',
+      reason: swap.reason || ''
+    },
+    message,
+    status: 'pending',
+    createdAt: now,
+    respondedAt: null,
+    counterOf,
+    counteredBy: null,
+    swapId: null,
+    history: [{ at: now, action: counterOf ? 'countered' : 'proposed', by: proposedBy, note: message }]
+  };
+
+  SWAP_REQUESTS = SWAP_REQUESTS.concat(request);
+  return copySwapRequest(request);
+}
+
+/**
+ * Accept a request: records the swap as agreed by both parents now
+ * Throws (code 'conflict', with `error.problems`) if the swap can no longer
+ * be recorded, e.g. it overlaps a swap agreed in the meantime
+ */
+function acceptSwapRequest(id, by, message = '') {
+  const request = findOpenRequest(id, by);
+  const now = new Date().toISOString();
+
+  let swap;
+  try {
+    swap = REQUEST_SWAP_CALENDAR.recordSwap({
+      ...request.swap,
+      agreedBy: ['mother', 'father'],
+      agreedAt: now
+    }, by);
+  } catch (error) {
+    throw swapRequestError(error.message, 'conflict', error.problems);
+  }
+
+  request.status = 'accepted';
+  request.respondedAt = now;
+  request.swapId = swap.id;
+  request.history.push({ at: now, action: 'accepted', by, note: message });
+  return copySwapRequest(request);
+}
+
+/**
+ * Decline a request
+ */
+function declineSwapRequest(id, by, message = '') {
+  const request = findOpenRequest(id, by);
+  const now = new Date().toISOString();
+
+  request.status = 'declined';
+  request.respondedAt = now;
+  request.history.push({ at: now, action: 'declined', by, note: message });
+  return copySwapRequest(request);
+}
+
+/**
+ * Answer a request with different terms: the request is closed as
+ * 'countered' and a new pending request goes back to the proposer.
+ * Returns the new request.
+ */
+function counterSwapRequest(id, by, swap, message = '') {
+  const request = findOpenRequest(id, by);
+  const counter = proposeSwap({ proposedBy: by, swap, message }, request.id);
+
+  request.status = 'countered';
+  request.respondedAt = counter.createdAt;
+  request.counteredBy = counter.id;
+  request.history.push({ at: counter.createdAt, action: 'countered', by, note: message });
+  return counter;
+}
+
+/**
+ * Requests, optionally only those with a status, oldest first
+ */
+function getSwapRequests(status) {
+  return SWAP_REQUESTS.filter(r => !status || r.status === status).map(copySwapRequest);
+}
+
+/**
+ * One request by ID, or null
+ */
+function getSwapRequest(id) {
+  const request = SWAP_REQUESTS.find(r => r.id === id);
+  return request ? copySwapRequest(request) : null;
+}
+
+/**
+ * Replace the store with saved requests (the contents of swap-requests.json)
+ */
+function loadSwapRequests(saved) {
+  SWAP_REQUESTS = (saved || []).map(copySwapRequest);
+}
+
+/**
+ * Every request, for saving to swap-requests.json
+ */
+function exportSwapRequests() {
+  return SWAP_REQUESTS.map(copySwapRequest);
+}
+
+/**
+ * Remove every request
+ */
+function clearSwapRequests() {
+  SWAP_REQUESTS = [];
+}
+
+// ============================================================================
+// 3. EXPORT
+// ============================================================================
+
+const SwapRequestsAPI = {
+  proposeSwap,
+  acceptSwapRequest,
+  declineSwapRequest,
+  counterSwapRequest,
+  getSwapRequests,
+  getSwapRequest,
+  loadSwapRequests,
+  exportSwapRequests,
+  clearSwapRequests
+};
+
+// Export for use in HTML (load after swap-calendar.js)
+if (typeof window !== 'undefined') {
+  window.SwapRequests = SwapRequestsAPI;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SwapRequestsAPI;
+}
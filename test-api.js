@@ -0,0 +1,395 @@
+/**
+ * API Route Checks
+ * Calls the serverless functions in api/ the way Vercel does, with a data
+ * directory of their own. The JSON custody routes must answer as the engine
+ * does and reject malformed queries; swap requests need a parent key, and what they
+ * write is what /api/agreed-swaps serves. The KV database is stood in for
+ * by an in-memory fetch, to check documents persist there; a save over a
+ * document changed since it was read must be refused. The calendar
+ * feed must be served even when its ledger cannot be read or saved.
+ * Exits with status 1 on any failure.
+ * Run: node test-api.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let failures = 0;
+
+function check(pass, label) {
+  console.log(`${pass ? '✅' : '❌'} ${label}`);
+  if (!pass) failures++;
+}
+
+/**
+ * Call a handler; returns { status, headers, body }
+ */
+async function callHandler(handler, { method = 'GET', query = {}, body, headers = {} } = {}) {
+  const response = { status: null, headers: {}, body: null };
+  const res = {
+    setHeader(name, value) { response.headers[name] = value; },
+    status(code) { response.status = code; return res; },
+    send(content) { response.body = content; },
+    json(content) { response.body = content; }
+  };
+
+  await handler({ method, query, body, headers }, res);
+  return response;
+}
+
+const bearer = key => ({ authorization: `Bearer ${key}` });
+
+/**
+ * A KV REST API in memory, in place of fetch: { store, commands, fetch }
+ * EVAL runs the data store's compare-and-set script: keys, then the texts
+ * they must hold ('' for none), then the new texts
+ */
+function createFakeKV() {
+  const store = new Map();
+  const commands = [];
+  return {
+    store,
+    commands,
+    fetch: async (url, request) => {
+      const [command, key, value, ...rest] = JSON.parse(request.body);
+      commands.push(command);
+      let result = null;
+      if (command === 'GET') result = store.has(key) ? store.get(key) : null;
+      if (command === 'SET') { store.set(key, value); result = 'OK'; }
+      if (command === 'EVAL') {
+        const args = [value, ...rest];
+        const keys = args.slice(1, 1 + args[0]);
+        const expected = args.slice(1 + keys.length, 1 + 2 * keys.length);
+        const texts = args.slice(1 + 2 * keys.length);
+        result = keys.every((k, i) => (store.get(k) || '') === expected[i]) ? 1 : 0;
+        if (result) keys.forEach((k, i) => store.set(k, texts[i]));
+      }
+      return { ok: true, status: 200, json: async () => ({ result }) };
+    }
+  };
+}
+
+/**
+ * Whether saving the swap stores fails with a conflict after `interfere`
+ * runs between loading and saving
+ */
+async function savesConflict(interfere) {
+  const { loadSwapStores, saveSwapStores } = await import('./api/_swap-store.js');
+  const { SwapRequests } = await loadSwapStores();
+  await interfere();
+  SwapRequests.loadSwapRequests([]);
+  try {
+    await saveSwapStores();
+    return false;
+  } catch (error) {
+    return error.code === 'conflict';
+  }
+}
+
+// ============================================================================
+// JSON CUSTODY ROUTES
+// ============================================================================
+
+async function checkCustodyRoutes() {
+  console.log('JSON CUSTODY ROUTES');
+  console.log('='.repeat(80));
+
+  const engine = require('./custody-engine.js');
+  const { default: custody } = await import('./api/custody/index.js');
+  const { default: range } = await import('./api/custody/range.js');
+  const { default: nextExchange } = await import('./api/next-exchange.js');
+  const rejected = (response, problem) => response.status === 400 &&
+    response.body.problems.some(text => text.includes(problem));
+
+  // /api/custody
+  const day = await callHandler(custody, { query: { date: '2026-01-16' } });
+  const expectedDay = engine.evaluateRange('2026-01-16', '2026-01-16', { perspective: 'mother' })[0];
+  check(day.status === 200 && day.headers['Cache-Control'] === 'public, max-age=300', `/api/custody answers with a 5 minute cache (${day.status})`);
+  check(day.body.timeZone === 'America/Los_Angeles' && day.body.date === '2026-01-16' && day.body.parent === expectedDay.parent &&
+    day.body.matchedRule === expectedDay.matchedRule && day.body.provision === expectedDay.provision && Array.isArray(day.body.events),
+    `/api/custody gives the day's result: ${day.body.parent}, ${day.body.matchedRule}`);
+
+  const today = await callHandler(custody);
+  check(today.status === 200 && /^\d{4}-\d{2}-\d{2}$/.test(today.body.date), `/api/custody defaults to today: ${today.body.date}`);
+
+  const impossible = await callHandler(custody, { query: { date: '2026-02-30' } });
+  const malformed = await callHandler(custody, { query: { date: '16/01/2026' } });
+  check(rejected(impossible, 'Invalid date "2026-02-30"') && rejected(malformed, 'Invalid date "16/01/2026"'), 'Malformed and impossible dates get 400');
+
+  const unknown = await callHandler(custody, { query: { perspective: 'grandma', child: 'cleo' } });
+  check(unknown.status === 400 && unknown.body.problems.length === 2, `Every problem is listed: ${unknown.body.problems.length}`);
+
+  const postDay = await callHandler(custody, { method: 'POST', query: { date: '2026-01-16' } });
+  check(postDay.status === 405 && postDay.headers.Allow === 'GET', `POST /api/custody gets 405 (${postDay.status})`);
+
+  // /api/custody/range
+  const month = await callHandler(range, { query: { from: '2026-01-01', to: '2026-01-31', perspective: 'neutral' } });
+  const expectedMonth = engine.evaluateRange('2026-01-01', '2026-01-31', { perspective: 'neutral' });
+  check(month.status === 200 && month.headers['Cache-Control'] === 'public, max-age=300', `/api/custody/range answers with a 5 minute cache (${month.status})`);
+  check(month.body.timeZone === 'America/Los_Angeles' && month.body.from === '2026-01-01' && month.body.to === '2026-01-31' &&
+    month.body.days.length === 31 && month.body.days.every((d, i) => d.date === expectedMonth[i].date && d.parent === expectedMonth[i].parent),
+    `/api/custody/range gives every day, both inclusive: ${month.body.days && month.body.days.length}`);
+
+  const reversed = await callHandler(range, { query: { from: '2026-01-31', to: '2026-01-01' } });
+  check(rejected(reversed, 'to is before from'), `A reversed range gets 400 (${reversed.status})`);
+
+  const badFrom = await callHandler(range, { query: { from: '2026-1-1', to: '2026-01-31' } });
+  const noTo = await callHandler(range, { query: { from: '2026-01-01' } });
+  check(rejected(badFrom, 'Invalid from "2026-1-1"') && rejected(noTo, 'Missing to'), 'A malformed or missing end gets 400');
+
+  const tooLong = await callHandler(range, { query: { from: '2026-01-01', to: '2027-01-02' } });
+  check(rejected(tooLong, 'longer than 366 days'), `More than 366 days gets 400 (${tooLong.status})`);
+
+  const deleteRange = await callHandler(range, { method: 'DELETE', query: { from: '2026-01-01', to: '2026-01-31' } });
+  check(deleteRange.status === 405, `DELETE /api/custody/range gets 405 (${deleteRange.status})`);
+
+  // /api/next-exchange
+  const noon = new Date(2026, 0, 14, 12, 0);
+  const exchange = await callHandler(nextExchange, { query: { after: '2026-01-14T12:00' } });
+  const expectedNext = engine.getNextExchange(noon, { perspective: 'mother' });
+  const next = exchange.body.next;
+  check(exchange.status === 200 && exchange.headers['Cache-Control'] === 'public, max-age=300', `/api/next-exchange with after caches 5 minutes (${exchange.status})`);
+  check(exchange.body.timeZone === 'America/Los_Angeles' && exchange.body.now === '2026-01-14T12:00' &&
+    exchange.body.parent === engine.getCustodyAt(noon).parent && next && next.parent === expectedNext.parent &&
+    next.from === expectedNext.from && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(next.at) && next.at > exchange.body.now && next.result,
+    `/api/next-exchange gives the next handoff: ${next && `${next.from} → ${next.parent} at ${next.at}`}`);
+
+  const fromNow = await callHandler(nextExchange);
+  check(fromNow.status === 200 && fromNow.headers['Cache-Control'] === 'public, max-age=60', 'Without after the answer is cached 1 minute');
+
+  const badTime = await callHandler(nextExchange, { query: { after: '2026-01-14T25:00' } });
+  const badDay = await callHandler(nextExchange, { query: { after: '2026-13-01' } });
+  check(rejected(badTime, 'Invalid after "2026-01-14T25:00"') && rejected(badDay, 'Invalid after "2026-13-01"'), 'Malformed times get 400');
+
+  const putExchange = await callHandler(nextExchange, { method: 'PUT' });
+  check(putExchange.status === 405, `PUT /api/next-exchange gets 405 (${putExchange.status})`);
+
+  // The store is down: queries are checked before the swaps are loaded
+  const realFetch = global.fetch;
+  const realError = console.error;
+  global.fetch = async () => { throw new Error('KV unreachable'); };
+  console.error = () => {};
+  process.env.KV_REST_API_URL = 'https://kv.example';
+  process.env.KV_REST_API_TOKEN = 'kv-token';
+  try {
+    const badDuringOutage = await Promise.all([
+      callHandler(custody, { query: { date: '2026-02-30' } }),
+      callHandler(range, { query: { from: '2026-01-31', to: '2026-01-01' } }),
+      callHandler(nextExchange, { query: { after: '2026-13-01' } })
+    ]);
+    const goodDuringOutage = await callHandler(custody, { query: { date: '2026-01-16' } });
+    check(badDuringOutage.every(response => response.status === 400) && goodDuringOutage.status === 500,
+      `With the store down, malformed queries still get 400 (${badDuringOutage.map(r => r.status).join(', ')}) and valid ones 500 (${goodDuringOutage.status})`);
+  } finally {
+    global.fetch = realFetch;
+    console.error = realError;
+    delete process.env.KV_REST_API_URL;
+    delete process.env.KV_REST_API_TOKEN;
+  }
+  console.log('');
+}
+
+// ============================================================================
+// SWAP REQUESTS
+// ============================================================================
+
+async function checkSwapRequests() {
+  console.log('SWAP REQUESTS');
+  console.log('='.repeat(80));
+
+  const { default: requests } = await import('./api/swap-requests/index.js');
+  const { default: request } = await import('./api/swap-requests/[id].js');
+  const { default: agreedSwaps } = await import('./api/agreed-swaps.js');
+  const trade = { start: '2026-01-24', end: '2026-01-24', parent: 'father', events: [], reason: 'Route check' };
+
+  delete process.env.SWAP_TOKEN_MOTHER;
+  delete process.env.SWAP_TOKEN_FATHER;
+  const unset = await callHandler(requests, { method: 'POST', body: { swap: trade } });
+  check(unset.status === 503, `Without parent keys set up, proposals are refused (${unset.status})`);
+
+  process.env.SWAP_TOKEN_MOTHER = 'mother-key';
+  process.env.SWAP_TOKEN_FATHER = 'father-key';
+
+  const anonymous = await callHandler(requests, { method: 'POST', body: { proposedBy: 'father', swap: trade } });
+  check(anonymous.status === 401 && anonymous.headers['WWW-Authenticate'] === 'Bearer', `A proposal without a key gets 401 (${anonymous.status})`);
+
+  const impostor = await callHandler(requests, { method: 'POST', body: { proposedBy: 'mother', swap: trade }, headers: bearer('father-key') });
+  check(impostor.status === 403, `Father's key cannot propose as Mother (${impostor.status})`);
+
+  const proposed = await callHandler(requests, { method: 'POST', body: { swap: trade, message: 'Can I have the 24th?' }, headers: bearer('father-key') });
+  const proposal = proposed.body && proposed.body.request;
+  check(proposed.status === 201 && proposal.proposedBy === 'father' && proposal.proposedTo === 'mother',
+    `The key decides who proposes: ${proposal && proposal.proposedBy} to ${proposal && proposal.proposedTo}`);
+
+  const listed = await callHandler(requests, { query: { status: 'pending' } });
+  const shown = listed.body.requests[0];
+  check(listed.status === 200 && listed.body.requests.length === 1 && !('message' in shown) && !('reason' in shown.swap) &&
+    shown.history.every(entry => !('note' in entry)), 'Without a key, pending requests are listed without messages or reasons');
+
+  const single = await callHandler(request, { query: { id: proposal.id } });
+  check(single.status === 200 && !('message' in single.body.request) && !('reason' in single.body.request.swap), 'Without a key, one request is shown without its message or reason');
+
+  const withKey = await callHandler(requests, { query: { status: 'pending' }, headers: bearer('mother-key') });
+  check(withKey.body.requests[0].message === 'Can I have the 24th?' && withKey.body.requests[0].swap.reason === 'Route check', 'With a parent key, requests come with messages and reasons');
+
+  const wrongKey = await callHandler(request, { method: 'POST', query: { id: proposal.id }, body: { action: 'accept' }, headers: bearer('guess') });
+  check(wrongKey.status === 401, `Accepting with a wrong key gets 401 (${wrongKey.status})`);
+
+  const claimed = await callHandler(request, { method: 'POST', query: { id: proposal.id }, body: { action: 'accept', by: 'mother' }, headers: bearer('father-key') });
+  check(claimed.status === 403, `Father's key cannot accept on Mother's behalf (${claimed.status})`);
+
+  const ownRequest = await callHandler(request, { method: 'POST', query: { id: proposal.id }, body: { action: 'accept' }, headers: bearer('father-key') });
+  check(ownRequest.status === 409, `Father cannot accept his own request (${ownRequest.status})`);
+
+  const accepted = await callHandler(request, { method: 'POST', query: { id: proposal.id }, body: { action: 'accept' }, headers: bearer('mother-key') });
+  check(accepted.status === 200 && accepted.body.request.status === 'accepted' && accepted.body.swap.parent === 'father',
+    `Mother's key accepts the request (${accepted.status})`);
+
+  const served = await callHandler(agreedSwaps);
+  check(served.status === 200 && served.headers['Cache-Control'] === 'no-store' &&
+    served.body.length === 1 && served.body[0].id === accepted.body.swap.id, '/api/agreed-swaps serves the swap just accepted');
+
+  const posted = await callHandler(agreedSwaps, { method: 'POST' });
+  check(posted.status === 405, `/api/agreed-swaps is read-only (${posted.status})`);
+
+  const requestsFile = path.join(process.env.SWAP_DATA_DIR, 'swap-requests.json');
+  const saved = fs.readFileSync(requestsFile, 'utf8');
+  check(await savesConflict(() => fs.writeFileSync(requestsFile, '[]\n')) && fs.readFileSync(requestsFile, 'utf8') === '[]\n',
+    'A request that read the files before another saved them is refused, not saved over it');
+  check(!(await savesConflict(() => {})), 'Saving what was just loaded succeeds');
+  fs.writeFileSync(requestsFile, saved);
+  console.log('');
+}
+
+// ============================================================================
+// PERSISTENT STORE
+// ============================================================================
+
+async function checkPersistentStore(dataDir) {
+  console.log('PERSISTENT STORE');
+  console.log('='.repeat(80));
+
+  const { default: requests } = await import('./api/swap-requests/index.js');
+  const { default: agreedSwaps } = await import('./api/agreed-swaps.js');
+  const kv = createFakeKV();
+  const realFetch = global.fetch;
+  global.fetch = kv.fetch;
+  process.env.KV_REST_API_URL = 'https://kv.example';
+  process.env.KV_REST_API_TOKEN = 'kv-token';
+
+  try {
+    // Nothing saved in KV yet: the deployed file is read
+    const seeded = await callHandler(agreedSwaps);
+    check(seeded.status === 200 && seeded.body.length === 1 && kv.store.size === 0, 'Until KV has a document, the deployed copy is served');
+
+    const trade = { start: '2026-02-07', end: '2026-02-07', parent: 'mother', events: [], reason: 'KV check' };
+    const before = fs.readFileSync(path.join(dataDir, 'swap-requests.json'), 'utf8');
+    const proposed = await callHandler(requests, { method: 'POST', body: { swap: trade }, headers: bearer('mother-key') });
+    const saved = JSON.parse(kv.store.get('alexandra-schedule:swap-requests.json') || '[]');
+    check(proposed.status === 201 && saved.some(r => r.id === proposed.body.request.id) &&
+      fs.readFileSync(path.join(dataDir, 'swap-requests.json'), 'utf8') === before, 'With KV connected, requests are saved there and not to the filesystem');
+
+    fs.writeFileSync(path.join(dataDir, 'swap-requests.json'), '[]\n');
+    const listed = await callHandler(requests, { query: { status: 'pending' } });
+    check(listed.body.requests.some(r => r.id === proposed.body.request.id), 'Requests are read back from KV');
+
+    const key = 'alexandra-schedule:swap-requests.json';
+    const inKV = kv.store.get(key);
+    const overwritten = await savesConflict(() => kv.store.set(key, '[]\n'));
+    check(overwritten && kv.store.get(key) === '[]\n', 'A request that read KV before another saved there is refused, not saved over it');
+    kv.store.set(key, inKV);
+  } finally {
+    global.fetch = realFetch;
+    delete process.env.KV_REST_API_URL;
+    delete process.env.KV_REST_API_TOKEN;
+  }
+  console.log('');
+}
+
+// ============================================================================
+// FEED LEDGER
+// ============================================================================
+
+async function checkFeedLedger(dataDir) {
+  console.log('FEED LEDGER');
+  console.log('='.repeat(80));
+
+  const { default: feed } = await import('./api/calendar.ics.js');
+  const query = { from: '2026-01-01', months: '1' };
+  const served = response => response.status === 200 && /^BEGIN:VCALENDAR/.test(response.body);
+  const ledgerFile = path.join(dataDir, 'feed-ledger.json');
+
+  const saved = await callHandler(feed, { query });
+  check(served(saved) && fs.existsSync(ledgerFile), 'The ledger is saved in the data directory');
+
+  // Saving fails: FEED_DATA_DIR does not exist
+  process.env.FEED_DATA_DIR = path.join(dataDir, 'missing');
+  try {
+    const unsaved = await callHandler(feed, { query });
+    check(served(unsaved) && !fs.existsSync(process.env.FEED_DATA_DIR), 'When the ledger cannot be saved, the feed is still served');
+    check(!/SEQUENCE:[1-9]/.test(unsaved.body), 'Without its ledger every event goes out at SEQUENCE 0');
+  } finally {
+    delete process.env.FEED_DATA_DIR;
+  }
+
+  // Only a changed ledger is written, and only over the version read
+  const kv = createFakeKV();
+  const realFetch = global.fetch;
+  global.fetch = kv.fetch;
+  process.env.KV_REST_API_URL = 'https://kv.example';
+  process.env.KV_REST_API_TOKEN = 'kv-token';
+  try {
+    const unpublished = { from: '2026-06-01', months: '1' };
+    await callHandler(feed, { query: unpublished });
+    const writes = () => kv.commands.filter(command => command !== 'GET').length;
+    const first = writes();
+    const again = await callHandler(feed, { query: unpublished });
+    check(served(again) && first === 1 && writes() === 1, `A feed that publishes nothing new does not save the ledger (${writes()} writes for 2 requests)`);
+
+    const { loadFeedLedger, saveFeedLedger } = await import('./api/_feed-ledger.js');
+    const key = 'alexandra-schedule:feed-ledger.json';
+    const stale = await loadFeedLedger();
+    kv.store.set(key, '{}\n');
+    stale.ledger.extra = { day: '2026-01-01' };
+    await saveFeedLedger(stale);
+    check(kv.store.get(key) === '{}\n', 'A ledger read before another request saved is not saved over it');
+  } finally {
+    global.fetch = realFetch;
+    delete process.env.KV_REST_API_URL;
+    delete process.env.KV_REST_API_TOKEN;
+  }
+
+  fs.writeFileSync(ledgerFile, '{ not json');
+  const unreadable = await callHandler(feed, { query });
+  check(served(unreadable) && fs.readFileSync(ledgerFile, 'utf8') === '{ not json', 'When the ledger cannot be read, the feed is still served and the file is left alone');
+  console.log('');
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+async function main() {
+  // The functions keep their files in SWAP_DATA_DIR
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-check-'));
+  process.env.SWAP_DATA_DIR = dataDir;
+
+  try {
+    // Before any swap is saved, so the routes give the court order's answers
+    await checkCustodyRoutes();
+    await checkSwapRequests();
+    await checkPersistentStore(dataDir);
+    await checkFeedLedger(dataDir);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '✅ All API checks pass' : `❌ ${failures} API check${failures === 1 ? '' : 's'} failed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
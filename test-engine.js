@@ -46,6 +46,56 @@ const tests = [
     date: '2026-01-09',
     expected: { parent: 'mother', level: 4, note: 'Odd Weekend' },
     description: 'Jan 9 (Friday) - Mother\'s odd weekend (Week 4 from anchor)'
+  },
+  {
+    date: '2026-12-21',
+    expected: { parent: 'father', level: 2, note: 'Winter Break' },
+    description: 'Dec 21, 2026 - Father\'s first half of winter break (even year)'
+  },
+  {
+    date: '2026-12-24',
+    expected: { parent: 'father', level: 2, note: 'Winter Break' },
+    description: 'Dec 24, 2026 - Christmas Eve in Father\'s first half (the midpoint exchange is Christmas Day)'
+  },
+  {
+    date: '2026-12-27',
+    expected: { parent: 'mother', level: 2, note: 'Mid-Break Exchange' },
+    description: 'Dec 27, 2026 - Winter break midpoint exchange to Mother'
+  },
+  {
+    date: '2026-04-08',
+    expected: { parent: 'father', level: 2, note: 'Mid-Break Exchange' },
+    description: 'Apr 8, 2026 - Spring break midpoint exchange to Father (Mother first half, even year)'
+  },
+  {
+    date: '2026-11-26',
+    expected: { parent: 'mother', level: 2, note: 'Thanksgiving Break' },
+    description: 'Nov 26, 2026 - Thanksgiving Day in Mother\'s first half (even year)'
+  },
+  {
+    date: '2026-11-27',
+    expected: { parent: 'father', level: 2, note: 'Mid-Break Exchange' },
+    description: 'Nov 27, 2026 - Thanksgiving exchange to Father the day after Thanksgiving'
+  },
+  {
+    date: '2026-11-30',
+    expected: { parent: 'father', level: 2, note: 'Return from Thanksgiving Break' },
+    description: 'Nov 30, 2026 - Father had the second half and drops off at school'
+  },
+  {
+    date: '2026-06-05',
+    expected: { parent: 'mother', level: 3, note: 'End Summer Week 1' },
+    description: 'Jun 5, 2026 - Mother drops off to start Father\'s summer week 2'
+  },
+  {
+    date: '2026-07-18',
+    expected: { parent: 'father', level: 3, note: 'Summer Week 8' },
+    description: 'Jul 18, 2026 - Father\'s summer week 8'
+  },
+  {
+    date: '2026-07-24',
+    expected: { parent: 'mother', level: 3, note: 'Post-Summer (Regular Schedule)' },
+    description: 'Jul 24, 2026 - Rotation ends, Mother\'s odd weekend starts'
   }
 ];
 
@@ -112,4 +162,693 @@ weekendTests.forEach(test => {
   console.log(`${icon} ${test.description}: ${weekendNum} ${pass ? '' : `(expected ${test.expected})`}`);
 });
 
+// Weekends alternate every week, across every DST change (in this process's time zone)
+let alternationBreaks = 0;
+let previousWeekend = null;
+for (let friday = new Date(1970, 0, 2); friday.getFullYear() < 2100; friday.setDate(friday.getDate() + 7)) {
+  const weekend = engine.getWeekendNumber(friday);
+  const sunday = new Date(friday.getFullYear(), friday.getMonth(), friday.getDate() + 2);
+  if (weekend === previousWeekend || engine.getWeekendNumber(sunday) !== weekend) alternationBreaks++;
+  previousWeekend = weekend;
+}
+console.log(`${alternationBreaks === 0 ? '✅' : '❌'} Weekends alternate every week from 1970 to 2099 (${Intl.DateTimeFormat().resolvedOptions().timeZone})`);
+
+console.log('');
+
+// Additional validation: School calendar
+console.log('SCHOOL CALENDAR VALIDATION');
+console.log('='.repeat(80));
+
+const calendarTests = [
+  { date: '2026-01-05', expected: false, description: 'Jan 5, 2026 (PD Day)' },
+  { date: '2026-01-06', expected: true, description: 'Jan 6, 2026 (School resumes)' },
+  { date: '2026-06-15', expected: false, description: 'Jun 15, 2026 (Summer)' },
+  { date: '2026-09-07', expected: false, description: 'Sep 7, 2026 (Labor Day, 2026-27 year)' },
+  { date: '2026-09-08', expected: true, description: 'Sep 8, 2026 (2026-27 instruction day)' },
+  { date: '2025-08-07', expected: false, description: 'Aug 7, 2025 (Before the first loaded year)' },
+  { date: '2027-01-07', expected: true, description: 'Jan 7, 2027 (Weekday after the known dates)' },
+  { date: '2027-09-02', expected: true, description: 'Sep 2, 2027 (Weekday in a year not loaded)' }
+];
+
+calendarTests.forEach(test => {
+  const [y, m, d] = test.date.split('-').map(Number);
+  const actual = engine.isInstructionDay(new Date(y, m - 1, d));
+
+  const pass = actual === test.expected;
+  const icon = pass ? '✅' : '❌';
+
+  console.log(`${icon} ${test.description}: instruction=${actual} ${pass ? '' : `(expected ${test.expected})`}`);
+});
+
+const badCalendars = [
+  {
+    csv: 'type,date,end,label\nfirst_day,2030-08-12,,\nlast_day,2031-05-29,,\nclosure,2030-09-07,,Saturday',
+    description: 'Rejects a closure on a weekend'
+  },
+  {
+    csv: 'type,date,end,label\nfirst_day,2030-08-12,,\nlast_day,2031-05-29,,\nminimum_day,2030-10-04,,\nminimum_day,2030-10-04,,',
+    description: 'Rejects a duplicate minimum day'
+  },
+  {
+    csv: 'type,date,end,label\nfirst_day,2026-08-10,,\nlast_day,2027-05-27,,',
+    id: '2026-27-copy',
+    description: 'Rejects a school year overlapping 2026-27'
+  }
+];
+
+badCalendars.forEach(test => {
+  let rejected = false;
+  try {
+    engine.SCHOOL_CALENDAR.importSchoolCalendarCSV(test.csv, { id: test.id, load: false });
+  } catch (error) {
+    rejected = true;
+  }
+
+  console.log(`${rejected ? '✅' : '❌'} ${test.description}`);
+});
+
+const knownDays = ['2025-08-07', '2026-01-05', '2026-06-15', '2026-12-31', '2027-01-04', '2027-09-02']
+  .map(key => `${key}:${engine.SCHOOL_CALENDAR.isCalendarKnown(new Date(`${key}T12:00`))}`).join(', ');
+console.log(`${knownDays === '2025-08-07:false, 2026-01-05:true, 2026-06-15:true, 2026-12-31:true, 2027-01-04:false, 2027-09-02:false' ? '✅' : '❌'} Days outside the loaded data are not known: ${knownDays}`);
+
+// A whole year with its breaks: odd years give Father the first half of
+// spring break, and Christmas Eve goes to the parent without Christmas
+const loadedYears = engine.SCHOOL_CALENDAR.getSchoolYears();
+engine.SCHOOL_CALENDAR.importSchoolCalendarCSV('type,date,end,label\nfirst_day,2030-08-12,,\nlast_day,2031-05-29,,\n' +
+  'break,2030-12-23,2031-01-03,Winter Break\nbreak,2031-03-31,2031-04-04,Spring Break', { id: '2030-31' });
+const oddSpring = engine.evaluateCustody(new Date(2031, 2, 31));
+console.log(`${oddSpring.parent === 'father' && oddSpring.matchedLevel === 2 && oddSpring.note.includes('Spring Break') ? '✅' : '❌'} Mar 31, 2031 - Father has first half of spring break (odd year): ${oddSpring.parent}, ${oddSpring.matchedRule}`);
+const christmasEve = engine.evaluateCustody(new Date(2030, 11, 24));
+const christmasMorning = engine.getCustodyAt(new Date(2030, 11, 25, 10, 0)).parent;
+const christmasNoon = engine.getCustodyAt(new Date(2030, 11, 25, 12, 0)).parent;
+const christmasDay = engine.evaluateCustody(new Date(2030, 11, 25));
+console.log(`${christmasEve.matchedRule === 'winter_break_christmas_eve' && christmasEve.parent === 'mother' && christmasDay.parent === 'father' && christmasMorning === 'mother' && christmasNoon === 'father' ? '✅' : '❌'} Dec 24-25, 2030 - Christmas Eve with Mother until 11:00 AM Christmas Day, inside Father's half: ${christmasMorning} → ${christmasNoon} (days: ${christmasEve.parent}, ${christmasDay.parent})`);
+engine.SCHOOL_CALENDAR.clearSchoolYears();
+loadedYears.forEach(engine.SCHOOL_CALENDAR.loadSchoolYear);
+
+console.log('');
+
+// Additional validation: Custody at a time of day
+console.log('TIME-OF-DAY CUSTODY VALIDATION');
+console.log('='.repeat(80));
+
+const timeTests = [
+  { at: '2026-01-08T13:00', expected: 'father', description: 'Thu Jan 8, 2026 1:00 PM (before school pickup)' },
+  { at: '2026-01-08T15:00', expected: 'mother', description: 'Thu Jan 8, 2026 3:00 PM (after school pickup)' },
+  { at: '2026-01-09T12:00', expected: 'mother', description: 'Fri Jan 9, 2026 noon (Mother\'s weekend, at school)' },
+  { at: '2026-06-05T15:00', expected: 'mother', description: 'Fri Jun 5, 2026 3:00 PM (before summer exchange)' },
+  { at: '2026-06-05T16:00', expected: 'father', description: 'Fri Jun 5, 2026 4:00 PM (at summer exchange)' },
+  { at: '2026-12-25T10:00', expected: 'father', description: 'Dec 25, 2026 10:00 AM (Father\'s first half)' },
+  { at: '2026-12-25T12:00', expected: 'mother', description: 'Dec 25, 2026 noon (midpoint exchange on Christmas Day)' }
+];
+
+timeTests.forEach(test => {
+  const segment = engine.getCustodyAt(new Date(test.at));
+
+  const pass = segment.parent === test.expected;
+  const icon = pass ? '✅' : '❌';
+
+  console.log(`${icon} ${test.description}: ${segment.parent} ${pass ? '' : `(expected ${test.expected})`}`);
+});
+
+const segments = engine.getCustodySegments(new Date(2026, 0, 1), new Date(2026, 2, 1));
+const continuous = segments.every((seg, i) => i === 0 || seg.start.getTime() === segments[i - 1].end.getTime());
+const alternating = segments.every((seg, i) => i === 0 || seg.parent !== segments[i - 1].parent);
+console.log(`${continuous && alternating ? '✅' : '❌'} Jan-Feb 2026: ${segments.length} continuous segments, alternating parents`);
+
+const nextExchange = engine.getNextExchange(new Date(2026, 0, 14, 12, 0));
+console.log(`${nextExchange.at.getTime() === new Date(2026, 0, 15, 14, 15).getTime() && nextExchange.from === 'father' && nextExchange.parent === 'mother' && nextExchange.exchange.title === 'YOU PICK UP' && nextExchange.result.matchedRule === 'thursday_mother' ? '✅' : '❌'} Wed Jan 14, 2026 noon: next exchange is Thursday's 2:15 PM school pickup`);
+
+const afterPickup = engine.getNextExchange(nextExchange.at);
+console.log(`${afterPickup.at.getTime() === new Date(2026, 0, 16, 8, 20).getTime() && afterPickup.parent === 'father' && afterPickup.result.date === '2026-01-16' ? '✅' : '❌'} At the pickup itself the next exchange is Friday's 8:20 AM drop-off`);
+
+console.log('');
+
+// Additional validation: Summer rotation length
+console.log('SUMMER ROTATION VALIDATION');
+console.log('='.repeat(80));
+
+// A four-week summer (2031) only has room for three rotation weeks
+const beforeImport = engine.evaluateCustody(new Date(2031, 5, 20)).matchedRule;
+engine.SCHOOL_CALENDAR.importSchoolCalendarCSV('type,date,end,label\nfirst_day,2030-08-12,,\nlast_day,2031-05-29,,', { id: '2030-31' });
+engine.SCHOOL_CALENDAR.importSchoolCalendarCSV('type,date,end,label\nfirst_day,2031-06-26,,\nlast_day,2032-05-27,,', { id: '2031-32' });
+
+const summerTests = [
+  { date: '2031-06-06', expected: 'summer_week_1_end_mother', description: 'Jun 6, 2031 (Week 2 starts)' },
+  { date: '2031-06-19', expected: 'summer_week_3_mother', description: 'Jun 19, 2031 (Last rotation week)' },
+  { date: '2031-06-20', expected: /^summer_end_transition_/, description: 'Jun 20, 2031 (Rotation ends early)' },
+  { date: '2031-06-23', expected: /^(monday|tuesday)_/, description: 'Jun 23, 2031 (Standard rotation)' }
+];
+
+summerTests.forEach(test => {
+  const [y, m, d] = test.date.split('-').map(Number);
+  const rule = engine.evaluateCustody(new Date(y, m - 1, d)).matchedRule;
+
+  const pass = test.expected instanceof RegExp ? test.expected.test(rule) : rule === test.expected;
+  const icon = pass ? '✅' : '❌';
+
+  console.log(`${icon} ${test.description}: ${rule} ${pass ? '' : `(expected ${test.expected})`}`);
+});
+
+const reevaluated = !/^summer_/.test(beforeImport);
+console.log(`${reevaluated ? '✅' : '❌'} Jun 20, 2031 was ${beforeImport} before the 2031 calendar was loaded (cache dropped on load)`);
+
+// Every rule ID the rotation emits has a provision citation
+const summerRules = new Set(engine.evaluateRange('2026-05-01', '2031-08-31')
+  .map(r => r.matchedRule).filter(rule => /^summer_/.test(rule)));
+const uncitedSummer = Array.from(summerRules).filter(rule => !engine.isCitedRule(rule));
+console.log(`${summerRules.size > 10 && uncitedSummer.length === 0 ? '✅' : '❌'} ${summerRules.size} summer rule IDs are all cited ${uncitedSummer.join(', ')}`);
+
+console.log('');
+
+// Additional validation: Range evaluation
+console.log('RANGE EVALUATION VALIDATION');
+console.log('='.repeat(80));
+
+const range = engine.evaluateRange('2026-01-01', '2026-12-31');
+const inOrder = range.length === 365 && range[0].date === '2026-01-01' && range[364].date === '2026-12-31';
+console.log(`${inOrder ? '✅' : '❌'} 2026: ${range.length} days in date order`);
+
+const sameAsDaily = range.every(day => {
+  const [y, m, d] = day.date.split('-').map(Number);
+  const single = engine.evaluateCustody(new Date(y, m - 1, d));
+  return single.parent === day.parent && single.matchedRule === day.matchedRule;
+});
+console.log(`${sameAsDaily ? '✅' : '❌'} 2026: every day matches evaluateCustody`);
+
+range[0].events.push({ type: 'pick' });
+const isolated = engine.evaluateCustody(new Date(2026, 0, 1)).events.length !== range[0].events.length;
+console.log(`${isolated ? '✅' : '❌'} Cached results are copied for each caller`);
+
+console.log('');
+
+// Additional validation: Right of First Refusal
+console.log('RIGHT OF FIRST REFUSAL VALIDATION');
+console.log('='.repeat(80));
+
+const absences = engine.ABSENCE_CALENDAR;
+absences.recordAbsence({ parent: 'father', start: '2026-06-06T09:00', end: '2026-06-09T18:00', reason: 'Work trip' });
+absences.recordAbsence({ parent: 'father', start: '2026-06-10T09:00', end: '2026-06-10T20:00', reason: 'Under 24 hours' });
+absences.recordAbsence({ parent: 'mother', start: '2026-06-06T09:00', end: '2026-06-08T09:00', reason: 'Father has custody' });
+
+const offers = engine.getFirstRefusalOffers();
+const offer = offers[0];
+console.log(`${offers.length === 1 && offer.offeredTo === 'mother' && offer.hours === 81 ? '✅' : '❌'} Only Father's 81-hour absence in his custodial time produces an offer`);
+
+const flagged = engine.evaluateCustody(new Date(2026, 5, 7), { checkRightOfFirstRefusal: true });
+const pendingOk = flagged.parent === 'father' && flagged.flags.rightOfFirstRefusal && flagged.flags.rightOfFirstRefusal.shouldCheck;
+console.log(`${pendingOk ? '✅' : '❌'} Pending offer is flagged but does not change custody`);
+
+engine.respondToFirstRefusalOffer(offer.id, false);
+console.log(`${engine.evaluateCustody(new Date(2026, 5, 7)).parent === 'father' ? '✅' : '❌'} Declined offer leaves Father's week unchanged`);
+
+engine.respondToFirstRefusalOffer(offer.id, true);
+const covered = engine.evaluateCustody(new Date(2026, 5, 7));
+const coveredOk = covered.parent === 'mother' && covered.matchedRule === 'right_of_first_refusal' && covered.provision === 'Provision 21';
+console.log(`${coveredOk ? '✅' : '❌'} Accepted offer: Jun 7, 2026 is Mother's (${covered.matchedRule}, ${covered.provision})`);
+
+const handback = engine.evaluateCustody(new Date(2026, 5, 9)).events;
+console.log(`${handback.length === 1 && handback[0].type === 'drop' && handback[0].time === '6:00 PM' ? '✅' : '❌'} Jun 9, 2026: Mother hands back at 6:00 PM`);
+
+const handoverDays = [6, 9].map(day => engine.evaluateCustody(new Date(2026, 5, day)).parent);
+console.log(`${handoverDays[0] === 'mother' && handoverDays[1] === 'father' ? '✅' : '❌'} Offer start and end days go to whoever has her that evening (Jun 6: ${handoverDays[0]}, Jun 9: ${handoverDays[1]})`);
+
+const during = engine.getCustodyAt(new Date(2026, 5, 9, 17, 0)).parent;
+const after = engine.getCustodyAt(new Date(2026, 5, 9, 19, 0)).parent;
+console.log(`${during === 'mother' && after === 'father' ? '✅' : '❌'} Jun 9, 2026: ${during} at 5:00 PM, ${after} at 7:00 PM`);
+
+let rejected = false;
+try {
+  absences.recordAbsence({ parent: 'father', start: '2026-06-10T09:00', end: '2026-06-09T09:00' });
+} catch (error) {
+  rejected = true;
+}
+console.log(`${rejected ? '✅' : '❌'} Rejects an absence that ends before it starts`);
+
+absences.clearAbsences();
+console.log('');
+
+// Additional validation: Statistics
+console.log('STATISTICS VALIDATION');
+console.log('='.repeat(80));
+
+const stats = require('./custody-stats.js').buildCustodyStats('2025-12-01', '2026-12-31');
+const year2026 = stats.overnights.byCalendarYear['2026'];
+console.log(`${year2026.nights === 365 && year2026.mother + year2026.father === 365 && year2026.complete ? '✅' : '❌'} 2026: 365 overnights (Mother ${year2026.mother}, Father ${year2026.father}, ${year2026.share.mother}%)`);
+
+const winter = stats.holidays.occurrences.find(o => o.holiday === 'Winter Break');
+console.log(`${winter.start === '2025-12-18' && winter.end === '2026-01-05' && winter.mother === 12 && winter.father === 7 ? '✅' : '❌'} Winter break 2025/26: Mother 12, Father 7 overnights`);
+
+const levelDays = Object.values(stats.byLevel).reduce((sum, l) => sum + l.days, 0);
+console.log(`${levelDays === stats.range.nights ? '✅' : '❌'} Every day counted once by level (${levelDays} days)`);
+
+console.log(`${stats.exchanges.total > 100 && stats.exchanges.byMonth['2026-06'] === 4 ? '✅' : '❌'} Exchanges: ${stats.exchanges.total} in range, ${stats.exchanges.byMonth['2026-06']} in June 2026 (summer Fridays)`);
+
+console.log(`${stats.intended === null && stats.deviations.length === 0 && year2026.deviation === null ? '✅' : '❌'} The order states no timeshare: nothing is flagged`);
+
+const Rules = require('./court-order-rules.js');
+Rules.timeshare = { mother: 50, father: 50, tolerance: 5, basis: 'Test figure' };
+const flaggedStats = require('./custody-stats.js').buildCustodyStats('2026-01-01', '2026-12-31');
+delete Rules.timeshare;
+console.log(`${flaggedStats.intended.mother === 50 && flaggedStats.deviations.length > 0 && flaggedStats.deviations.every(d => Math.abs(d.deviation) > 5) ? '✅' : '❌'} With a stated timeshare, deviations list periods beyond the tolerance (${flaggedStats.deviations.map(d => d.period).join(', ')})`);
+
+console.log('');
+
+// Additional validation: iCalendar output
+console.log('ICS FORMAT VALIDATION');
+console.log('='.repeat(80));
+
+const ICalFormat = require('./ical-format.js');
+const ics = ICalFormat.buildICalendar({
+  name: 'Test',
+  description: 'Test feed',
+  stamp: new Date(Date.UTC(2026, 2, 8, 10, 30)),
+  events: [
+    { uid: 'dst@test', date: new Date(2026, 2, 8), time: { hours: 9, minutes: 0 }, summary: 'Exchange; Curbside, His House', location: 'School' },
+    { uid: 'late@test', date: new Date(2026, 10, 1), time: { hours: 23, minutes: 30 }, summary: 'Late', description: 'x'.repeat(200) },
+    { uid: 'day@test', allDay: true, start: '2026-03-08', end: '2026-03-09', summary: 'Alexandra with Mother' }
+  ]
+});
+const icsLines = ics.split('\r\n');
+const unfolded = ics.replace(/\r\n /g, '');
+
+console.log(`${ics.includes('BEGIN:VTIMEZONE\r\nTZID:America/Los_Angeles') ? '✅' : '❌'} VTIMEZONE block for America/Los_Angeles`);
+console.log(`${unfolded.includes('DTSTART;TZID=America/Los_Angeles:20260308T090000') && unfolded.includes('DTEND;TZID=America/Los_Angeles:20260308T100000') ? '✅' : '❌'} 9:00 AM on the DST change day stays 9:00 AM local (TZID)`);
+console.log(`${unfolded.includes('DTEND;TZID=America/Los_Angeles:20261102T003000') ? '✅' : '❌'} 11:30 PM exchange on the fall-back day ends 12:30 AM the next day`);
+console.log(`${unfolded.includes('DTSTAMP:20260308T103000Z') ? '✅' : '❌'} DTSTAMP is a UTC date-time`);
+console.log(`${unfolded.includes('SUMMARY:Exchange\\; Curbside\\, His House') ? '✅' : '❌'} Semicolons and commas escaped in SUMMARY`);
+console.log(`${icsLines.every(l => Buffer.byteLength(l) <= 75) && icsLines.some(l => l.startsWith(' ')) && unfolded.includes(`DESCRIPTION:${'x'.repeat(200)}`) ? '✅' : '❌'} Lines folded at 75 octets and unfold to the original`);
+
+const folded = ICalFormat.foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+console.log(`${folded.every(l => Buffer.byteLength(l) <= 75 && !l.includes('\uFFFD')) && folded.join('').replace(/ /g, '') === `SUMMARY:${'é'.repeat(60)}` ? '✅' : '❌'} Folding never splits a multi-byte character`);
+
+console.log('');
+
+// Additional validation: Feed query parameters
+console.log('FEED QUERY VALIDATION');
+console.log('='.repeat(80));
+
+const CustodyFeed = require('./custody-feed.js');
+const feedToday = new Date(2026, 9, 18);
+const defaultQuery = CustodyFeed.parseFeedQuery({}, feedToday);
+console.log(`${defaultQuery.problems.length === 0 && defaultQuery.options.parent === 'mother' && defaultQuery.options.include.join(',') === 'custody,exchanges' && defaultQuery.options.end.getTime() === new Date(2027, 8, 30).getTime() ? '✅' : '❌'} No parameters: Mother's blocks and exchanges, Oct 2026 - Sep 2027`);
+
+const monthsQuery = CustodyFeed.parseFeedQuery({ from: '2026-03-15', months: '2', perspective: 'neutral' }, feedToday);
+console.log(`${monthsQuery.options.end.getTime() === new Date(2026, 4, 14).getTime() && monthsQuery.options.parent === 'both' ? '✅' : '❌'} from + months: Mar 15 - May 14, 2026; neutral shows both parents`);
+
+const badQuery = CustodyFeed.parseFeedQuery({ from: '2026-02-30', to: '2030-01-01', months: '3', include: 'custody,chores', parent: 'nanny' }, feedToday);
+console.log(`${badQuery.problems.length === 5 ? '✅' : '❌'} Invalid date, categories, parent and window are reported together (${badQuery.problems.length} problems)`);
+
+const fatherBlocks = CustodyFeed.buildFeedEvents('2026-01-01', '2026-01-31', { parent: 'father', include: ['custody'], spans: 'day' });
+const fatherDays = engine.evaluateRange('2026-01-01', '2026-01-31').filter(day => day.parent === 'father').length;
+console.log(`${fatherBlocks.length === fatherDays && fatherBlocks.every(e => e.allDay && e.summary === 'Alexandra with Father') ? '✅' : '❌'} parent=father&spans=day: ${fatherBlocks.length} Father blocks in Jan 2026, no exchanges`);
+
+const summerSpans = CustodyFeed.buildFeedEvents('2026-06-01', '2026-06-30', { parent: 'both', include: ['custody'] });
+const fatherWeek = summerSpans.find(e => e.start === '2026-06-06');
+console.log(`${fatherWeek && fatherWeek.end === '2026-06-12' && fatherWeek.summary === 'Alexandra with Father' && summerSpans.every((e, i) => i === 0 || e.start === summerSpans[i - 1].end) ? '✅' : '❌'} Summer 2026: one event per week, alternating parents (Father ${fatherWeek && fatherWeek.start} - ${fatherWeek && fatherWeek.end})`);
+console.log(`${summerSpans[0].start === '2026-05-28' && summerSpans[0].description.split('\n').length === 3 ? '✅' : '❌'} Span cut by the window keeps its real start and lists each provision it covers`);
+
+const fathersDayWeek = CustodyFeed.buildFeedEvents('2026-06-20', '2026-06-25', { parent: 'father', include: ['custody'], spans: 'level' });
+console.log(`${fathersDayWeek.map(e => e.start).join(',') === '2026-06-20,2026-06-21,2026-06-22' ? '✅' : '❌'} spans=level: Father's Day (Level 0) splits Father's summer week`);
+
+const holidayEvents = CustodyFeed.buildFeedEvents('2025-12-01', '2026-01-31', { include: ['holidays'] });
+console.log(`${holidayEvents.length === 1 && holidayEvents[0].summary === 'Winter Break' && holidayEvents[0].start === '2025-12-18' && holidayEvents[0].end === '2026-01-06' ? '✅' : '❌'} include=holidays: Winter Break is one event (${holidayEvents[0] && holidayEvents[0].start} - ${holidayEvents[0] && holidayEvents[0].end})`);
+
+const schoolEvents = CustodyFeed.buildFeedEvents('2026-03-01', '2026-03-31', { include: ['school'], child: 'basil' });
+console.log(`${schoolEvents.length === 4 && schoolEvents.every(e => e.summary === 'Minimum Day (Early Release)' && e.description === 'Basil: 1:25 PM') ? '✅' : '❌'} include=school&child=basil: March 2026 minimum days with Basil's pickup`);
+
+console.log('');
+
+// Additional validation: Explain mode
+console.log('EXPLAIN MODE VALIDATION');
+console.log('='.repeat(80));
+
+const birthdayWeekend = engine.explainCustody('2026-10-03');
+const overriddenSaturday = birthdayWeekend.shadowed.find(s => s.kind === 'overridden');
+console.log(`${birthdayWeekend.winner.rule === 'mother_birthday_weekend_continuation' && overriddenSaturday && overriddenSaturday.rule === 'saturday_mother' ? '✅' : '❌'} Oct 3, 2026: birthday continuation wins over Level 4 (${overriddenSaturday && overriddenSaturday.rule})`);
+
+const birthdayReturn = birthdayWeekend.shadowed.find(s => s.id === 'mother_birthday_return');
+console.log(`${birthdayReturn && birthdayReturn.kind === 'fallback' && !birthdayReturn.conflict ? '✅' : '❌'} Oct 3, 2026: birthday return is a fallback of the continuation, not a conflict`);
+
+const unmatched = birthdayWeekend.levels[4].rules.find(r => r.id === 'monday_father');
+console.log(`${birthdayWeekend.levels.length === 5 && unmatched.reason === 'Date does not satisfy when.dayOfWeek (1)' ? '✅' : '❌'} Trace lists every level and why a rule did not match ("${unmatched.reason}")`);
+
+const explainMismatches = engine.evaluateRange('2025-08-01', '2027-12-31')
+  .filter(day => engine.explainCustody(day.date).winner.rule !== day.matchedRule);
+console.log(`${explainMismatches.length === 0 ? '✅' : '❌'} Explained winner matches evaluateCustody every day Aug 2025 - Dec 2027`);
+
+const overlaps = engine.findRuleOverlaps('2026-01-01', '2026-12-31');
+const mothersDayOverlap = overlaps.find(o => o.date === '2026-05-10');
+console.log(`${mothersDayOverlap && mothersDayOverlap.winner.rule === 'mothers_day' && !overlaps.some(o => o.shadowed.some(s => s.kind === 'fallback')) ? '✅' : '❌'} Overlap scan: ${overlaps.length} days in 2026, including Mother's Day over Level 4`);
+
+const fifthOnOdd = overlaps.find(o => o.date === '2026-10-30');
+console.log(`${fifthOnOdd && fifthOnOdd.collision && fifthOnOdd.shadowed.some(s => s.rule === 'friday_mother_weekend' && s.kind === 'collision') ? '✅' : '❌'} Oct 30, 2026: 5th weekend and odd weekend rules collide at Level 4`);
+
+const conflicts = engine.findRuleOverlaps('2026-01-01', '2026-12-31', { conflictsOnly: true });
+console.log(`${conflicts.length > 0 && conflicts.every(o => o.conflict && o.shadowed.some(s => s.parent !== o.winner.parent)) ? '✅' : '❌'} conflictsOnly: ${conflicts.length} days where a shadowed rule gives the other parent`);
+
+console.log('');
+
+// Additional validation: Perspective wording
+console.log('PERSPECTIVE WORDING VALIDATION');
+console.log('='.repeat(80));
+
+const mondayDrop = date => ['mother', 'father', 'neutral'].map(perspective => engine.evaluateCustody(date, { perspective }));
+const [motherView, fatherView, neutralView] = mondayDrop(new Date(2026, 0, 12));
+console.log(`${motherView.events[0].title === 'YOU DROP OFF' && engine.evaluateCustody(new Date(2026, 0, 12)).events[0].title === 'YOU DROP OFF' ? '✅' : '❌'} Mother's view is the default ("${motherView.events[0].title}")`);
+console.log(`${fatherView.events[0].title === 'SHE DROPS OFF' && fatherView.events[0].type === 'receive' && fatherView.events[0].location === 'School' ? '✅' : '❌'} Jan 12, 2026 Father's view: "${fatherView.events[0].title}" @ ${fatherView.events[0].location}`);
+console.log(`${neutralView.events[0].title === 'Mother → Father' && neutralView.events[0].type === 'handoff' ? '✅' : '❌'} Jan 12, 2026 neutral view: "${neutralView.events[0].title}" @ ${neutralView.events[0].location}`);
+
+const motherSaturday = engine.evaluateCustody(new Date(2026, 0, 10), { perspective: 'father' });
+console.log(`${motherSaturday.note === 'Her Weekend' && engine.evaluateCustody(new Date(2026, 0, 10)).note === 'My Weekend' ? '✅' : '❌'} Notes reworded for Father ("${motherSaturday.note}")`);
+
+let perspectiveError = null;
+try { engine.evaluateCustody(new Date(2026, 0, 12), { perspective: 'nanny' }); } catch (e) { perspectiveError = e; }
+console.log(`${perspectiveError && /Unknown perspective "nanny"/.test(perspectiveError.message) ? '✅' : '❌'} Unknown perspective is rejected`);
+
+const perspectiveMismatches = engine.evaluateRange('2025-08-01', '2027-12-31').filter(day => {
+  const [y, m, d] = day.date.split('-').map(Number);
+  const father = engine.evaluateCustody(new Date(y, m - 1, d), { perspective: 'father' });
+  const neutral = engine.evaluateCustody(new Date(y, m - 1, d), { perspective: 'neutral' });
+  return [father, neutral].some(r => r.parent !== day.parent || r.matchedRule !== day.matchedRule ||
+    r.events.length !== day.events.length || r.events.some((e, i) => e.time !== day.events[i].time || e.recipient !== day.events[i].recipient));
+});
+console.log(`${perspectiveMismatches.length === 0 ? '✅' : '❌'} Custody, rules and exchange times identical in every view Aug 2025 - Dec 2027`);
+
+console.log('');
+
+// Additional validation: Children and bell times
+console.log('CHILDREN VALIDATION');
+console.log('='.repeat(80));
+
+const Children = require('./children.js');
+const regularPickup = engine.evaluateCustody(new Date(2026, 0, 8)).events[0];
+const minimumPickup = engine.evaluateCustody(new Date(2025, 10, 13)).events[0];
+console.log(`${regularPickup.time === '2:15 PM (Alfie) / 2:50 PM (Basil)' && minimumPickup.time === '1:10 PM (Alfie) / 1:25 PM (Basil)' ? '✅' : '❌'} Pickup times listed per child from the registry ("${minimumPickup.time}" on a minimum day)`);
+console.log(`${minimumPickup.pickups.map(p => `${p.child} ${p.time}`).join(', ') === 'alfie 1:10 PM, basil 1:25 PM' && engine.evaluateCustody(new Date(2026, 0, 12)).events[0].pickups === null ? '✅' : '❌'} School pickups carry each child's time; other exchanges have none`);
+
+const basilPickup = engine.evaluateCustody(new Date(2026, 0, 8), { child: 'basil', perspective: 'father' }).events[0];
+console.log(`${basilPickup.time === '2:50 PM' && basilPickup.pickups.length === 1 && basilPickup.title === 'SHE PICKS UP' ? '✅' : '❌'} Child filter: Basil's pickup at ${basilPickup.time}`);
+
+const between = new Date(2026, 0, 8, 14, 30);
+console.log(`${engine.getCustodyAt(between, { child: 'basil' }).parent === 'father' && engine.getCustodyAt(between, { child: 'alfie' }).parent === 'mother' ? '✅' : '❌'} Jan 8, 2026 2:30 PM: Alfie already with Mother, Basil still in school (Father's time)`);
+
+let childError = null;
+try { engine.evaluateCustody(new Date(2026, 0, 8), { child: 'brooke' }); } catch (e) { childError = e; }
+console.log(`${childError && /Unknown child "brooke"/.test(childError.message) ? '✅' : '❌'} Unknown child is rejected`);
+
+const badChild = Children.validateChild({ id: 'cleo', name: 'Cleo', school: 'school', dropOff: '8:20 AM', dismissal: { 6: '2:15 PM', 1: '14:15' }, minimumDay: '1:10 PM' });
+console.log(`${badChild.length === 2 ? '✅' : '❌'} Registry rejects weekend bell times and malformed times (${badChild.length} problems)`);
+
+const noDropOff = Children.validateChild({ id: 'cleo', name: 'Cleo', school: 'school', dismissal: { 1: '2:15 PM' }, minimumDay: '1:10 PM' });
+console.log(`${noDropOff.length === 1 && /drop-off/.test(noDropOff[0]) ? '✅' : '❌'} Registry requires a drop-off time`);
+
+// Break starts: whoever had her the night before drops off at the registry's bell
+const fatherStart = engine.evaluateCustody(new Date(2026, 11, 18), { swaps: false });
+const fatherStartDrop = fatherStart.events[0];
+console.log(`${fatherStart.parent === 'father' && fatherStartDrop.actor === 'mother' && fatherStartDrop.time === Children.getDropOffTimes()[0].time && fatherStart.events[1].actor === 'father' ? '✅' : '❌'} Dec 18, 2026: Mother (Thursday overnight) drops off, Father picks up for his winter half`);
+
+const motherStart = engine.evaluateCustody(new Date(2026, 3, 2), { swaps: false });
+console.log(`${motherStart.parent === 'mother' && motherStart.events[0].actor === 'father' && motherStart.events[0].recipient === 'mother' && motherStart.events[1].actor === 'mother' ? '✅' : '❌'} Apr 2, 2026: Father (Wednesday overnight) drops off, Mother picks up for her spring half`);
+
+console.log('');
+
+// Additional validation: Agreed swaps
+console.log('AGREED SWAP VALIDATION');
+console.log('='.repeat(80));
+
+const SwapCalendar = require('./swap-calendar.js');
+const tradedWeekend = SwapCalendar.recordSwap({
+  start: '2026-01-16',
+  end: '2026-01-18',
+  parent: 'mother',
+  note: 'Traded Weekend',
+  reason: 'Trade for Jan 23',
+  agreedBy: ['mother', 'father'],
+  agreedAt: '2026-01-10T18:00:00Z',
+  events: [{ date: '2026-01-18', actor: 'mother', recipient: 'father', time: '5:00 PM', location: 'father_home' }]
+}, 'mother');
+
+const swappedSaturday = engine.evaluateCustody(new Date(2026, 0, 17));
+const swapFlag = swappedSaturday.flags.stipulatedSwap;
+console.log(`${swappedSaturday.parent === 'mother' && swappedSaturday.matchedRule === 'stipulated_swap' && swappedSaturday.provision === 'Stipulation' ? '✅' : '❌'} Jan 17, 2026: agreed swap gives Father's weekend to Mother (${swappedSaturday.matchedRule})`);
+console.log(`${swapFlag && swapFlag.swapId === tradedWeekend.id && swapFlag.original.parent === 'father' && swapFlag.original.matchedRule === 'saturday_father' ? '✅' : '❌'} Court order result kept with the swap (${swapFlag && swapFlag.original.matchedRule})`);
+console.log(`${engine.evaluateCustody(new Date(2026, 0, 17), { swaps: false }).matchedRule === 'saturday_father' ? '✅' : '❌'} swaps: false gives the court order schedule`);
+
+const swapHandoff = engine.getCustodyAt(new Date(2026, 0, 18, 18, 0));
+console.log(`${engine.getCustodyAt(new Date(2026, 0, 17, 12, 0)).parent === 'mother' && swapHandoff.parent === 'father' && swapHandoff.exchange.rule === 'stipulated_swap' ? '✅' : '❌'} Swap exchanges drive time-of-day custody (Father from Sun 5:00 PM)`);
+
+const mothersDaySwap = SwapCalendar.validateSwap({ start: '2026-05-10', end: '2026-05-10', parent: 'father', agreedBy: ['father'], agreedAt: '2026-05-01' });
+const overlappingSwap = SwapCalendar.validateSwap({ start: '2026-01-18', end: '2026-01-19', parent: 'father', agreedBy: ['mother', 'father'], agreedAt: '2026-01-11' });
+console.log(`${mothersDaySwap.some(p => /agreed by both parents/.test(p)) && overlappingSwap.some(p => /Overlaps swap/.test(p)) ? '✅' : '❌'} Swaps need both parents' agreement and may not overlap`);
+
+SwapCalendar.revokeSwap(tradedWeekend.id, 'father', 'Plans changed');
+const revoked = SwapCalendar.getSwaps('revoked')[0];
+console.log(`${engine.evaluateCustody(new Date(2026, 0, 17)).matchedRule === 'saturday_father' && revoked.history.map(h => h.action).join(',') === 'recorded,revoked' ? '✅' : '❌'} Revoked swap restores the court order and stays in the history`);
+
+SwapCalendar.loadSwaps(JSON.parse(JSON.stringify(SwapCalendar.exportSwaps())));
+console.log(`${SwapCalendar.getSwaps().length === 1 && SwapCalendar.getSwaps()[0].status === 'revoked' ? '✅' : '❌'} Swaps round-trip through JSON (agreed-swaps.json)`);
+
+SwapCalendar.clearSwaps();
+console.log('');
+
+// Additional validation: Swap requests
+console.log('SWAP REQUEST VALIDATION');
+console.log('='.repeat(80));
+
+const SwapRequests = require('./swap-requests.js');
+const weekendTrade = { start: '2026-01-16', end: '2026-01-18', parent: 'mother', reason: 'Trade for Jan 23', events: [] };
+const proposal = SwapRequests.proposeSwap({ proposedBy: 'mother', swap: weekendTrade, message: 'Can I have the 16th?' });
+console.log(`${proposal.status === 'pending' && proposal.proposedTo === 'father' && engine.evaluateCustody(new Date(2026, 0, 17)).matchedRule === 'saturday_father' ? '✅' : '❌'} Proposal is pending and does not change custody`);
+
+let wrongParent = null;
+try { SwapRequests.acceptSwapRequest(proposal.id, 'mother'); } catch (e) { wrongParent = e; }
+console.log(`${wrongParent && wrongParent.code === 'conflict' ? '✅' : '❌'} Only the other parent can answer a request`);
+
+const counter = SwapRequests.counterSwapRequest(proposal.id, 'father', { ...weekendTrade, end: '2026-01-17' }, 'Only Saturday');
+console.log(`${SwapRequests.getSwapRequest(proposal.id).status === 'countered' && counter.counterOf === proposal.id && counter.proposedTo === 'mother' ? '✅' : '❌'} Counter closes the request and sends new terms back`);
+
+const accepted = SwapRequests.acceptSwapRequest(counter.id, 'mother');
+console.log(`${accepted.status === 'accepted' && engine.evaluateCustody(new Date(2026, 0, 17)).matchedRule === 'stipulated_swap' && engine.evaluateCustody(new Date(2026, 0, 18)).matchedRule === 'sunday_father' ? '✅' : '❌'} Accepted request feeds the custody evaluation (${accepted.swapId})`);
+
+let invalidTerms = null;
+try { SwapRequests.proposeSwap({ proposedBy: 'father', swap: { start: '2026-01-17', end: '2026-01-17', parent: 'father' } }); } catch (e) { invalidTerms = e; }
+console.log(`${invalidTerms && invalidTerms.code === 'invalid' ? '✅' : '❌'} Terms overlapping an agreed swap are rejected (${invalidTerms && invalidTerms.problems[0]})`);
+
+const nextWeekend = SwapRequests.proposeSwap({ proposedBy: 'father', swap: { start: '2026-01-24', end: '2026-01-24', parent: 'father', events: [] } });
+const declined = SwapRequests.declineSwapRequest(nextWeekend.id, 'mother', 'No thanks');
+console.log(`${declined.status === 'declined' && declined.respondedAt && declined.history.map(h => h.action).join(',') === 'proposed,declined' ? '✅' : '❌'} Decisions are recorded with timestamps`);
+
+SwapRequests.clearSwapRequests();
+SwapCalendar.clearSwaps();
+console.log('');
+
+// Additional validation: Feed UIDs and revisions
+console.log('FEED REVISION VALIDATION');
+console.log('='.repeat(80));
+
+const feedLedger = {};
+const januaryFeed = { feed: '', start: '2026-01-01', end: '2026-01-31', now: new Date(Date.UTC(2026, 0, 1)) };
+const firstPublish = CustodyFeed.applyFeedLedger(CustodyFeed.buildFeedEvents('2026-01-01', '2026-01-31'), feedLedger, januaryFeed);
+console.log(`${firstPublish.length > 0 && firstPublish.every(e => e.sequence === 0 && !e.status) ? '✅' : '❌'} First publish: ${firstPublish.length} events at SEQUENCE 0`);
+
+const firstUids = new Set(firstPublish.map(e => e.uid));
+const movedWindow = CustodyFeed.buildFeedEvents('2026-01-15', '2026-02-28').filter(e => e.day <= '2026-01-31');
+console.log(`${movedWindow.every(e => firstUids.has(e.uid)) && firstUids.has('20260116-friday_father_weekend-0@alexandra-schedule.vercel.app') ? '✅' : '❌'} UIDs come from the day and rule, not the position in the window`);
+
+SwapCalendar.recordSwap({ start: '2026-01-16', end: '2026-01-18', parent: 'mother', events: [], reason: 'Feed revision test', agreedBy: ['mother', 'father'], agreedAt: '2026-01-02T00:00:00Z' });
+const secondPublish = CustodyFeed.applyFeedLedger(CustodyFeed.buildFeedEvents('2026-01-01', '2026-01-31'), feedLedger, { ...januaryFeed, now: new Date(Date.UTC(2026, 0, 2)) });
+const cancelledDropOff = secondPublish.find(e => e.uid === '20260116-friday_father_weekend-0@alexandra-schedule.vercel.app');
+console.log(`${cancelledDropOff && cancelledDropOff.status === 'CANCELLED' && cancelledDropOff.sequence === 1 ? '✅' : '❌'} Swapped-away Jan 16 drop-off is sent as cancelled (SEQUENCE ${cancelledDropOff && cancelledDropOff.sequence})`);
+
+const untouched = secondPublish.find(e => e.uid === '20260108-custody@alexandra-schedule.vercel.app');
+console.log(`${untouched.sequence === 0 && untouched.lastModified === '2026-01-01T00:00:00.000Z' ? '✅' : '❌'} Unchanged days keep SEQUENCE and LAST-MODIFIED`);
+
+SwapCalendar.revokeSwap(SwapCalendar.getSwaps('active')[0].id);
+const thirdPublish = CustodyFeed.applyFeedLedger(CustodyFeed.buildFeedEvents('2026-01-01', '2026-01-31'), feedLedger, { ...januaryFeed, now: new Date(Date.UTC(2026, 0, 3)) });
+const restoredDropOff = thirdPublish.find(e => e.uid === cancelledDropOff.uid);
+const swappedSpan = thirdPublish.find(e => e.uid === '20260115-custody@alexandra-schedule.vercel.app');
+console.log(`${restoredDropOff && !restoredDropOff.status && restoredDropOff.sequence === 2 && swappedSpan.end === '2026-01-16' && swappedSpan.sequence === 2 ? '✅' : '❌'} Revoking the swap restores the drop-off and shortens Mother's span again (SEQUENCE 2)`);
+
+const revisedIcs = ICalFormat.buildICalendar({ name: 'Test', description: 'Test feed', events: secondPublish }).replace(/\r\n /g, '');
+console.log(`${revisedIcs.includes('SEQUENCE:1\r\nLAST-MODIFIED:20260102T000000Z') && revisedIcs.includes('STATUS:CANCELLED') ? '✅' : '❌'} SEQUENCE, LAST-MODIFIED and STATUS:CANCELLED written to the .ics`);
+
+// Subscriptions that group days differently keep their own UIDs and ledger entries
+const spansLedger = {};
+const spansFeeds = ['parent', 'day', 'parent', 'day'].map((spans, i) => {
+  const options = { spans };
+  const events = CustodyFeed.applyFeedLedger(CustodyFeed.buildFeedEvents('2026-01-01', '2026-01-31', options), spansLedger,
+    { ...januaryFeed, feed: CustodyFeed.getFeedVariant(options), now: new Date(Date.UTC(2026, 0, 1 + i)) });
+  return events;
+});
+const spansChurn = spansFeeds.reduce((n, events) => n + events.filter(e => e.status === 'CANCELLED' || e.sequence > 0).length, 0);
+const dayUids = spansFeeds[1].filter(e => e.category === 'custody').map(e => e.uid);
+const parentSpans = spansFeeds[0].filter(e => e.category === 'custody');
+console.log(`${spansChurn === 0 && dayUids.length > parentSpans.length && dayUids.every(uid => uid.includes('-spans-day@')) ? '✅' : '❌'} spans=parent and spans=day fetched in turn: no SEQUENCE bumps or cancellations (${spansChurn})`);
+
+SwapCalendar.clearSwaps();
+console.log('');
+
+// Additional validation: Exchange reminders
+console.log('REMINDER VALIDATION');
+console.log('='.repeat(80));
+
+const reminderQuery = CustodyFeed.parseFeedQuery({ reminders: '1h,evening,8d' }, new Date(2026, 0, 1));
+console.log(`${reminderQuery.problems.length === 1 && reminderQuery.problems[0].includes('"8d"') ? '✅' : '❌'} Reminders longer than 7 days are rejected (${reminderQuery.problems[0]})`);
+
+const minimumDayPickup = CustodyFeed.buildFeedEvents('2025-11-13', '2025-11-13', { reminders: ['1h'], child: 'basil' }).find(e => e.category === 'exchanges');
+const minimumDayAlarms = (minimumDayPickup && minimumDayPickup.alarms) || [];
+console.log(`${minimumDayAlarms.map(a => a.minutesBefore).join(',') === '60,1105' && minimumDayPickup.description.includes('Minimum day: early release (usually 2:50 PM)') ? '✅' : '❌'} Minimum-day pickup adds an evening reminder saying school lets out early`);
+
+const winterBreakExchange = CustodyFeed.buildFeedEvents('2025-12-22', '2025-12-22', { reminders: ['30m'] }).find(e => e.category === 'exchanges');
+console.log(`${winterBreakExchange && winterBreakExchange.alarms[1].description === 'Tomorrow: YOU DROP OFF at 11:00 AM, His House (Curbside). Winter Break: holiday exchange time and place' ? '✅' : '❌'} Winter Break exchange away from school is flagged in its reminders`);
+
+const usualDropOff = CustodyFeed.buildFeedEvents('2026-01-08', '2026-01-08', { reminders: ['1h'] }).find(e => e.category === 'exchanges');
+const noReminders = CustodyFeed.buildFeedEvents('2026-01-08', '2026-01-08').find(e => e.category === 'exchanges');
+console.log(`${usualDropOff.alarms.length === 1 && noReminders.alarms.length === 0 ? '✅' : '❌'} Ordinary exchanges get only the requested reminders (none by default)`);
+
+console.log(`${ICalFormat.minutesBetween(new Date(2026, 2, 7), { hours: 19, minutes: 0 }, new Date(2026, 2, 8), { hours: 14, minutes: 0 }) === 1080 && ICalFormat.minutesBetween(new Date(2025, 10, 1), { hours: 19, minutes: 0 }, new Date(2025, 10, 2), { hours: 14, minutes: 0 }) === 1200 ? '✅' : '❌'} Evening reminders count the hour lost or gained at daylight saving changes`);
+
+const reminderIcs = ICalFormat.buildICalendar({ name: 'Test', description: 'Test feed', events: [minimumDayPickup] });
+console.log(`${reminderIcs.includes('BEGIN:VALARM\r\nACTION:DISPLAY') && reminderIcs.includes('TRIGGER:-PT1105M\r\nEND:VALARM') ? '✅' : '❌'} Reminders written as VALARM blocks`);
+console.log('');
+
+// Additional validation: Schedule export
+console.log('EXPORT VALIDATION');
+console.log('='.repeat(80));
+
+const ScheduleExport = require('./schedule-export.js');
+
+const exportRows = ScheduleExport.buildExportRows('2025-11-13', '2025-11-16');
+const minimumDayRow = exportRows[0];
+console.log(`${exportRows.length === 4 && minimumDayRow.weekday === 'Thursday' && minimumDayRow.instructionDay && minimumDayRow.minimumDay && minimumDayRow.rule === 'thursday_mother' && minimumDayRow.exchanges[0].title === 'School → Mother' ? '✅' : '❌'} Rows carry the day's rule, school flags and neutrally worded exchanges`);
+
+const exportCsv = ScheduleExport.exportSchedule('2025-12-22', '2025-12-23').content;
+const csvLines = exportCsv.split('\r\n');
+console.log(`${exportCsv.startsWith('\uFEFFDate,Weekday,Parent,Level') && csvLines.length === 4 && csvLines[1].includes('Monday,Mother,1,') && csvLines[1].endsWith("11:00 AM Mother → Father @ Father's Home (Curbside)") ? '✅' : '❌'} CSV: byte order mark, header and one line per day`);
+
+console.log(`${ScheduleExport.toExportCSV([{ ...minimumDayRow, note: 'Pickup, then "dinner"' }]).includes(',"Pickup, then ""dinner""",') ? '✅' : '❌'} CSV quotes fields with commas and quotes`);
+
+const noteField = note => ScheduleExport.toExportCSV([{ ...minimumDayRow, note }]).split('\r\n')[1];
+const formulasDefused = noteField('=HYPERLINK("x")').includes(`,"'=HYPERLINK(""x"")",`) && noteField('+1').includes(",'+1,") &&
+  noteField('-2').includes(",'-2,") && noteField('@SUM(A1)').includes(",'@SUM(A1),") && noteField('\tTab').includes(",'\tTab,") &&
+  ScheduleExport.toExportCSV([{ ...minimumDayRow, note: '\rReturn' }]).includes(`,"'\rReturn",`) && noteField('Mid-break').includes(',Mid-break,');
+console.log(`${formulasDefused ? '✅' : '❌'} CSV fields starting with =, +, -, @, tab or CR get a leading ' so spreadsheets show them as text`);
+
+const exportJson = ScheduleExport.exportSchedule('2026-01-01', '2026-01-31', { format: 'json', perspective: 'father' });
+const exported = JSON.parse(exportJson.content);
+console.log(`${exportJson.filename === 'custody-schedule-2026-01-01-2026-01-31.json' && exported.days.length === 31 && exported.perspective === 'father' && exported.days[15].exchanges[0].title === 'SHE DROPS OFF' ? '✅' : '❌'} JSON export: ${exported.days.length} days in the chosen perspective`);
+console.log('');
+
+// Additional validation: Court exhibit report
+console.log('COURT REPORT VALIDATION');
+console.log('='.repeat(80));
+
+const CourtReport = require('./court-report.js');
+const exhibit = CourtReport.buildCourtReport('2026-01-14', '2026-02-03', { prepared: '2026-02-04' });
+console.log(`${exhibit.range.days === 21 && exhibit.range.label === 'Wednesday, January 14, 2026 through Tuesday, February 3, 2026' && exhibit.prepared === 'Wednesday, February 4, 2026' ? '✅' : '❌'} Report covers ${exhibit.range.days} days, prepared ${exhibit.prepared}`);
+
+const exhibitDay = exhibit.days.find(d => d.date === '2026-01-16');
+console.log(`${exhibit.days.every(d => d.provision) && exhibitDay.provision === 'Provision 12a-b' && exhibitDay.provisionTitle === 'Even Weekend Starts (Father)' && exhibitDay.exchanges[0].title === 'Mother → Father' ? '✅' : '❌'} Every day cites its controlling provision (Jan 16: ${exhibitDay.provision}, ${exhibitDay.provisionTitle})`);
+
+const january = exhibit.months[0];
+const januaryCells = january.weeks.flat();
+console.log(`${exhibit.months.map(m => m.title).join(', ') === 'January 2026, February 2026' && january.weeks.every(w => w.length === 7) && januaryCells[4].date === '2026-01-01' && januaryCells[4].outside && januaryCells.find(c => c && c.date === '2026-01-14').parent === 'father' ? '✅' : '❌'} Month grids start on Sunday, with days outside the range blank`);
+
+const exhibitExchanges = exhibit.days.reduce((n, d) => n + d.exchanges.length, 0);
+const cited = exhibit.provisions.reduce((n, p) => n + p.days, 0);
+console.log(`${exhibit.exchanges.total === exhibitExchanges && exhibit.exchanges.list[0].provision && cited === 21 && exhibit.levels.length === 5 && exhibit.levels.reduce((n, l) => n + l.days, 0) === 21 ? '✅' : '❌'} Exchange summary, provisions cited and level legend account for every day`);
+
+SwapCalendar.recordSwap({ start: '2026-01-17', end: '2026-01-17', parent: 'mother', events: [], reason: 'Exhibit test', agreedBy: ['mother', 'father'], agreedAt: '2026-01-10T00:00:00Z' });
+const swappedExhibitDay = CourtReport.buildCourtReport('2026-01-17', '2026-01-17').days[0];
+console.log(`${swappedExhibitDay.swap && swappedExhibitDay.swap.courtOrderParent === 'father' && swappedExhibitDay.swap.courtOrderProvision === 'Provision 12a-b' && swappedExhibitDay.parent === 'mother' ? '✅' : '❌'} Swapped days show what the court order provides`);
+SwapCalendar.clearSwaps();
+console.log('');
+
+// Additional validation: Schedule diff
+console.log('SCHEDULE DIFF VALIDATION');
+console.log('='.repeat(80));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScheduleDiff = require('./schedule-diff.js');
+const unchanged = ScheduleDiff.diffSchedules({ engine, label: 'a' }, { engine, label: 'b' }, '2026-01-01', '2026-03-31');
+console.log(`${unchanged.range.days === 90 && unchanged.changes.length === 0 && ScheduleDiff.formatDiffText(unchanged).includes('No changes: all 90 days are the same.') ? '✅' : '❌'} Same configuration on both sides: no changes in ${unchanged.range.days} days`);
+
+SwapCalendar.recordSwap({ start: '2026-01-16', end: '2026-01-18', parent: 'mother', events: [{ date: '2026-01-18', time: '5:00 PM', actor: 'mother', recipient: 'father', location: 'father_home' }], reason: 'Diff test', agreedBy: ['mother', 'father'], agreedAt: '2026-01-02T00:00:00Z' });
+const swapDiff = ScheduleDiff.diffSchedules({ engine, options: { swaps: false }, label: 'court order' }, { engine, label: 'with swaps' }, '2026-01-01', '2026-01-31');
+const swapDiffDays = swapDiff.changes.map(c => `${c.date}:${c.fields.join('+')}`).join(', ');
+console.log(`${swapDiffDays === '2026-01-16:parent+exchanges+rule, 2026-01-17:parent+rule, 2026-01-18:parent+exchanges+rule' && swapDiff.counts.parent === 3 ? '✅' : '❌'} Engine options diff: ${swapDiffDays}`);
+
+const swapText = ScheduleDiff.formatDiffText(swapDiff);
+console.log(`${swapText.includes('3 of 31 days change') && swapText.includes('Sat, Jan 17, 2026\n  With: Father -> Mother') && swapText.includes('-> 5:00 PM Mother → Father @ Father\'s Home (Curbside)') ? '✅' : '❌'} Plain text summary names each changed day in words`);
+
+const swapHtml = ScheduleDiff.formatDiffHTML(swapDiff);
+console.log(`${swapHtml.startsWith('<!DOCTYPE html>') && (swapHtml.match(/class="changed"/g) || []).length === 16 ? '✅' : '❌'} HTML report highlights the changed cells`);
+
+// A copy of the engine files loads as its own engine, without this one's swaps
+const diffDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-diff-test-'));
+['custody-engine.js', 'court-order-rules.js', 'school-calendar.js', 'absence-calendar.js', 'swap-calendar.js', 'children.js']
+  .forEach(file => fs.copyFileSync(path.join(__dirname, file), path.join(diffDir, file)));
+const copiedEngine = ScheduleDiff.loadEngineVersion(diffDir);
+fs.rmSync(diffDir, { recursive: true, force: true });
+const copyDiff = ScheduleDiff.diffSchedules({ engine: copiedEngine }, { engine }, '2026-01-01', '2026-01-31');
+console.log(`${copiedEngine !== engine && ScheduleDiff.loadEngineVersion('.') === engine && copyDiff.changes.map(c => c.date).join(',') === '2026-01-16,2026-01-17,2026-01-18' ? '✅' : '❌'} Engine loaded from another directory is separate from this one`);
+SwapCalendar.clearSwaps();
+console.log('');
+
+console.log('='.repeat(80));
+console.log('SCHEDULE INVARIANT VALIDATION');
+console.log('='.repeat(80));
+
+const ScheduleValidator = require('./schedule-validator.js');
+const cleanMonth = ScheduleValidator.validateSchedule('2026-01-01', '2026-01-31');
+console.log(`${cleanMonth.range.days === 31 && cleanMonth.violations.length === 0 && ScheduleValidator.formatValidationText(cleanMonth).includes('No violations: all 31 days pass.') ? '✅' : '❌'} January 2026 keeps every invariant`);
+
+console.log(`${engine.isCitedRule('thursday_mother') && engine.isCitedRule('stipulated_swap') && !engine.isCitedRule('no_such_rule') ? '✅' : '❌'} isCitedRule knows the rules getProvisionInfo cites`);
+
+// Non-school Thursdays have no pickup to hand her back to Mother
+const summerEnd = ScheduleValidator.validateSchedule('2026-07-27', '2026-07-31');
+const summerFound = summerEnd.violations.map(v => `${v.date}:${v.invariant}`).join(', ');
+console.log(`${summerFound === '2026-07-30:transitionWithoutExchange' ? '✅' : '❌'} Change of hands without an exchange is reported: ${summerFound}`);
+
+const summerWeek = ScheduleValidator.validateSchedule('2026-06-06', '2026-06-06');
+console.log(`${summerWeek.counts.uncitedRule === 0 && engine.isCitedRule('summer_week_2_father') ? '✅' : '❌'} Summer week rule IDs are cited`);
+
+SwapCalendar.recordSwap({ start: '2026-01-16', end: '2026-01-18', parent: 'mother', events: [{ date: '2026-01-16', time: '3:00 PM', actor: 'father', recipient: 'mother', location: 'mother_home' }, { date: '2026-01-18', time: '5:00 PM', actor: 'mother', recipient: 'father', location: 'school' }], reason: 'Validator test', agreedBy: ['mother', 'father'], agreedAt: '2026-01-02T00:00:00Z' });
+SwapCalendar.recordSwap({ start: '2026-01-24', end: '2026-01-24', parent: 'father', events: [], reason: 'Validator test', agreedBy: ['mother', 'father'], agreedAt: '2026-01-02T00:00:00Z' });
+const brokenMonth = ScheduleValidator.validateSchedule('2026-01-01', '2026-01-31');
+const brokenFound = brokenMonth.violations.map(v => `${v.date}:${v.invariant}`).join(', ');
+console.log(`${brokenFound === '2026-01-16:exchangeWithoutTransition, 2026-01-16:curbsideExchangeOnSchoolDay, 2026-01-18:schoolExchangeWithoutSchool, ' +
+  '2026-01-24:transitionWithoutExchange, 2026-01-25:transitionWithoutExchange' ? '✅' : '❌'} Swaps breaking the invariants are reported by date: ${brokenMonth.counts.violations} violations`);
+
+const brokenText = ScheduleValidator.formatValidationText(brokenMonth);
+console.log(`${brokenText.includes('5 violations in 31 days') && brokenText.includes('Sat, Jan 24, 2026\n  Mother → Father with no exchange (stipulated_swap)') ? '✅' : '❌'} Plain text report lists each violation under its date`);
+SwapCalendar.clearSwaps();
+
+// Two exchanges for one change of hands
+SwapCalendar.recordSwap({ start: '2026-01-31', end: '2026-01-31', parent: 'father', events: [{ date: '2026-01-31', time: '10:00 AM', actor: 'mother', recipient: 'father', location: 'father_home' }, { date: '2026-01-31', time: '11:00 AM', actor: 'mother', recipient: 'father', location: 'father_home' }], reason: 'Validator test', agreedBy: ['mother', 'father'], agreedAt: '2026-01-02T00:00:00Z' });
+const doubled = ScheduleValidator.validateSchedule('2026-01-30', '2026-02-01');
+const doubledFound = doubled.violations.map(v => `${v.date}:${v.invariant}`).join(', ');
+console.log(`${doubledFound === '2026-01-31:multipleExchanges' && doubled.violations[0].message.startsWith('11:00 AM') ? '✅' : '❌'} A second exchange for the same change of hands is reported: ${doubledFound}`);
+SwapCalendar.clearSwaps();
+
+const uncitedEngine = { ...engine, evaluateCustody: (date, options) => ({ ...engine.evaluateCustody(date, options), matchedRule: 'made_up_rule' }) };
+const uncited = ScheduleValidator.validateSchedule('2026-01-05', '2026-01-06', { engine: uncitedEngine });
+console.log(`${uncited.counts.uncitedRule === 2 && uncited.violations[0].message.startsWith('Rule "made_up_rule" has no provision citation') ? '✅' : '❌'} A rule without a citation is reported: ${uncited.counts.uncitedRule} days`);
+
+// Days without a loaded school year are reported, once per run of days
+const uncovered = ScheduleValidator.validateSchedule('2026-12-01', '2027-01-31');
+const uncoveredFound = uncovered.violations.map(v => `${v.date}:${v.invariant}`).join(', ');
+console.log(`${uncoveredFound === '2027-01-01:schoolCalendarMissing' && uncovered.violations[0].message.includes('Fri, Jan 1, 2027 - Sun, Jan 31, 2027') ? '✅' : '❌'} Days no school year covers are reported: ${uncoveredFound}`);
+
+// Three school years: only the missing school calendar, and the violations
+// known-violations.json explains
+const knownViolations = require('./known-violations.json');
+const threeYears = ScheduleValidator.validateSchedule('2025-08-01', '2028-07-31', { expected: knownViolations });
+const knownDates = knownViolations.reduce((sum, entry) => sum + entry.dates.length, 0);
+const threeYearsFound = threeYears.violations.map(v => `${v.date}:${v.invariant}`).join(', ');
+console.log(`${threeYears.range.days === 1096 && threeYearsFound === '2025-08-01:schoolCalendarMissing, 2027-01-01:schoolCalendarMissing' && threeYears.counts.expected === knownDates ? '✅' : '❌'} 2025-08-01 - 2028-07-31 has only the missing school calendar beyond the ${threeYears.counts.expected} known (${knownDates} listed): ${threeYearsFound}`);
+console.log(`${knownViolations.every(entry => entry.invariant !== 'schoolCalendarMissing') && threeYears.expected.every(v => v.reason) && ScheduleValidator.formatValidationText(threeYears).includes(`2 violations in 1096 days (${knownDates} known violations expected)`) ? '✅' : '❌'} Known violations are reported apart, with their reason`);
 console.log('');
@@ -0,0 +1,250 @@
+/**
+ * Calendar Feed Parity Check
+ * Builds the .ics feed for several years, for every perspective and child,
+ * reads the events back and compares each day with evaluateCustody: who has
+ * her, and every exchange's time, title and location. Runs the same years
+ * through the serverless function (api/calendar.ics.js), with an agreed swap
+ * in its data directory, and checks its default window.
+ * Exits with status 1 on any difference.
+ * Run: node test-feed-parity.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./custody-engine.js');
+const CustodyFeed = require('./custody-feed.js');
+const CourtOrderRules = require('./court-order-rules.js');
+const Children = require('./children.js');
+
+const PARITY_START = '2025-08-01';
+const PARITY_END = '2028-07-31'; // The longest window the feed serves (36 months)
+const NAMES = CourtOrderRules.wording.neutral.names;
+const PERSPECTIVES = Object.keys(CourtOrderRules.wording);
+const CHILD_OPTIONS = [null, ...Children.getChildren().map(c => c.id)];
+
+// ============================================================================
+// 1. READING THE FEED
+// ============================================================================
+
+/**
+ * Undo TEXT escaping (\\ \; \, \n)
+ */
+function unescapeText(value) {
+  return value.replace(/\\(.)/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * 'YYYY-MM-DD' of a Date
+ */
+function dateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "14:15" from a DTSTART value, as "2:15 PM"
+ */
+function toTwelveHour(dateTime) {
+  const hours = Number(dateTime.slice(9, 11));
+  const minutes = dateTime.slice(11, 13);
+  return `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Days of a feed: Map of 'YYYY-MM-DD' -> { custody, exchanges }
+ * custody is the summary of the all-day span covering the day (or null);
+ * exchanges are "2:15 PM YOU PICK UP @ School" strings
+ */
+function readFeed(text) {
+  const days = new Map();
+  const getDay = key => {
+    if (!days.has(key)) days.set(key, { custody: null, exchanges: [] });
+    return days.get(key);
+  };
+
+  text.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1).forEach(block => {
+    const props = {};
+    block.split('\r\n').forEach(line => {
+      const match = /^([A-Z-]+)(?:;[^:]*)?:(.*)$/.exec(line);
+      if (match) props[match[1]] = unescapeText(match[2]);
+    });
+
+    if (props.STATUS === 'CANCELLED') return;
+
+    const start = props.DTSTART;
+    const toDate = value => new Date(Number(value.slice(0, 4)), Number(value.slice(4, 6)) - 1, Number(value.slice(6, 8)));
+    if (start.length === 8) {
+      for (let day = toDate(start); day < toDate(props.DTEND); day.setDate(day.getDate() + 1)) {
+        const entry = getDay(dateKey(day));
+        entry.custody = entry.custody ? `overlapping "${entry.custody}" and "${props.SUMMARY}"` : props.SUMMARY;
+      }
+    } else {
+      const key = `${start.slice(0, 4)}-${start.slice(4, 6)}-${start.slice(6, 8)}`;
+      getDay(key).exchanges.push(`${toTwelveHour(start)} ${props.SUMMARY} @ ${props.LOCATION}`);
+    }
+  });
+
+  return days;
+}
+
+// ============================================================================
+// 2. COMPARING WITH THE ENGINE
+// ============================================================================
+
+/**
+ * Differences between a feed and evaluateCustody over a window
+ * Returns ["2026-01-08: ...", ...]
+ */
+function compareFeed(days, start, end, options) {
+  const perspective = options.perspective || 'mother';
+  const differences = [];
+  const expectCustody = result => (result.parent === perspective || perspective === 'neutral'
+    ? `Alexandra with ${NAMES[result.parent]}`
+    : null);
+
+  engine.evaluateRange(start, end, options).forEach(result => {
+    const day = days.get(result.date) || { custody: null, exchanges: [] };
+    days.delete(result.date);
+
+    const custody = expectCustody(result);
+    if (day.custody !== custody) {
+      differences.push(`${result.date}: custody "${day.custody}", engine "${custody}"`);
+    }
+
+    const exchanges = result.events.map(e => {
+      const time = /\d{1,2}:\d{2} (AM|PM)/.exec(e.time);
+      return `${time ? time[0] : '9:00 AM'} ${e.title} @ ${e.location}`;
+    });
+    if (day.exchanges.join(' | ') !== exchanges.join(' | ')) {
+      differences.push(`${result.date}: exchanges "${day.exchanges.join(' | ')}", engine "${exchanges.join(' | ')}"`);
+    }
+  });
+
+  // Custody spans cut by the window run on to their real first and last days
+  days.forEach((day, key) => {
+    const custody = expectCustody(engine.evaluateRange(key, key, options)[0]);
+    if (day.exchanges.length > 0) differences.push(`${key}: exchange outside ${start} - ${end}`);
+    if (day.custody !== custody) differences.push(`${key}: custody "${day.custody}", engine "${custody}" (outside the window)`);
+  });
+  return differences;
+}
+
+/**
+ * Print a check line and up to 5 of its differences
+ */
+function report(label, differences) {
+  console.log(`${differences.length === 0 ? '✅' : '❌'} ${label}${differences.length ? ` (${differences.length} differences)` : ''}`);
+  differences.slice(0, 5).forEach(difference => console.log(`     ${difference}`));
+  return differences.length === 0;
+}
+
+// ============================================================================
+// 3. SERVERLESS FUNCTION
+// ============================================================================
+
+/**
+ * Call the feed handler with a query; returns { status, headers, body }
+ */
+async function callFeedHandler(handler, query) {
+  const response = { status: null, headers: {}, body: null };
+  const res = {
+    setHeader(name, value) { response.headers[name] = value; },
+    status(code) { response.status = code; return res; },
+    send(body) { response.body = body; },
+    json(body) { response.body = body; }
+  };
+
+  await handler({ method: 'GET', query }, res);
+  return response;
+}
+
+/**
+ * A one-day swap giving a date to the parent the court order does not
+ */
+function buildTestSwap(date) {
+  const key = engine.evaluateRange(date, date, { swaps: false })[0];
+  return {
+    id: 'parity-swap',
+    start: key.date,
+    end: key.date,
+    parent: key.parent === 'mother' ? 'father' : 'mother',
+    events: [],
+    reason: 'Parity check',
+    agreedBy: ['mother', 'father'],
+    agreedAt: new Date().toISOString(),
+    status: 'active',
+    history: []
+  };
+}
+
+// ============================================================================
+// 4. RUN
+// ============================================================================
+
+async function main() {
+  let passed = true;
+
+  console.log('FEED PARITY');
+  console.log('='.repeat(80));
+
+  PERSPECTIVES.forEach(perspective => {
+    CHILD_OPTIONS.forEach(child => {
+      const options = child ? { perspective, child } : { perspective };
+      const feed = CustodyFeed.buildCustodyFeed({ start: PARITY_START, end: PARITY_END, ...options });
+      const differences = compareFeed(readFeed(feed), PARITY_START, PARITY_END, options);
+      passed = report(`${perspective}${child ? ` / ${child}` : ''}: feed matches evaluateCustody ${PARITY_START} - ${PARITY_END}`, differences) && passed;
+    });
+  });
+
+  console.log('');
+  console.log('SERVERLESS FUNCTION');
+  console.log('='.repeat(80));
+
+  // The function reads agreed-swaps.json from SWAP_DATA_DIR (set before it loads)
+  const swap = buildTestSwap('2027-01-15');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-parity-'));
+  fs.writeFileSync(path.join(dataDir, 'agreed-swaps.json'), JSON.stringify([swap]));
+  process.env.SWAP_DATA_DIR = dataDir;
+
+  try {
+    const { default: handler } = await import('./api/calendar.ics.js');
+
+    for (const perspective of PERSPECTIVES) {
+      for (const child of CHILD_OPTIONS) {
+        const query = { perspective, from: PARITY_START, to: PARITY_END, ...(child ? { child } : {}) };
+        const response = await callFeedHandler(handler, query);
+        const days = response.status === 200 ? readFeed(response.body) : new Map();
+        const swapDay = days.get(swap.start);
+        const differences = response.status === 200
+          ? compareFeed(days, PARITY_START, PARITY_END, query)
+          : [`status ${response.status}: ${JSON.stringify(response.body)}`];
+        if (perspective === 'neutral' && (!swapDay || swapDay.custody !== `Alexandra with ${NAMES[swap.parent]}`)) {
+          differences.push(`${swap.start}: agreed swap to ${swap.parent} missing from the feed`);
+        }
+        passed = report(`api/calendar.ics ?perspective=${perspective}${child ? `&child=${child}` : ''}: ${PARITY_START} - ${PARITY_END}`, differences) && passed;
+      }
+    }
+
+    // Without from/to: this month and the next 11
+    const feedWindow = CustodyFeed.getFeedWindow();
+    const start = engine.evaluateRange(feedWindow.start, feedWindow.start)[0].date;
+    const end = engine.evaluateRange(feedWindow.end, feedWindow.end)[0].date;
+    const response = await callFeedHandler(handler, {});
+    const differences = response.status === 200
+      ? compareFeed(readFeed(response.body), start, end, {})
+      : [`status ${response.status}: ${JSON.stringify(response.body)}`];
+    passed = report(`api/calendar.ics default window: ${start} - ${end}`, differences) && passed;
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('');
+  console.log(passed ? '✅ Feed and engine agree' : '❌ Feed and engine differ');
+  if (!passed) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});